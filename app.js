@@ -3,6 +3,10 @@ const express = require('express');
 const line = require('@line/bot-sdk');
 const { createClient } = require('@supabase/supabase-js');
 const moment = require('moment-timezone');
+const cron = require('node-cron');
+const os = require('os');
+const crypto = require('crypto');
+const openApiDocument = require('./openapi.json');
 
 
 const app = express();
@@ -21,26 +25,295 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 // Bishop configuration - who receives the reminders
 const BISHOP_LINE_USER_ID = process.env.BISHOP_LINE_USER_ID;
 
+// Reminder configuration - offsets before each interview (e.g. "1w,2d,24h,1h,15m")
+const REMINDER_OFFSETS = process.env.REMINDER_OFFSETS || '24h,3h';
+// Maximum tolerance around each offset, so reminders still fire when the cron runs slightly off schedule
+const REMINDER_WINDOW_MINUTES = parseInt(process.env.REMINDER_WINDOW_MINUTES) || 30;
+// What to do with reminders missed because the cron didn't fire: 'latest', 'all' or 'none'
+const REMINDER_CATCHUP_POLICY = process.env.REMINDER_CATCHUP_POLICY || 'latest';
+// A reminder stuck in 'sending' this long (e.g. the process died mid-delivery) may be claimed again
+const REMINDER_CLAIM_TIMEOUT_MINUTES = parseInt(process.env.REMINDER_CLAIM_TIMEOUT_MINUTES) || 10;
+// Failed pushes are retried after 5, 10, 20... minutes and given up after this many attempts
+const REMINDER_MAX_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+const REMINDER_RETRY_BASE_MINUTES = parseInt(process.env.REMINDER_RETRY_BASE_MINUTES) || 5;
+
+// Interview duration when the reason doesn't match any entry in reasonDurations
+const DEFAULT_INTERVIEW_DURATION = parseInt(process.env.DEFAULT_INTERVIEW_DURATION) || 30;
+
+// Upper bound on the occurrences created for one recurring series
+const MAX_SERIES_OCCURRENCES = 104;
+
+// Deleted interviews can be restored with 復原 for this many days before they are purged for good
+const DELETED_RETENTION_DAYS = parseInt(process.env.DELETED_RETENTION_DAYS) || 30;
+
+// Entries shown by 操作紀錄
+const AUDIT_LIST_LIMIT = 15;
+// Columns that change without anyone editing the interview - ignored when checking whether an undo is safe
+const AUDIT_IGNORED_FIELDS = ['updated_at', 'outcome_prompted_at'];
+
+// The interviewer is asked for the outcome this many minutes after an interview ends
+const OUTCOME_PROMPT_DELAY_MINUTES = parseInt(process.env.OUTCOME_PROMPT_DELAY_MINUTES) || 30;
+// Interviews that ended longer ago than this are never prompted (e.g. after a long outage)
+const OUTCOME_PROMPT_LOOKBACK_DAYS = 7;
+
+// Agenda digests - today's interviews every morning, the coming Sunday's on DIGEST_WEEKLY_DAY evening ("off" disables one)
+const DIGEST_DAILY_TIME = process.env.DIGEST_DAILY_TIME || '07:00';
+const DIGEST_WEEKLY_TIME = process.env.DIGEST_WEEKLY_TIME || '20:00';
+// 0 = Sunday ... 6 = Saturday - anything else falls back to Saturday (see the startup checks)
+const DIGEST_WEEKLY_DAY = /^[0-6]$/.test(process.env.DIGEST_WEEKLY_DAY || '') ? parseInt(process.env.DIGEST_WEEKLY_DAY) : 6;
+// A digest missed by this much (e.g. the cron was down) is not sent late
+const DIGEST_WINDOW_MINUTES = 180;
+
+// Public address of the bot, used to build iCalendar feed URLs (Vercel deployments fall back to VERCEL_URL)
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || (process.env.VERCEL_URL ? 'https://' + process.env.VERCEL_URL : '');
+// Interviews older than this are left out of the iCalendar feeds
+const CALENDAR_PAST_DAYS = 90;
+
+// Built-in reminder scheduler for `npm start` deployments - serverless deployments use /trigger-reminders instead
+const REMINDER_SCHEDULER_ENABLED = process.env.REMINDER_SCHEDULER_ENABLED === 'true';
+const REMINDER_SCHEDULER_CRON = process.env.REMINDER_SCHEDULER_CRON || '*/5 * * * *';
+// How long one reminder run may hold the lock before another instance can take over
+const REMINDER_LOCK_TTL_SECONDS = parseInt(process.env.REMINDER_LOCK_TTL_SECONDS) || 300;
+const REMINDER_LOCK_NAME = 'reminders';
+// Identifies this process as a lock holder
+const INSTANCE_ID = os.hostname() + ':' + process.pid;
+
 const client = new line.Client(lineConfig);
 
 // Middleware
 // Note: express.json() is not needed for LINE webhook as it needs raw body for signature validation
 
+// Reminder schedule helpers - offsets are stored as minutes before the interview
+class ReminderSchedule {
+  // Parse a single offset such as "1w", "2d", "24h", "15m", "2天" or "15分鐘" into minutes
+  static parseOffset(text) {
+    const match = String(text).trim().match(/^(\d+)\s*(w|d|h|m|週|周|天|日|小時|分鐘|分)$/i);
+    if (!match) return null;
+
+    const value = parseInt(match[1]);
+    const unit = match[2].toLowerCase();
+    const multipliers = {
+      'w': 7 * 24 * 60, '週': 7 * 24 * 60, '周': 7 * 24 * 60,
+      'd': 24 * 60, '天': 24 * 60, '日': 24 * 60,
+      'h': 60, '小時': 60,
+      'm': 1, '分鐘': 1, '分': 1
+    };
+
+    const minutes = value * multipliers[unit];
+    return minutes > 0 ? minutes : null;
+  }
+
+  // Parse a comma separated list of offsets, largest first - returns null if any entry is invalid
+  static parseOffsets(text) {
+    const parts = String(text).split(/[,，、]/).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const offsets = parts.map(part => this.parseOffset(part));
+    if (offsets.includes(null)) return null;
+
+    return [...new Set(offsets)].sort((a, b) => b - a);
+  }
+
+  // Format minutes for display, e.g. 1440 -> "24小時"
+  static formatOffset(minutes) {
+    if (minutes % (7 * 24 * 60) === 0) return (minutes / (7 * 24 * 60)) + '週';
+    if (minutes % (24 * 60) === 0 && minutes > 24 * 60) return (minutes / (24 * 60)) + '天';
+    if (minutes % 60 === 0) return (minutes / 60) + '小時';
+    return minutes + '分鐘';
+  }
+
+  // Global offsets from REMINDER_OFFSETS
+  static getDefaultOffsets() {
+    const offsets = this.parseOffsets(REMINDER_OFFSETS);
+    if (!offsets) {
+      console.warn(`⚠️ Invalid REMINDER_OFFSETS "${REMINDER_OFFSETS}" - falling back to 24h,3h`);
+      return [24 * 60, 3 * 60];
+    }
+    return offsets;
+  }
+
+  // Offsets for an interview - its own override or the global default
+  static getOffsets(interview) {
+    if (Array.isArray(interview.reminder_offsets) && interview.reminder_offsets.length > 0) {
+      return [...interview.reminder_offsets].sort((a, b) => b - a);
+    }
+    return this.getDefaultOffsets();
+  }
+
+  // Tolerance around an offset - never more than half the offset so short reminders don't fire too early
+  static getWindowMinutes(offsetMinutes) {
+    return Math.min(REMINDER_WINDOW_MINUTES, offsetMinutes / 2);
+  }
+
+  // Get the log entry for an offset, if the reminder was already claimed, sent or skipped
+  static getLog(interview, offsetMinutes) {
+    return (interview.reminder_logs || []).find(log => log.offset_minutes === offsetMinutes) || null;
+  }
+
+  // Whether a reminder may still be claimed: never logged, pending, or abandoned while sending
+  // (failed recipients are retried one by one from reminder_deliveries)
+  static isClaimable(log) {
+    if (!log || log.status === 'pending') return true;
+    return log.status === 'sending' && moment(log.claimed_at).isBefore(moment().subtract(REMINDER_CLAIM_TIMEOUT_MINUTES, 'minutes'));
+  }
+
+  // Sent / skipped / pending label for an offset
+  static getStatusText(interview, offsetMinutes) {
+    const log = this.getLog(interview, offsetMinutes);
+    if (!log || log.status === 'pending') return '❌ 未發送';
+    if (log.status === 'sending') return '📤 發送中';
+    if (log.status === 'failed') return '⚠️ 發送失敗';
+    return log.status === 'skipped' ? '⏭️ 已略過' : '✅ 已發送';
+  }
+
+  // Minutes to wait before retry number `attempts` - doubles every time
+  static getRetryDelayMinutes(attempts) {
+    return REMINDER_RETRY_BASE_MINUTES * Math.pow(2, Math.max(attempts - 1, 0));
+  }
+
+  // LINE errors that would fail again on retry (bad request, auth, unknown recipient)
+  static isPermanentError(statusCode) {
+    return [400, 401, 403, 404].includes(statusCode);
+  }
+
+  // Stable LINE retry key (a UUID) for one recipient of one delivery - LINE drops a repeated push with the same key
+  static getRetryKey(deliveryId, recipientId) {
+    const hex = crypto.createHash('sha1').update(deliveryId + ':' + recipientId).digest('hex');
+    return [
+      hex.substring(0, 8),
+      hex.substring(8, 12),
+      '5' + hex.substring(13, 16),
+      ((parseInt(hex.substring(16, 18), 16) & 0x3f) | 0x80).toString(16) + hex.substring(18, 20),
+      hex.substring(20, 32)
+    ].join('-');
+  }
+
+  // Split the due reminders of one interview (largest offset first) into ones to send and ones to drop
+  // - latest: only send the most recent reminder, older missed ones are dropped (e.g. 24h once 3h is due)
+  // - all:    send every missed reminder late
+  // - none:   never send late, missed reminders are dropped
+  static applyCatchUpPolicy(dueReminders) {
+    if (REMINDER_CATCHUP_POLICY === 'all') {
+      return { send: dueReminders, drop: [] };
+    }
+
+    if (REMINDER_CATCHUP_POLICY === 'none') {
+      return {
+        send: dueReminders.filter(reminder => !reminder.late),
+        drop: dueReminders.filter(reminder => reminder.late)
+      };
+    }
+
+    return {
+      send: dueReminders.slice(-1),
+      drop: dueReminders.slice(0, -1)
+    };
+  }
+}
+
+// Interview durations and overlap detection
+class ScheduleHelper {
+  // Default duration for a reason, e.g. "聖殿推薦書面談" -> 15 minutes
+  static getDefaultDuration(reason) {
+    const match = Object.keys(reasonDurations).find(keyword => reason && reason.includes(keyword));
+    return match ? reasonDurations[match] : DEFAULT_INTERVIEW_DURATION;
+  }
+
+  // Start and end of an interview in Asia/Taipei
+  static getTimeRange(interview) {
+    const start = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+    const duration = interview.duration_minutes || this.getDefaultDuration(interview.reason);
+    return { start, end: start.clone().add(duration, 'minutes') };
+  }
+
+  // Existing interviews that overlap the candidate
+  static findOverlaps(candidate, existingInterviews) {
+    const { start, end } = this.getTimeRange(candidate);
+    return existingInterviews.filter((interview) => {
+      const range = this.getTimeRange(interview);
+      return start.isBefore(range.end) && range.start.isBefore(end);
+    });
+  }
+
+  // Nearest start time on the same day (in 15-minute steps) that doesn't overlap, or null if the day is full
+  static findNearestFreeSlot(candidate, existingInterviews) {
+    const { start } = this.getTimeRange(candidate);
+    const now = moment.tz('Asia/Taipei');
+    const stepMinutes = 15;
+
+    for (let step = 1; step <= (24 * 60) / stepMinutes; step++) {
+      for (const direction of [1, -1]) {
+        const slot = start.clone().add(direction * step * stepMinutes, 'minutes');
+        if (slot.format('YYYY-MM-DD') !== candidate.interview_date || slot.isBefore(now)) continue;
+
+        const slotCandidate = { ...candidate, interview_time: slot.format('HH:mm:ss') };
+        if (this.findOverlaps(slotCandidate, existingInterviews).length === 0) {
+          return slot.format('HH:mm');
+        }
+      }
+    }
+    return null;
+  }
+
+  // Free start times within availability windows that don't overlap existing interviews
+  // windows: [{ start_time, end_time }] for the date's weekday
+  static findFreeSlots(date, windows, existingInterviews, durationMinutes) {
+    const now = moment.tz('Asia/Taipei');
+    const stepMinutes = 15;
+    const slots = [];
+
+    for (const window of windows) {
+      const windowEnd = moment.tz(`${date} ${window.end_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+      let slot = moment.tz(`${date} ${window.start_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+
+      while (!slot.clone().add(durationMinutes, 'minutes').isAfter(windowEnd)) {
+        const candidate = { interview_date: date, interview_time: slot.format('HH:mm:ss'), duration_minutes: durationMinutes };
+        if (!slot.isBefore(now) && this.findOverlaps(candidate, existingInterviews).length === 0) {
+          slots.push(slot.format('HH:mm'));
+        }
+        slot.add(stepMinutes, 'minutes');
+      }
+    }
+
+    return [...new Set(slots)].sort();
+  }
+
+  // Conflict message listing the clashing interviews and the nearest free slot
+  // forceHint: whether the user can override with "強制" (commands) or not (buttons, guided flow)
+  static formatConflictMessage(candidate, conflicts, existingInterviews, forceHint = true) {
+    let message = '⚠️ 時間衝突！' + candidate.interviewer_name + ' 在此時段已有面談：\n\n';
+    conflicts.forEach((interview) => {
+      const { start, end } = this.getTimeRange(interview);
+      message += 'ID: ' + interview.id + ' ' + interview.interviewee_name + ' ' + start.format('HH:mm') + '-' + end.format('HH:mm') + '（' + (interview.reason || '無') + '）\n';
+    });
+
+    const freeSlot = this.findNearestFreeSlot(candidate, existingInterviews);
+    message += freeSlot ? '\n💡 最近的空檔：' + candidate.interview_date + ' ' + freeSlot : '\n💡 當天沒有其他空檔。';
+    if (forceHint) {
+      message += '\n\n如仍要安排，請在指令最後加上「強制」。';
+    }
+    return message;
+  }
+}
+
 // Interview management functions
 class InterviewManager {
-  // Add new interview
-  static async addInterview(userId, intervieweeName, interviewerName, date, time, reason) {
+  // Add new interview to a conversation scope (group, room or 1:1 chat)
+  static async addInterview(scopeId, userId, intervieweeName, interviewerName, date, time, reason, durationMinutes, memberId = null, actor = null) {
     try {
       const { data, error } = await supabase
         .from('interviews')
         .insert([
           {
+            scope_id: scopeId,
             user_id: userId,
+            member_id: memberId,
             interviewee_name: intervieweeName,
             interviewer_name: interviewerName,
             interview_date: date,
             interview_time: time,
-            reason: reason
+            reason: reason,
+            duration_minutes: durationMinutes || ScheduleHelper.getDefaultDuration(reason)
           }
         ])
         .select();
@@ -49,21 +322,8 @@ class InterviewManager {
 
       // Check if this interview needs immediate reminders (edge case handling)
       const interview = data[0];
-      const interviewDateTime = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
-      const now = moment.tz('Asia/Taipei');
-      const diffHours = interviewDateTime.diff(now, 'hours', true);
-
-      // If interview is less than 3 hours away, mark 24h reminder as sent
-      if (diffHours < 3) {
-        await this.markReminderSent(interview.id, '24h');
-        console.log(`⚠️ Interview ${interview.id} added less than 3 hours before start - 24h reminder skipped`);
-      }
-
-      // If interview is less than 1 hour away, mark 3h reminder as sent
-      if (diffHours < 1) {
-        await this.markReminderSent(interview.id, '3h');
-        console.log(`⚠️ Interview ${interview.id} added less than 1 hour before start - 3h reminder skipped`);
-      }
+      await this.skipPassedReminders(interview);
+      await AuditManager.record(scopeId, actor, 'create', null, interview);
 
       return { success: true, data: interview };
     } catch (error) {
@@ -72,499 +332,7052 @@ class InterviewManager {
     }
   }
 
-  // Get all interviews for a user
-  static async getInterviews(userId) {
+  // Add the interviews of a CSV import. import_interviews creates the members of rows without
+  // member_id and inserts the interviews in one transaction, so either all of them are added or none.
+  // rows hold the interviews columns without scope_id and user_id; the result keeps their order
+  static async importInterviews(scopeId, userId, rows, actor = null) {
     try {
-      const { data, error } = await supabase
-        .from('interviews')
-        .select('*')
-        .eq('user_id', userId)
-        .order('interview_date', { ascending: true })
-        .order('interview_time', { ascending: true });
+      const { data: added, error } = await supabase.rpc('import_interviews', {
+        p_scope_id: scopeId,
+        p_user_id: userId,
+        p_interviews: rows
+      });
 
       if (error) throw error;
+      const data = [...added].sort((a, b) => a.id - b.id);
+
+      for (const interview of data) {
+        await this.skipPassedReminders(interview);
+      }
+      await AuditManager.record(scopeId, actor, 'create', null, data);
+
       return { success: true, data };
     } catch (error) {
-      console.error('Error getting interviews:', error);
+      console.error('Error importing interviews:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Update interview
-  static async updateInterview(userId, interviewId, updates) {
+  // Skip every reminder whose window has already passed (interview added or moved close to its start)
+  static async skipPassedReminders(interview) {
+    const interviewDateTime = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+    const now = moment.tz('Asia/Taipei');
+    const diffMinutes = interviewDateTime.diff(now, 'minutes', true);
+
+    for (const offsetMinutes of ReminderSchedule.getOffsets(interview)) {
+      if (diffMinutes < offsetMinutes - ReminderSchedule.getWindowMinutes(offsetMinutes)) {
+        await this.markReminderSent(interview.id, offsetMinutes, 'skipped');
+        console.log(`⚠️ Interview ${interview.id} added less than ${ReminderSchedule.formatOffset(offsetMinutes)} before start - reminder skipped`);
+      }
+    }
+  }
+
+  // Move an interview to a new slot - the old slot is kept in interview_reschedules and reminders start over.
+  // reschedule_interviews makes the three writes in one transaction; changes holds other columns
+  // (names, member_id, reason, duration_minutes) to save in the same update
+  static async rescheduleInterview(scopeId, interview, date, time, actor, changes = {}) {
     try {
-      const { data, error } = await supabase
-        .from('interviews')
-        .update(updates)
-        .eq('id', interviewId)
-        .eq('user_id', userId)
-        .select();
+      const { data, error } = await supabase.rpc('reschedule_interviews', {
+        p_scope_id: scopeId,
+        p_interview_ids: [interview.id],
+        p_date: date,
+        p_time: time,
+        p_status: 'scheduled',
+        p_rescheduled_by: actor.userId,
+        p_changes: changes
+      });
 
       if (error) throw error;
+      if (data.length === 0) throw new Error('Interview not found');
+
+      await AuditManager.record(scopeId, actor, 'reschedule', interview, data);
+      await this.skipPassedReminders(data[0]);
+
       return { success: true, data: data[0] };
     } catch (error) {
-      console.error('Error updating interview:', error);
+      console.error('Error rescheduling interview:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Move occurrences of a series to a new time, like rescheduleInterview - each old slot is kept
+  // and their reminders start over. Their statuses stay as they are
+  static async rescheduleSeriesInterviews(scopeId, seriesId, interviews, time, updateTemplate, actor) {
+    try {
+      const { data, error } = await supabase.rpc('reschedule_interviews', {
+        p_scope_id: scopeId,
+        p_interview_ids: interviews.map(interview => interview.id),
+        p_date: null,
+        p_time: time,
+        p_status: null,
+        p_rescheduled_by: actor.userId
+      });
+
+      if (error) throw error;
+      await AuditManager.record(scopeId, actor, 'reschedule', interviews, data);
+
+      for (const interview of data) {
+        await this.skipPassedReminders(interview);
+      }
+
+      // Keep the series template in step when every occurrence moves
+      if (updateTemplate) {
+        const { error: seriesError } = await supabase
+          .from('interview_series')
+          .update({ interview_time: time })
+          .eq('id', seriesId)
+          .eq('scope_id', scopeId);
+        if (seriesError) throw seriesError;
+      }
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error rescheduling series interviews:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Delete interview
-  static async deleteInterview(userId, interviewId) {
+  // Start an interview's reminders over after it moved, as if it had just been added
+  static async resetReminders(interview) {
     try {
+      // A reminder being delivered right now is left to finish
       const { error } = await supabase
-        .from('interviews')
+        .from('reminder_logs')
         .delete()
-        .eq('id', interviewId)
-        .eq('user_id', userId);
+        .eq('interview_id', interview.id)
+        .neq('status', 'sending');
 
       if (error) throw error;
+
+      await this.skipPassedReminders(interview);
       return { success: true };
     } catch (error) {
-      console.error('Error deleting interview:', error);
+      console.error('Error resetting reminders:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Get interviews that need reminders
-  static async getInterviewsNeedingReminders() {
+  // Earlier slots of an interview, oldest first
+  static async getReschedules(interviewId) {
     try {
-      const now = moment.tz('Asia/Taipei');
-      
-      // Get all interviews that haven't sent reminders yet
-      const { data: allInterviews, error } = await supabase
-        .from('interviews')
+      const { data, error } = await supabase
+        .from('interview_reschedules')
         .select('*')
-        .or('reminder_24h_sent.eq.false,reminder_3h_sent.eq.false')
-        .gte('interview_date', now.format('YYYY-MM-DD'));
+        .eq('interview_id', interviewId)
+        .order('created_at', { ascending: true });
 
       if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting reschedules:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      // Diagnostic log: Did Supabase return interviews?
-      console.log('Fetched interviews:', allInterviews ? allInterviews.length : 0);
+  // Add a recurring series and one interview row per occurrence
+  static async addSeries(scopeId, userId, fields, rule, dates, actor = null) {
+    try {
+      const { data: seriesData, error: seriesError } = await supabase
+        .from('interview_series')
+        .insert([
+          {
+            scope_id: scopeId,
+            user_id: userId,
+            interviewee_name: fields.intervieweeName,
+            interviewer_name: fields.interviewerName,
+            interview_time: fields.time,
+            reason: fields.reason,
+            duration_minutes: fields.durationMinutes,
+            frequency: rule.frequency,
+            repeat_interval: rule.interval,
+            nth_week: rule.nthWeek,
+            weekday: rule.weekday,
+            start_date: dates[0],
+            end_date: rule.endDate,
+            occurrence_count: rule.count,
+            description: rule.description
+          }
+        ])
+        .select();
 
-      const interviews24h = [];
-      const interviews3h = [];
+      if (seriesError) throw seriesError;
+      const series = seriesData[0];
 
-      // Process each interview to check exact timing
-      for (const interview of allInterviews || []) {
-        const interviewDateTime = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
-        const diffHours = interviewDateTime.diff(now, 'hours', true);
+      const { data, error } = await supabase
+        .from('interviews')
+        .insert(dates.map(date => ({
+          scope_id: scopeId,
+          user_id: userId,
+          series_id: series.id,
+          member_id: fields.memberId || null,
+          interviewee_name: fields.intervieweeName,
+          interviewer_name: fields.interviewerName,
+          interview_date: date,
+          interview_time: fields.time,
+          reason: fields.reason,
+          duration_minutes: fields.durationMinutes
+        })))
+        .select();
 
-        // Check for 24-hour reminder (between 23.5 and 24.5 hours before)
-        if (!interview.reminder_24h_sent && diffHours >= 23.5 && diffHours <= 24.5) {
-          interviews24h.push(interview);
-        }
+      if (error) throw error;
 
-        // Check for 3-hour reminder (between 2.5 and 3.5 hours before)
-        if (!interview.reminder_3h_sent && diffHours >= 2.5 && diffHours <= 3.5) {
-          interviews3h.push(interview);
-        }
+      for (const interview of data) {
+        await this.skipPassedReminders(interview);
       }
+      await AuditManager.record(scopeId, actor, 'create', null, data);
 
-      // Diagnostic log: Did any match the 24h condition?
-      console.log('24h matches:', interviews24h.length, '3h matches:', interviews3h.length);
-
-      return {
-        success: true,
-        data: {
-          interviews24h,
-          interviews3h
-        }
-      };
+      return { success: true, data: { series, interviews: data } };
     } catch (error) {
-      console.error('Error getting interviews needing reminders:', error);
+      console.error('Error adding series:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Mark reminder as sent
-  static async markReminderSent(interviewId, reminderType) {
+  // Get the occurrences of a series - all of them, or those on or after fromDate
+  static async getSeriesInterviews(scopeId, seriesId, fromDate = null) {
     try {
-      const updateData = {};
-      if (reminderType === '24h') {
-        updateData.reminder_24h_sent = true;
-      } else if (reminderType === '3h') {
-        updateData.reminder_3h_sent = true;
+      let query = supabase
+        .from('interviews')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null)
+        .eq('series_id', seriesId)
+        .order('interview_date', { ascending: true });
+
+      if (fromDate) {
+        query = query.gte('interview_date', fromDate);
       }
 
-      const { error } = await supabase
-        .from('interviews')
-        .update(updateData)
-        .eq('id', interviewId);
+      const { data, error } = await query;
 
       if (error) throw error;
-      return { success: true };
+      return { success: true, data };
     } catch (error) {
-      console.error('Error marking reminder sent:', error);
+      console.error('Error getting series interviews:', error);
       return { success: false, error: error.message };
     }
   }
-}
 
-// Field mapping for Chinese field names to database columns
-const fieldMap = {
-  '面談對象': 'interviewee_name',
-  '面談者': 'interviewer_name',
-  '日期': 'interview_date',
-  '時間': 'interview_time',
-  '理由': 'reason'
-};
+  // Update the occurrences of a series - all of them, or those on or after fromDate
+  static async updateSeriesInterviews(scopeId, seriesId, fromDate, updates, actor = null) {
+    try {
+      const scoped = (query) => {
+        query = query.eq('scope_id', scopeId).is('deleted_at', null).eq('series_id', seriesId);
+        return fromDate ? query.gte('interview_date', fromDate) : query;
+      };
 
-// Input validation and sanitization
-class InputValidator {
-  static sanitizeString(input) {
-    if (!input || typeof input !== 'string') return '';
-    return input.trim().replace(/[<>]/g, ''); // Basic XSS prevention
-  }
-  
-  static validateDate(dateString) {
-    return moment.tz(dateString, 'YYYY-MM-DD', true, 'Asia/Taipei').isValid();
-  }
-  
-  static validateTime(timeString) {
-    return moment.tz(timeString, ['HH:mm', 'HH:mm:ss'], true, 'Asia/Taipei').isValid();
-  }
-  
-  static validateName(name) {
-    const sanitized = this.sanitizeString(name);
-    return sanitized.length > 0 && sanitized.length <= 100;
-  }
-}
+      const { data: before, error: beforeError } = await scoped(supabase.from('interviews').select('*'));
+      if (beforeError) throw beforeError;
 
-// Message parsing functions
-class MessageParser {
-  // Parse "加入" command - Updated format: 加入 {面談對象} {面談者} {日期} {時間} {理由}
-  static parseAddCommand(text) {
-    // Allow both : and ： (full-width colon)
-    const regex = /加入\s+([^\s]+)\s+([^\s]+)\s+(\d{4}-\d{2}-\d{2})\s+(\d{2}[:：]\d{2})\s+(.+)/;
-    const match = text.match(regex);
-    
-    if (!match) return null;
-    
-    // Normalize full-width colon to standard colon
-    const time = match[4].replace('：', ':');
-    
-    return {
-      intervieweeName: match[1],
-      interviewerName: match[2],
-      date: match[3],
-      time: time + ':00', // Add seconds for proper TIME format
-      reason: match[5]
-    };
-  }
+      const { data, error } = await scoped(supabase.from('interviews').update(updates)).select();
 
-  // Parse update command (format: 更新 {id} {field} {value})
-  static parseUpdateCommand(text) {
-    const regex = /更新\s+(\d+)\s+([^\s]+)\s+(.+)/;
-    const match = text.match(regex);
-    
-    if (!match) return null;
-    
-    return {
-      id: parseInt(match[1]),
-      field: match[2],
-      value: match[3]
-    };
-  }
+      if (error) throw error;
+      await AuditManager.record(scopeId, actor, 'update', before, data);
 
-  // Parse delete command (format: 刪除 {id})
-  static parseDeleteCommand(text) {
-    const regex = /刪除\s+(\d+)/;
-    const match = text.match(regex);
-    
-    if (!match) return null;
-    
-    return {
-      id: parseInt(match[1])
-    };
+      // Keep the series template in step when every occurrence changes
+      if (!fromDate) {
+        const seriesFields = ['interviewee_name', 'interviewer_name', 'interview_time', 'reason', 'duration_minutes'];
+        const seriesUpdates = Object.fromEntries(Object.entries(updates).filter(([field]) => seriesFields.includes(field)));
+        if (Object.keys(seriesUpdates).length > 0) {
+          const { error: seriesError } = await supabase
+            .from('interview_series')
+            .update(seriesUpdates)
+            .eq('id', seriesId)
+            .eq('scope_id', scopeId);
+          if (seriesError) throw seriesError;
+        }
+      }
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error updating series interviews:', error);
+      return { success: false, error: error.message };
+    }
   }
-}
 
-// Message handling
-async function handleMessage(event) {
-  const { text } = event.message;
-  const userId = event.source.userId;
+  // Soft delete the occurrences of a series on or after fromDate (ending the series there),
+  // or the entire series when fromDate is null. The series row stays so 復原 can bring them back.
+  static async deleteSeriesInterviews(scopeId, seriesId, fromDate, actor = null) {
+    try {
+      const scoped = (query) => {
+        query = query.eq('scope_id', scopeId).is('deleted_at', null).eq('series_id', seriesId);
+        return fromDate ? query.gte('interview_date', fromDate) : query;
+      };
+
+      const { data: before, error: beforeError } = await scoped(supabase.from('interviews').select('*'));
+      if (beforeError) throw beforeError;
+
+      const { data, error } = await scoped(supabase.from('interviews').update(this.getDeleteMark(actor))).select();
+
+      if (error) throw error;
+      await AuditManager.record(scopeId, actor, 'delete', before, data);
+
+      if (fromDate) {
+        const { error: seriesError } = await supabase
+          .from('interview_series')
+          .update({ end_date: moment.tz(fromDate, 'Asia/Taipei').subtract(1, 'day').format('YYYY-MM-DD') })
+          .eq('id', seriesId)
+          .eq('scope_id', scopeId);
+
+        if (seriesError) throw seriesError;
+      }
+      return { success: true, data: data.length };
+    } catch (error) {
+      console.error('Error deleting series interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get an interviewer's interviews between two dates (inclusive)
+  static async getInterviewerScheduleBetween(scopeId, interviewerName, fromDate, toDate) {
+    try {
+      const { data, error } = await supabase
+        .from('interviews')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null)
+        .eq('interviewer_name', interviewerName)
+        .not('status', 'in', '(cancelled,rescheduled)')
+        .gte('interview_date', fromDate)
+        .lte('interview_date', toDate)
+        .order('interview_date', { ascending: true })
+        .order('interview_time', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interviewer schedule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get all interviews for a conversation scope
+  // options.scheduledOnly leaves out interviews with a recorded outcome
+  static async getInterviews(scopeId, options = {}) {
+    try {
+      let query = supabase
+        .from('interviews')
+        .select('*, reminder_logs(offset_minutes, status, sent_at), interview_series(description)')
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null);
+
+      if (options.scheduledOnly) {
+        query = query.eq('status', 'scheduled');
+      }
+
+      const { data, error } = await query
+        .order('interview_date', { ascending: true })
+        .order('interview_time', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // One page of 面談清單 and GET /api/v1/interviews - filters (see MessageParser.parseListCommand)
+  // all run in the query. Without a date filter only interviews that haven't ended are listed,
+  // 已過期 lists the ones that have (newest first); 全部 and 已過期 include interviews with a
+  // recorded outcome, filters.status picks one status. data.total counts every matching interview
+  static async listInterviews(scopeId, filters, page = 1, pageSize = LIST_PAGE_SIZE) {
+    try {
+      const now = moment.tz('Asia/Taipei');
+      const today = now.format('YYYY-MM-DD');
+      const nowTime = now.format('HH:mm:ss');
+      let query = supabase
+        .from('interviews')
+        .select('*, interview_series(description)', { count: 'exact' })
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null);
+
+      if (filters.status) {
+        query = query.eq('status', filters.status);
+      } else if (!filters.all && !filters.past) {
+        query = query.eq('status', 'scheduled');
+      }
+      if (filters.fromDate) query = query.gte('interview_date', filters.fromDate);
+      if (filters.toDate) query = query.lte('interview_date', filters.toDate);
+      if (filters.past) {
+        query = query.or(`interview_date.lt.${today},and(interview_date.eq.${today},interview_time.lt.${nowTime})`);
+      } else if (!filters.all && !filters.fromDate && !filters.toDate) {
+        // Interviews that started but haven't ended yet stay listed until their end time
+        const inProgress = await this.getInProgressIds(scopeId, now);
+        query = query.or(`interview_date.gt.${today},and(interview_date.eq.${today},interview_time.gte.${nowTime})` +
+          (inProgress.length > 0 ? `,id.in.(${inProgress.join(',')})` : ''));
+      }
+      if (filters.interviewer) {
+        query = query.eq('interviewer_name', filters.interviewer);
+      }
+      if (filters.reason) {
+        // % and _ in the keyword are literal characters, not wildcards
+        query = query.ilike('reason', '%' + filters.reason.replace(/[\\%_]/g, '\\$&') + '%');
+      }
+
+      const from = (page - 1) * pageSize;
+      const { data, error, count } = await query
+        .order('interview_date', { ascending: !filters.past })
+        .order('interview_time', { ascending: !filters.past })
+        .range(from, from + pageSize - 1);
+
+      if (error) throw error;
+      return { success: true, data: { interviews: data, total: count || 0 } };
+    } catch (error) {
+      console.error('Error listing interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // IDs of today's scheduled interviews that have started but not ended
+  static async getInProgressIds(scopeId, now) {
+    const { data, error } = await supabase
+      .from('interviews')
+      .select('id, interview_date, interview_time, duration_minutes, reason')
+      .eq('scope_id', scopeId)
+      .is('deleted_at', null)
+      .eq('status', 'scheduled')
+      .eq('interview_date', now.format('YYYY-MM-DD'))
+      .lt('interview_time', now.format('HH:mm:ss'));
+
+    if (error) throw error;
+    return data.filter(interview => ScheduleHelper.getTimeRange(interview).end.isAfter(now)).map(interview => interview.id);
+  }
+
+  // Get a single interview in a conversation scope
+  static async getInterview(scopeId, interviewId) {
+    try {
+      const { data, error } = await supabase
+        .from('interviews')
+        .select('*, interview_series(description)')
+        .eq('id', interviewId)
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interview:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The stored row of an interview (without embedded relations), for the audit log's "before" snapshot
+  static async getAuditSnapshot(scopeId, interviewId) {
+    const { data, error } = await supabase
+      .from('interviews')
+      .select('*')
+      .eq('id', interviewId)
+      .eq('scope_id', scopeId)
+      .is('deleted_at', null);
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Get an interview in any scope - only for the registered interviewer's private chat
+  static async getInterviewById(interviewId) {
+    try {
+      const { data, error } = await supabase
+        .from('interviews')
+        .select('*, interview_series(description)')
+        .eq('id', interviewId)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interview by id:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record an interview's outcome - a note of undefined keeps the existing note
+  static async recordOutcome(scopeId, interviewId, status, note, actor) {
+    try {
+      const updates = {
+        status: status,
+        outcome_recorded_by: actor.userId,
+        outcome_recorded_at: new Date().toISOString()
+      };
+      if (note !== undefined) {
+        updates.outcome_note = note;
+      }
+
+      const before = await this.getAuditSnapshot(scopeId, interviewId);
+      const { data, error } = await supabase
+        .from('interviews')
+        .update(updates)
+        .eq('id', interviewId)
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null)
+        .select();
+
+      if (error) throw error;
+      await AuditManager.record(scopeId, actor, 'outcome', before, data);
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error recording outcome:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Scheduled interviews that ended at least OUTCOME_PROMPT_DELAY_MINUTES ago and haven't been prompted yet
+  static async getInterviewsAwaitingOutcome() {
+    try {
+      const now = moment.tz('Asia/Taipei');
+      const { data, error } = await supabase
+        .from('interviews')
+        .select('*')
+        .eq('status', 'scheduled')
+        .is('deleted_at', null)
+        .is('outcome_prompted_at', null)
+        .gte('interview_date', now.clone().subtract(OUTCOME_PROMPT_LOOKBACK_DAYS, 'days').format('YYYY-MM-DD'))
+        .lte('interview_date', now.format('YYYY-MM-DD'));
+
+      if (error) throw error;
+
+      const due = now.clone().subtract(OUTCOME_PROMPT_DELAY_MINUTES, 'minutes');
+      return { success: true, data: data.filter(interview => !ScheduleHelper.getTimeRange(interview).end.isAfter(due)) };
+    } catch (error) {
+      console.error('Error getting interviews awaiting outcome:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Atomically claim the outcome prompt of an interview - data is null when another run already sent it
+  static async claimOutcomePrompt(interviewId) {
+    try {
+      const { data, error } = await supabase
+        .from('interviews')
+        .update({ outcome_prompted_at: new Date().toISOString() })
+        .eq('id', interviewId)
+        .is('deleted_at', null)
+        .eq('status', 'scheduled')
+        .is('outcome_prompted_at', null)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] || null };
+    } catch (error) {
+      console.error('Error claiming outcome prompt:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Release a claimed outcome prompt so the next run tries again
+  static async releaseOutcomePrompt(interviewId) {
+    try {
+      const { error } = await supabase
+        .from('interviews')
+        .update({ outcome_prompted_at: null })
+        .eq('id', interviewId);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error releasing outcome prompt:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Interviews of an iCalendar feed - deleted ones that aren't purged yet are included on purpose,
+  // so subscribed calendars see them as cancelled
+  static async getCalendarInterviews(scopeId, interviewerName = null) {
+    try {
+      let query = supabase
+        .from('interviews')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .gte('interview_date', moment.tz('Asia/Taipei').subtract(CALENDAR_PAST_DAYS, 'days').format('YYYY-MM-DD'));
+
+      if (interviewerName) {
+        query = query.eq('interviewer_name', interviewerName);
+      }
+
+      const { data, error } = await query
+        .order('interview_date', { ascending: true })
+        .order('interview_time', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting calendar interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Interviews of a conversation for CSV export and import checks - both dates are optional.
+  // Read DB_PAGE_SIZE rows at a time, so a whole schedule isn't cut off at the request limit
+  static async getInterviewsBetween(scopeId, fromDate = null, toDate = null, status = null) {
+    try {
+      const interviews = [];
+      for (let from = 0; ; from += DB_PAGE_SIZE) {
+        let query = supabase
+          .from('interviews')
+          .select('*')
+          .eq('scope_id', scopeId)
+          .is('deleted_at', null);
+
+        if (fromDate) query = query.gte('interview_date', fromDate);
+        if (toDate) query = query.lte('interview_date', toDate);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query
+          .order('interview_date', { ascending: true })
+          .order('interview_time', { ascending: true })
+          .order('id', { ascending: true })
+          .range(from, from + DB_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        interviews.push(...data);
+        if (data.length < DB_PAGE_SIZE) break;
+      }
+      return { success: true, data: interviews };
+    } catch (error) {
+      console.error('Error getting interviews between dates:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Scheduled interviews on one date across all conversations, for the agenda digests
+  static async getScheduledInterviewsOn(date) {
+    try {
+      const { data, error } = await supabase
+        .from('interviews')
+        .select('*')
+        .eq('interview_date', date)
+        .eq('status', 'scheduled')
+        .is('deleted_at', null)
+        .order('interview_time', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interviews for digest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Recently used interviewer names and reasons in a scope, most recent first (for quick replies)
+  static async getSuggestions(scopeId) {
+    try {
+      const { data, error } = await supabase
+        .from('interviews')
+        .select('interviewer_name, reason')
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: false })
+        .limit(100);
+
+      if (error) throw error;
+
+      const unique = (values) => [...new Set(values.filter(Boolean))];
+      return {
+        success: true,
+        data: {
+          interviewers: unique(data.map(row => row.interviewer_name)),
+          reasons: unique(data.map(row => row.reason))
+        }
+      };
+    } catch (error) {
+      console.error('Error getting suggestions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get an interviewer's interviews on a date (excluding one interview when it is being updated)
+  static async getInterviewerSchedule(scopeId, interviewerName, date, excludeId = null) {
+    try {
+      let query = supabase
+        .from('interviews')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null)
+        .eq('interviewer_name', interviewerName)
+        .eq('interview_date', date)
+        .not('status', 'in', '(cancelled,rescheduled)')
+        .order('interview_time', { ascending: true });
+
+      if (excludeId) {
+        query = query.neq('id', excludeId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interviewer schedule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Update interview
+  static async updateInterview(scopeId, interviewId, updates, actor = null) {
+    try {
+      const before = await this.getAuditSnapshot(scopeId, interviewId);
+      const { data, error } = await supabase
+        .from('interviews')
+        .update(updates)
+        .eq('id', interviewId)
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null)
+        .select();
+
+      if (error) throw error;
+      await AuditManager.record(scopeId, actor, 'update', before, data);
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error updating interview:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Soft delete interview - data is null when there was no such interview
+  static async deleteInterview(scopeId, interviewId, actor = null) {
+    try {
+      const before = await this.getAuditSnapshot(scopeId, interviewId);
+      const { data, error } = await supabase
+        .from('interviews')
+        .update(this.getDeleteMark(actor))
+        .eq('id', interviewId)
+        .eq('scope_id', scopeId)
+        .is('deleted_at', null)
+        .select();
+
+      if (error) throw error;
+      await AuditManager.record(scopeId, actor, 'delete', before, data);
+      return { success: true, data: data[0] || null };
+    } catch (error) {
+      console.error('Error deleting interview:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Columns that mark an interview as deleted - it stays in the table until purged
+  static getDeleteMark(actor) {
+    return {
+      deleted_at: new Date().toISOString(),
+      deleted_by: actor ? actor.userId : null
+    };
+  }
+
+  // Permanently remove interviews deleted more than DELETED_RETENTION_DAYS ago
+  static async purgeDeletedInterviews() {
+    try {
+      const cutoff = moment.tz('Asia/Taipei').subtract(DELETED_RETENTION_DAYS, 'days');
+      const { data, error } = await supabase
+        .from('interviews')
+        .delete()
+        .lt('deleted_at', cutoff.toISOString())
+        .select('id, series_id');
+
+      if (error) throw error;
+
+      // A series whose occurrences are all gone goes with them
+      for (const seriesId of [...new Set(data.map(row => row.series_id).filter(Boolean))]) {
+        const { count, error: countError } = await supabase
+          .from('interviews')
+          .select('id', { count: 'exact', head: true })
+          .eq('series_id', seriesId);
+        if (countError) throw countError;
+        if (count > 0) continue;
+
+        const { error: seriesError } = await supabase
+          .from('interview_series')
+          .delete()
+          .eq('id', seriesId);
+        if (seriesError) throw seriesError;
+      }
+
+      return { success: true, data: data.length };
+    } catch (error) {
+      console.error('Error purging deleted interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get interviews that need reminders
+  static async getInterviewsNeedingReminders() {
+    try {
+      const now = moment.tz('Asia/Taipei');
+      
+      // Get all upcoming interviews together with the reminders already logged for them
+      const { data: allInterviews, error } = await supabase
+        .from('interviews')
+        .select('*, reminder_logs(offset_minutes, status, sent_at, claimed_at)')
+        .eq('status', 'scheduled')
+        .is('deleted_at', null)
+        .gte('interview_date', now.format('YYYY-MM-DD'));
+
+      if (error) throw error;
+
+      // Diagnostic log: Did Supabase return interviews?
+      console.log('Fetched interviews:', allInterviews ? allInterviews.length : 0);
+
+      const reminders = [];
+      const dropped = [];
+
+      // Process each interview to check exact timing of every offset
+      for (const interview of allInterviews || []) {
+        const interviewDateTime = moment.tz(`${interview.interview_date} ${interview.interview_time}`, 'YYYY-MM-DD HH:mm:ss', 'Asia/Taipei');
+        const diffMinutes = interviewDateTime.diff(now, 'minutes', true);
+
+        // Interviews that already started get no more reminders
+        if (diffMinutes <= 0) continue;
+
+        const dueReminders = [];
+        for (const offsetMinutes of ReminderSchedule.getOffsets(interview)) {
+          const windowMinutes = ReminderSchedule.getWindowMinutes(offsetMinutes);
+
+          if (!ReminderSchedule.isClaimable(ReminderSchedule.getLog(interview, offsetMinutes)) || diffMinutes > offsetMinutes + windowMinutes) {
+            continue;
+          }
+
+          // e.g. the 24h reminder fires between 23.5 and 24.5 hours before - anything later is a catch-up
+          const late = diffMinutes < offsetMinutes - windowMinutes;
+          dueReminders.push({ interview, offsetMinutes, late });
+        }
+
+        const { send, drop } = ReminderSchedule.applyCatchUpPolicy(dueReminders);
+        reminders.push(...send);
+        dropped.push(...drop);
+      }
+
+      // Diagnostic log: Did any match an offset?
+      console.log('Reminder matches:', reminders.length, 'late:', reminders.filter(r => r.late).length, 'dropped:', dropped.length);
+
+      return {
+        success: true,
+        data: {
+          reminders,
+          dropped
+        }
+      };
+    } catch (error) {
+      console.error('Error getting interviews needing reminders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Mark reminder as sent (or skipped) in the reminder log - never overrides a reminder being sent or already sent
+  static async markReminderSent(interviewId, offsetMinutes, status = 'sent') {
+    try {
+      const { error } = await supabase
+        .from('reminder_logs')
+        .upsert([
+          {
+            interview_id: interviewId,
+            offset_minutes: offsetMinutes,
+            status: status
+          }
+        ], { onConflict: 'interview_id,offset_minutes', ignoreDuplicates: true });
+
+      if (error) throw error;
+
+      const { error: updateError } = await supabase
+        .from('reminder_logs')
+        .update({ status: status })
+        .eq('interview_id', interviewId)
+        .eq('offset_minutes', offsetMinutes)
+        .in('status', ['pending', 'failed']);
+
+      if (updateError) throw updateError;
+      return { success: true };
+    } catch (error) {
+      console.error('Error marking reminder sent:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Atomically claim a reminder for delivery (pending/failed/abandoned -> sending).
+  // data is the claimed log row, or null when another run already claimed or sent it.
+  static async claimReminder(interviewId, offsetMinutes) {
+    try {
+      // Make sure a pending row exists - its delivery_id stays the same across retries
+      const { error: insertError } = await supabase
+        .from('reminder_logs')
+        .upsert([
+          {
+            interview_id: interviewId,
+            offset_minutes: offsetMinutes,
+            status: 'pending'
+          }
+        ], { onConflict: 'interview_id,offset_minutes', ignoreDuplicates: true });
+
+      if (insertError) throw insertError;
+
+      // Compare-and-set: only one caller can move the row into 'sending'
+      const staleBefore = moment().subtract(REMINDER_CLAIM_TIMEOUT_MINUTES, 'minutes').toISOString();
+      const claimToken = crypto.randomUUID();
+      const { data, error } = await supabase
+        .from('reminder_logs')
+        .update({
+          status: 'sending',
+          claim_token: claimToken,
+          claimed_by: INSTANCE_ID,
+          claimed_at: new Date().toISOString()
+        })
+        .eq('interview_id', interviewId)
+        .eq('offset_minutes', offsetMinutes)
+        .or(`status.in.(pending,failed),and(status.eq.sending,claimed_at.lt."${staleBefore}")`)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 ? data[0] : null };
+    } catch (error) {
+      console.error('Error claiming reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Finish a claimed reminder as 'sent' (at least one recipient got it) or 'failed'
+  static async completeReminder(claim, status, lastError = null) {
+    try {
+      const { error } = await supabase
+        .from('reminder_logs')
+        .update({
+          status: status,
+          sent_at: new Date().toISOString(),
+          last_error: lastError
+        })
+        .eq('id', claim.id)
+        .eq('claim_token', claim.claim_token);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error completing reminder:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Audit log - who changed which interviews from where, with the rows before and after the change
+class AuditManager {
+  // Record a change. before/after are a row, a list of rows or null (nothing before a create,
+  // nothing after a delete). A failed audit write is logged but never fails the change itself.
+  static async record(scopeId, actor, action, before, after) {
+    try {
+      const beforeRows = this.toRows(before);
+      const afterRows = this.toRows(after);
+      if (beforeRows.length === 0 && afterRows.length === 0) return { success: true, data: null };
+
+      const { data, error } = await supabase
+        .from('audit_log')
+        .insert([
+          {
+            scope_id: scopeId,
+            action: action,
+            interview_ids: [...new Set([...beforeRows, ...afterRows].map(row => row.id))],
+            actor_user_id: actor ? actor.userId : null,
+            actor_source: actor ? actor.source : 'system',
+            before: beforeRows,
+            after: afterRows
+          }
+        ])
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error recording audit entry:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Most recent entries of a conversation
+  static async getEntries(scopeId, limit = AUDIT_LIST_LIMIT) {
+    try {
+      const { data, error } = await supabase
+        .from('audit_log')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting audit entries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // One entry of a conversation
+  static async getEntry(scopeId, entryId) {
+    try {
+      const { data, error } = await supabase
+        .from('audit_log')
+        .select('*')
+        .eq('id', entryId)
+        .eq('scope_id', scopeId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting audit entry:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Undo an entry: a create deletes the rows again and any other change - a delete included -
+  // restores the rows as they were. Refused with conflict set when the interviews changed since,
+  // and with expired set once the entry is older than DELETED_RETENTION_DAYS.
+  static async undo(scopeId, entry, actor) {
+    try {
+      // Deleted interviews are purged after DELETED_RETENTION_DAYS, so older entries can't be undone
+      const cutoff = moment.tz('Asia/Taipei').subtract(DELETED_RETENTION_DAYS, 'days');
+      if (moment(entry.created_at).isBefore(cutoff)) return { success: false, expired: true };
+
+      const ids = entry.interview_ids;
+      const { data: current, error: currentError } = await supabase
+        .from('interviews')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .in('id', ids);
+
+      if (currentError) throw currentError;
+
+      // Rows purged already, e.g. after DELETED_RETENTION_DAYS was shortened, are gone for good
+      if (entry.action === 'delete' && current.length === 0) return { success: false, expired: true };
+      if (!this.matches(current, entry.after)) {
+        return { success: false, conflict: true };
+      }
+
+      // Claim the entry and restore its rows in one transaction, so a failure leaves both as
+      // they were and the same change is never undone twice
+      const { data, error } = await supabase.rpc('undo_audit_entry', {
+        p_scope_id: scopeId,
+        p_entry_id: entry.id,
+        p_undone_by: actor.userId
+      });
+
+      if (error) throw error;
+      if (data.length === 0) return { success: false, alreadyUndone: true };
+
+      const removed = entry.action === 'create' ? data : [];
+      const restored = entry.action === 'create' ? [] : data;
+
+      // Restored rows get their reminders worked out again for their (possibly old) time
+      for (const interview of restored) {
+        await InterviewManager.resetReminders(interview);
+      }
+
+      await this.record(scopeId, actor, 'undo', current, entry.action === 'create' ? removed : restored);
+      return { success: true, data: { removed, restored } };
+    } catch (error) {
+      console.error('Error undoing audit entry:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Whether the current rows are still the ones an entry left behind. Only the columns in the
+  // snapshot are compared - entries recorded before a column was added don't have it
+  static matches(current, expected) {
+    if (current.length !== expected.length) return false;
+    return expected.every(row => {
+      const match = current.find(candidate => candidate.id === row.id);
+      return match && Object.keys(row)
+        .filter(field => !AUDIT_IGNORED_FIELDS.includes(field))
+        .every(field => JSON.stringify(match[field] === undefined ? null : match[field]) === JSON.stringify(row[field]));
+    });
+  }
+
+  // Rows without embedded relations such as interview_series
+  static toRows(value) {
+    const rows = Array.isArray(value) ? value : (value ? [value] : []);
+    return rows.map(({ interview_series, reminder_logs, ...columns }) => columns);
+  }
+}
+
+// Per-recipient reminder deliveries - one row per reminder per recipient, retried with backoff
+class DeliveryManager {
+  // Create the delivery rows of a claimed reminder (existing rows are kept) and return all of them
+  static async createDeliveries(reminderLog, recipients) {
+    try {
+      const { error: insertError } = await supabase
+        .from('reminder_deliveries')
+        .upsert(recipients.map(recipient => ({
+          reminder_log_id: reminderLog.id,
+          interview_id: reminderLog.interview_id,
+          offset_minutes: reminderLog.offset_minutes,
+          recipient_type: recipient.type,
+          recipient_id: recipient.id,
+          recipient_name: recipient.name || null,
+          retry_key: ReminderSchedule.getRetryKey(reminderLog.delivery_id, recipient.id),
+          status: 'pending'
+        })), { onConflict: 'reminder_log_id,recipient_id', ignoreDuplicates: true });
+
+      if (insertError) throw insertError;
+
+      const { data, error } = await supabase
+        .from('reminder_deliveries')
+        .select('*')
+        .eq('reminder_log_id', reminderLog.id)
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error creating deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Atomically claim a delivery that is pending, due for retry or abandoned while sending.
+  // data is the claimed row, or null when it was sent, given up, not yet due or claimed elsewhere.
+  static async claimDelivery(deliveryId) {
+    try {
+      const now = new Date().toISOString();
+      const staleBefore = moment().subtract(REMINDER_CLAIM_TIMEOUT_MINUTES, 'minutes').toISOString();
+      const { data, error } = await supabase
+        .from('reminder_deliveries')
+        .update({
+          status: 'sending',
+          claim_token: crypto.randomUUID(),
+          claimed_at: now
+        })
+        .eq('id', deliveryId)
+        .or(`status.eq.pending,and(status.eq.failed,next_retry_at.lte."${now}"),and(status.eq.sending,claimed_at.lt."${staleBefore}")`)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 ? data[0] : null };
+    } catch (error) {
+      console.error('Error claiming delivery:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record the outcome of one push attempt - failures get a backoff, or are given up
+  // when the error is permanent or the attempt limit is reached
+  static async completeDelivery(delivery, outcome) {
+    try {
+      const attempts = (delivery.attempts || 0) + 1;
+      const updates = { attempts, claim_token: null };
+
+      if (outcome.success) {
+        Object.assign(updates, { status: 'sent', sent_at: new Date().toISOString(), next_retry_at: null });
+      } else if (ReminderSchedule.isPermanentError(outcome.errorCode) || attempts >= REMINDER_MAX_ATTEMPTS) {
+        Object.assign(updates, { status: 'gave_up', last_error_code: outcome.errorCode, last_error: outcome.error, next_retry_at: null });
+      } else {
+        Object.assign(updates, {
+          status: 'failed',
+          last_error_code: outcome.errorCode,
+          last_error: outcome.error,
+          next_retry_at: moment().add(ReminderSchedule.getRetryDelayMinutes(attempts), 'minutes').toISOString()
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('reminder_deliveries')
+        .update(updates)
+        .eq('id', delivery.id)
+        .eq('claim_token', delivery.claim_token)
+        .select();
+
+      if (error) throw error;
+
+      // A reminder nobody had received counts as sent once a retry gets through
+      if (outcome.success) {
+        const { error: logError } = await supabase
+          .from('reminder_logs')
+          .update({ status: 'sent', sent_at: updates.sent_at })
+          .eq('id', delivery.reminder_log_id)
+          .eq('status', 'failed');
+        if (logError) throw logError;
+      }
+
+      return { success: true, data: data[0] || null };
+    } catch (error) {
+      console.error('Error completing delivery:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Stop retrying a failed delivery, or one abandoned while sending, e.g. because the interview has started
+  static async giveUpDelivery(delivery, reason) {
+    try {
+      const staleBefore = moment().subtract(REMINDER_CLAIM_TIMEOUT_MINUTES, 'minutes').toISOString();
+      const { error } = await supabase
+        .from('reminder_deliveries')
+        .update({ status: 'gave_up', last_error: reason, next_retry_at: null, claim_token: null })
+        .eq('id', delivery.id)
+        .or(`status.eq.failed,and(status.eq.sending,claimed_at.lt."${staleBefore}")`);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error giving up delivery:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Failed deliveries due for another attempt, and ones abandoned while sending, with their interview
+  static async getRetryableDeliveries() {
+    try {
+      const now = new Date().toISOString();
+      const staleBefore = moment().subtract(REMINDER_CLAIM_TIMEOUT_MINUTES, 'minutes').toISOString();
+      const { data, error } = await supabase
+        .from('reminder_deliveries')
+        .select('*, interviews(*)')
+        .or(`and(status.eq.failed,next_retry_at.lte."${now}"),and(status.eq.sending,claimed_at.lt."${staleBefore}")`)
+        .order('next_retry_at', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting retryable deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Reminder logs of one or more interviews with their per-recipient deliveries
+  static async getInterviewDeliveries(interviewIds) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_logs')
+        .select('*, reminder_deliveries(*)')
+        .in('interview_id', [].concat(interviewIds))
+        .order('offset_minutes', { ascending: false });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting interview deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Named reminder recipients (LINE users, groups and rooms) and the routes that decide who gets which reminder
+class RecipientManager {
+  // Add a named recipient, or point an existing name at a new LINE ID
+  static async setRecipient(scopeId, name, lineId, kind) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_recipients')
+        .upsert([
+          {
+            scope_id: scopeId,
+            name: name,
+            line_id: lineId,
+            kind: kind
+          }
+        ], { onConflict: 'scope_id,name' })
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error setting recipient:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remove a named recipient together with its routes - data is false when there was none
+  static async removeRecipient(scopeId, name) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_recipients')
+        .delete()
+        .eq('scope_id', scopeId)
+        .eq('name', name)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 };
+    } catch (error) {
+      console.error('Error removing recipient:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // All named recipients of a conversation
+  static async getRecipients(scopeId) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_recipients')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting recipients:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add routes - target 'interviewer' or a recipient, optionally limited to a reason keyword and an offset
+  static async addRoutes(scopeId, routes) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_routes')
+        .insert(routes.map(route => ({
+          scope_id: scopeId,
+          target: route.recipientId ? 'recipient' : 'interviewer',
+          recipient_id: route.recipientId || null,
+          reason_keyword: route.reasonKeyword,
+          offset_minutes: route.offsetMinutes
+        })))
+        .select();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error adding routes:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remove a route by ID - data is false when there was none
+  static async removeRoute(scopeId, routeId) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_routes')
+        .delete()
+        .eq('scope_id', scopeId)
+        .eq('id', routeId)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 };
+    } catch (error) {
+      console.error('Error removing route:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // All routes of a conversation with their recipient
+  static async getRoutes(scopeId) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_routes')
+        .select('*, reminder_recipients(name, line_id, kind)')
+        .eq('scope_id', scopeId)
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting routes:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Routes that apply to one reminder of an interview
+  static matchRoutes(routes, interview, offsetMinutes) {
+    return routes.filter(route =>
+      (!route.reason_keyword || (interview.reason || '').includes(route.reason_keyword)) &&
+      (route.offset_minutes === null || route.offset_minutes === offsetMinutes)
+    );
+  }
+
+  // Subscribe a named recipient to the daily/weekly digests (null unsubscribes) - data is null when there is no such recipient
+  static async setDigest(scopeId, name, digest) {
+    try {
+      const { data, error } = await supabase
+        .from('reminder_recipients')
+        .update({ digest: digest })
+        .eq('scope_id', scopeId)
+        .eq('name', name)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] || null };
+    } catch (error) {
+      console.error('Error setting digest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Agenda digests - one message per conversation listing a day's interviews by interviewer
+class DigestManager {
+  // The date a digest covers - today for the daily one, the coming Sunday for the weekly one
+  static getTargetDate(kind, now = moment.tz('Asia/Taipei')) {
+    if (kind === 'daily') return now.format('YYYY-MM-DD');
+    return now.clone().add((7 - now.day()) % 7, 'days').format('YYYY-MM-DD');
+  }
+
+  // Digest kinds whose delivery time has come within the last DIGEST_WINDOW_MINUTES
+  static getDueKinds(now = moment.tz('Asia/Taipei')) {
+    const schedule = [
+      { kind: 'daily', time: DIGEST_DAILY_TIME, onDay: true },
+      { kind: 'weekly', time: DIGEST_WEEKLY_TIME, onDay: now.day() === DIGEST_WEEKLY_DAY }
+    ];
+
+    return schedule
+      .filter(({ time, onDay }) => {
+        if (!onDay || !/^\d{1,2}:\d{2}$/.test(time)) return false;
+        const minutesLate = now.diff(moment.tz(now.format('YYYY-MM-DD') + ' ' + time, 'YYYY-MM-DD H:mm', 'Asia/Taipei'), 'minutes', true);
+        return minutesLate >= 0 && minutesLate < DIGEST_WINDOW_MINUTES;
+      })
+      .map(({ kind }) => kind);
+  }
+
+  // Digest text - interviewers ordered by their first interview, each with their interviews by time
+  // (interviews come sorted by time)
+  static buildDigestText(kind, date, interviews) {
+    const day = moment.tz(date, 'YYYY-MM-DD', 'Asia/Taipei');
+    const title = kind === 'daily' ? '☀️ 今日面談' : '📅 本週日面談行程';
+
+    const groups = [];
+    for (const interview of interviews) {
+      const name = interview.interviewer_name || '未指定面談者';
+      let group = groups.find(g => g.name === name);
+      if (!group) {
+        group = { name, interviews: [] };
+        groups.push(group);
+      }
+      group.interviews.push(interview);
+    }
+
+    let message = title + '（' + date + ' ' + weekdayNames[day.day()] + '）';
+    for (const group of groups) {
+      message += '\n\n👤 ' + group.name + '（' + group.interviews.length + '場）';
+      for (const interview of group.interviews) {
+        const range = ScheduleHelper.getTimeRange(interview);
+        message += '\n• ' + range.start.format('HH:mm') + '-' + range.end.format('HH:mm') + ' ' + interview.interviewee_name + '｜' + (interview.reason || '無');
+      }
+    }
+    message += '\n\n共 ' + interviews.length + ' 場面談';
+
+    return message;
+  }
+
+  // Where a conversation's digest goes - only named recipients subscribed with 摘要 (the
+  // conversation itself subscribes as a 本群組 recipient)
+  static async getDigestRecipients(scopeId, kind) {
+    const result = await RecipientManager.getRecipients(scopeId);
+    if (!result.success) return result;
+
+    const subscribed = result.data.filter(recipient => recipient.digest === kind || recipient.digest === 'all');
+    return { success: true, data: [...new Set(subscribed.map(recipient => recipient.line_id))] };
+  }
+
+  // The log row of one digest, created on first use
+  static async getDigestLog(scopeId, kind, date) {
+    try {
+      const { error: insertError } = await supabase
+        .from('digest_logs')
+        .upsert([
+          {
+            scope_id: scopeId,
+            kind: kind,
+            digest_date: date
+          }
+        ], { onConflict: 'scope_id,kind,digest_date', ignoreDuplicates: true });
+
+      if (insertError) throw insertError;
+
+      const { data, error } = await supabase
+        .from('digest_logs')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .eq('kind', kind)
+        .eq('digest_date', date);
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error getting digest log:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Create the delivery rows of a digest for its recipients (existing rows are kept) and return all of them
+  static async createDeliveries(digestLog, recipientIds) {
+    try {
+      const { error: insertError } = await supabase
+        .from('digest_deliveries')
+        .upsert(recipientIds.map(recipientId => ({
+          digest_log_id: digestLog.id,
+          recipient_id: recipientId,
+          status: 'pending'
+        })), { onConflict: 'digest_log_id,recipient_id', ignoreDuplicates: true });
+
+      if (insertError) throw insertError;
+
+      const { data, error } = await supabase
+        .from('digest_deliveries')
+        .select('*')
+        .eq('digest_log_id', digestLog.id)
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error creating digest deliveries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Atomically claim a delivery that is pending, failed or abandoned while sending -
+  // data is null when it was sent, given up or claimed by another run
+  static async claimDelivery(deliveryId) {
+    try {
+      const now = new Date().toISOString();
+      const staleBefore = moment().subtract(REMINDER_CLAIM_TIMEOUT_MINUTES, 'minutes').toISOString();
+      const { data, error } = await supabase
+        .from('digest_deliveries')
+        .update({
+          status: 'sending',
+          claim_token: crypto.randomUUID(),
+          claimed_at: now
+        })
+        .eq('id', deliveryId)
+        .or(`status.in.(pending,failed),and(status.eq.sending,claimed_at.lt."${staleBefore}")`)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 ? data[0] : null };
+    } catch (error) {
+      console.error('Error claiming digest delivery:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record the outcome of one push - a failure is tried again by the next run, unless the error
+  // is permanent or the attempt limit is reached
+  static async completeDelivery(delivery, outcome) {
+    try {
+      const attempts = (delivery.attempts || 0) + 1;
+      const updates = { attempts, claim_token: null };
+
+      if (outcome.success) {
+        Object.assign(updates, { status: 'sent', sent_at: new Date().toISOString() });
+      } else {
+        const gaveUp = ReminderSchedule.isPermanentError(outcome.errorCode) || attempts >= REMINDER_MAX_ATTEMPTS;
+        Object.assign(updates, { status: gaveUp ? 'gave_up' : 'failed', last_error_code: outcome.errorCode, last_error: outcome.error });
+      }
+
+      const { error } = await supabase
+        .from('digest_deliveries')
+        .update(updates)
+        .eq('id', delivery.id)
+        .eq('claim_token', delivery.claim_token);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error completing digest delivery:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record how many recipients have got a digest so far
+  static async updateRecipientCount(digestLog) {
+    try {
+      const { count, error: countError } = await supabase
+        .from('digest_deliveries')
+        .select('id', { count: 'exact', head: true })
+        .eq('digest_log_id', digestLog.id)
+        .eq('status', 'sent');
+
+      if (countError) throw countError;
+
+      const { error } = await supabase
+        .from('digest_logs')
+        .update({ recipient_count: count, sent_at: new Date().toISOString() })
+        .eq('id', digestLog.id);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating digest log:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Push a claimed delivery with a stable retry key and record the outcome
+  static async deliver(delivery, messages) {
+    try {
+      try {
+        client.setRequestOptionOnce({ retryKey: ReminderSchedule.getRetryKey('digest:' + delivery.digest_log_id, delivery.recipient_id) });
+        await client.pushMessage(delivery.recipient_id, messages);
+      } catch (error) {
+        // 409 - LINE already accepted this digest in an earlier attempt
+        if (error.statusCode !== 409) throw error;
+      }
+
+      await this.completeDelivery(delivery, { success: true });
+      return { success: true };
+    } catch (error) {
+      await this.completeDelivery(delivery, { success: false, errorCode: error.statusCode || null, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send one kind of digest to every conversation with interviews on its date - conversations
+  // with nothing scheduled get no message, and each recipient gets a digest once per date.
+  // Recipients whose push failed are tried again by later runs while the digest is due
+  static async sendDigests(kind, date = this.getTargetDate(kind)) {
+    const result = await InterviewManager.getScheduledInterviewsOn(date);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    const byScope = {};
+    for (const interview of result.data) {
+      (byScope[interview.scope_id] = byScope[interview.scope_id] || []).push(interview);
+    }
+
+    let sent = 0;
+    const errors = [];
+
+    for (const scopeId of Object.keys(byScope)) {
+      // Conversations without subscribers get nothing and leave no digest log
+      const recipients = await this.getDigestRecipients(scopeId, kind);
+      if (!recipients.success) {
+        errors.push(`${kind} digest for ${scopeId}: ${recipients.error}`);
+        continue;
+      }
+      if (recipients.data.length === 0) continue;
+
+      const digestLog = await this.getDigestLog(scopeId, kind, date);
+      const deliveries = digestLog.success ? await this.createDeliveries(digestLog.data, recipients.data) : digestLog;
+      if (!deliveries.success) {
+        errors.push(`${kind} digest for ${scopeId}: ${deliveries.error}`);
+        continue;
+      }
+
+      // Only current subscribers that haven't got it yet
+      const due = deliveries.data.filter(delivery =>
+        recipients.data.includes(delivery.recipient_id) && !['sent', 'gave_up'].includes(delivery.status));
+      if (due.length === 0) continue;
+
+      const messages = FlexMessageBuilder.splitText(this.buildDigestText(kind, date, byScope[scopeId]));
+      let sentCount = 0;
+      for (const delivery of due) {
+        const claim = await this.claimDelivery(delivery.id);
+        if (!claim.success) {
+          errors.push(`${kind} digest for ${scopeId} to ${delivery.recipient_id}: ${claim.error}`);
+          continue;
+        }
+        if (!claim.data) continue;
+
+        const outcome = await this.deliver(claim.data, messages);
+        if (outcome.success) {
+          sentCount++;
+        } else {
+          errors.push(`${kind} digest for ${scopeId} to ${delivery.recipient_id}: ${outcome.error}`);
+        }
+      }
+
+      if (sentCount > 0) {
+        await this.updateRecipientCount(digestLog.data);
+        sent++;
+      }
+    }
+
+    return { success: true, sent, errors };
+  }
+
+  // Send the digests that are due now - called from every reminder run
+  static async processDigests() {
+    let sent = 0;
+    const errors = [];
+
+    for (const kind of this.getDueKinds()) {
+      const result = await this.sendDigests(kind);
+      if (result.success) {
+        sent += result.sent;
+        errors.push(...result.errors);
+      } else {
+        errors.push(`${kind} digest: ${result.error}`);
+      }
+    }
+
+    return { success: true, sent, errors };
+  }
+}
+
+// iCalendar feeds - each feed URL carries a secret token owned by one LINE user.
+// Only a hash of the token is stored, so it can't be read back from the database
+class CalendarManager {
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Create a feed token for a conversation, optionally limited to one interviewer - data.token is only returned here
+  static async createToken(scopeId, lineUserId, interviewerName = null) {
+    try {
+      const token = crypto.randomBytes(24).toString('base64url');
+      const { data, error } = await supabase
+        .from('calendar_tokens')
+        .insert([
+          {
+            scope_id: scopeId,
+            line_user_id: lineUserId,
+            interviewer_name: interviewerName,
+            token_hash: this.hashToken(token)
+          }
+        ])
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: { ...data[0], token } };
+    } catch (error) {
+      console.error('Error creating calendar token:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // A user's active feeds in every conversation
+  static async getTokens(lineUserId) {
+    try {
+      const { data, error } = await supabase
+        .from('calendar_tokens')
+        .select('id, scope_id, interviewer_name, created_at, last_used_at')
+        .eq('line_user_id', lineUserId)
+        .is('revoked_at', null)
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting calendar tokens:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Revoke one of a user's feeds - data is false when the user has no such active feed
+  static async revokeToken(lineUserId, tokenId) {
+    try {
+      const { data, error } = await supabase
+        .from('calendar_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', tokenId)
+        .eq('line_user_id', lineUserId)
+        .is('revoked_at', null)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 };
+    } catch (error) {
+      console.error('Error revoking calendar token:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The active feed of a token, or null - marks it as used
+  static async findToken(token) {
+    try {
+      const { data, error } = await supabase
+        .from('calendar_tokens')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('token_hash', this.hashToken(token))
+        .is('revoked_at', null)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] || null };
+    } catch (error) {
+      console.error('Error finding calendar token:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static getFeedUrl(token) {
+    return PUBLIC_BASE_URL.replace(/\/$/, '') + '/calendar/' + token + '.ics';
+  }
+
+  // RFC 5545 text value - backslash, semicolon, comma and newline are escaped
+  static escapeText(value) {
+    return String(value).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold a content line at 75 octets without splitting a UTF-8 character
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+      const bytes = Buffer.byteLength(char);
+      // Continuation lines start with a space, which counts towards their 75 octets
+      if (currentBytes + bytes > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      current += char;
+      currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  static formatUtc(value) {
+    return moment(value).utc().format('YYYYMMDD[T]HHmmss[Z]');
+  }
+
+  // One VEVENT per interview, keyed by its ID. SEQUENCE comes from the interviews.sequence column
+  // (bumped by a trigger on every change); deleted, cancelled and rescheduled interviews are CANCELLED
+  static buildEvent(interview) {
+    const { start, end } = ScheduleHelper.getTimeRange(interview);
+    const cancelled = interview.deleted_at || interview.status === 'cancelled' || interview.status === 'rescheduled';
+    const description = '面談對象：' + interview.interviewee_name + '\n面談者：' + (interview.interviewer_name || '未指定') +
+      '\n理由：' + (interview.reason || '無') + '\n狀態：' + (interview.deleted_at ? '已刪除' : interviewStatusNames[interview.status]) +
+      '\nID：' + interview.id;
+
+    return [
+      'BEGIN:VEVENT',
+      'UID:interview-' + interview.id + '@line-interview-bot',
+      'SEQUENCE:' + (interview.sequence || 0),
+      'DTSTAMP:' + this.formatUtc(interview.updated_at || interview.created_at),
+      'LAST-MODIFIED:' + this.formatUtc(interview.updated_at || interview.created_at),
+      'DTSTART:' + this.formatUtc(start),
+      'DTEND:' + this.formatUtc(end),
+      'SUMMARY:' + this.escapeText((cancelled ? '［已取消］' : '') + '面談：' + interview.interviewee_name + (interview.reason ? '（' + interview.reason + '）' : '')),
+      'DESCRIPTION:' + this.escapeText(description),
+      'STATUS:' + (cancelled ? 'CANCELLED' : 'CONFIRMED'),
+      'TRANSP:' + (cancelled ? 'TRANSPARENT' : 'OPAQUE'),
+      'END:VEVENT'
+    ];
+  }
+
+  static buildCalendar(interviews, calendarName) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//line-interview-bot//面談行事曆//ZH',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:' + this.escapeText(calendarName),
+      'X-WR-TIMEZONE:Asia/Taipei',
+      'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+      'X-PUBLISHED-TTL:PT15M'
+    ];
+    for (const interview of interviews) {
+      lines.push(...this.buildEvent(interview));
+    }
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+}
+
+// REST API keys - each belongs to the conversation it was created in and acts with the
+// permissions of the person who created it (read-only keys can only view). Only a hash is stored
+class ApiKeyManager {
+  // Create a key - data.key is only returned here
+  static async createKey(scopeId, createdBy, name, readOnly) {
+    try {
+      const key = crypto.randomBytes(24).toString('base64url');
+      const { data, error } = await supabase
+        .from('api_keys')
+        .insert([
+          {
+            scope_id: scopeId,
+            name: name,
+            read_only: readOnly,
+            created_by: createdBy,
+            key_hash: CalendarManager.hashToken(key)
+          }
+        ])
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: { ...data[0], key } };
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Active keys of a conversation
+  static async getKeys(scopeId) {
+    try {
+      const { data, error } = await supabase
+        .from('api_keys')
+        .select('id, name, read_only, created_by, created_at, last_used_at')
+        .eq('scope_id', scopeId)
+        .is('revoked_at', null)
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting API keys:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Revoke a key of a conversation - data is false when there is no such active key
+  static async revokeKey(scopeId, keyId) {
+    try {
+      const { data, error } = await supabase
+        .from('api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', keyId)
+        .eq('scope_id', scopeId)
+        .is('revoked_at', null)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 };
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The active key, or null - marks it as used
+  static async findKey(key) {
+    try {
+      const { data, error } = await supabase
+        .from('api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('key_hash', CalendarManager.hashToken(key))
+        .is('revoked_at', null)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] || null };
+    } catch (error) {
+      console.error('Error finding API key:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// CSV import - every row goes through the same checks as 加入, and nothing is written
+// unless every row passes. Rows already in the schedule are reported and skipped.
+class InterviewImporter {
+  // Records keyed by csvHeaderMap, numbered like spreadsheet rows (the header is row 1)
+  static readRecords(text) {
+    const rows = CsvHelper.parse(text || '');
+    if (rows.length < 2) {
+      return { error: 'CSV 需要標題列及至少一筆資料。' };
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+      return { error: '一次最多匯入 ' + MAX_IMPORT_ROWS + ' 筆面談。' };
+    }
+
+    const keys = rows[0].map(header => csvHeaderMap[header.trim()] || null);
+    const missing = ['intervieweeName', 'interviewerName', 'date', 'time', 'reason'].filter(key => !keys.includes(key));
+    if (missing.length > 0) {
+      const headerNames = Object.keys(csvHeaderMap);
+      return { error: '缺少欄位：' + missing.map(key => headerNames.find(header => csvHeaderMap[header] === key)).join(', ') };
+    }
+
+    const records = rows.slice(1).map((fields, index) => {
+      const values = {};
+      keys.forEach((key, column) => {
+        if (key) values[key] = CsvHelper.unescapeValue(fields[column] || '');
+      });
+      return { row: index + 2, values };
+    });
+
+    return { records };
+  }
+
+  // Parse and validate one record like 加入 would - returns { errors, status, interview }
+  static async parseRecord(scopeId, values, profiles) {
+    let status = 'scheduled';
+    if (values.status) {
+      status = interviewStatusNames[values.status] ? values.status : outcomeMap[values.status];
+      if (!status) return { errors: ['狀態「' + values.status + '」無效'] };
+      if (status !== 'scheduled') return { errors: [], status };
+    }
+
+    return { status, ...(await parseInterviewInput(scopeId, values, profiles)) };
+  }
+
+  // Result per record: 'valid', 'error', 'duplicate' (already scheduled, or repeated in the file)
+  // or 'skipped' (not a scheduled interview). Overlaps with the interviewer's other interviews
+  // are errors unless force is set, as with 強制
+  static async validate(scopeId, records, force = false) {
+    // Profiles are loaded once for the whole file instead of once per row
+    const profiles = await ProfileManager.getProfiles(scopeId);
+    const results = [];
+    for (const record of records) {
+      results.push({ row: record.row, ...(await this.parseRecord(scopeId, record.values, profiles.success ? profiles.data : [])) });
+    }
+
+    const dates = results.filter(result => result.interview).map(result => result.interview.interview_date).sort();
+    let existing = [];
+    if (dates.length > 0) {
+      const current = await InterviewManager.getInterviewsBetween(scopeId, dates[0], dates[dates.length - 1]);
+      if (!current.success) return { success: false, error: current.error };
+      existing = current.data.filter(interview => !['cancelled', 'rescheduled'].includes(interview.status));
+    }
+
+    const sameSlot = (a, b) => a.interviewee_name === b.interviewee_name && a.interview_date === b.interview_date &&
+      a.interview_time.substring(0, 5) === b.interview_time.substring(0, 5);
+    const accepted = [];
+
+    for (const result of results) {
+      if (result.errors.length > 0) {
+        result.result = 'error';
+        continue;
+      }
+      if (!result.interview) {
+        result.result = 'skipped';
+        result.errors.push('只匯入已排定的面談（狀態：' + interviewStatusNames[result.status] + '）');
+        continue;
+      }
+
+      const candidate = result.interview;
+      const duplicate = existing.find(interview => sameSlot(interview, candidate));
+      const repeated = accepted.find(other => sameSlot(other.interview, candidate));
+      if (duplicate || repeated) {
+        result.result = 'duplicate';
+        result.errors.push(duplicate ? '面談已存在（ID ' + duplicate.id + '）' : '與第 ' + repeated.row + ' 列重複');
+        continue;
+      }
+
+      const schedule = [...existing, ...accepted.map(other => other.interview)].filter(interview =>
+        interview.interviewer_name === candidate.interviewer_name && interview.interview_date === candidate.interview_date);
+      const conflicts = ScheduleHelper.findOverlaps(candidate, schedule);
+      if (conflicts.length > 0 && !force) {
+        result.result = 'error';
+        result.errors.push('與' + candidate.interviewer_name + '的其他面談時間重疊：' +
+          conflicts.map(interview => (interview.id ? 'ID ' + interview.id + ' ' : '') + interview.interviewee_name + ' ' + interview.interview_time.substring(0, 5)).join('、'));
+        continue;
+      }
+
+      result.result = 'valid';
+      accepted.push(result);
+    }
+
+    return { success: true, data: results };
+  }
+
+  // Validate a CSV and, unless it is a dry run or any row has an error, add its interviews
+  static async run(scopeId, userId, text, options = {}) {
+    const { records, error } = this.readRecords(text);
+    if (error) return { success: false, error };
+
+    const validation = await this.validate(scopeId, records, options.force);
+    if (!validation.success) return validation;
+
+    const results = validation.data;
+    const hasErrors = results.some(result => result.result === 'error');
+    const actor = { userId, source: 'import' };
+
+    let committed = false;
+    const valid = results.filter(entry => entry.result === 'valid');
+    if (!options.dryRun && !hasErrors && valid.length > 0) {
+      const members = await MemberManager.getMembers(scopeId);
+      if (!members.success) return { success: false, error: members.error };
+
+      // Existing members are matched here; a new name gets the spelling of its first row and
+      // its member is created by importInterviews
+      const newNames = new Map();
+      const rows = valid.map(result => {
+        const interview = result.interview;
+        const member = MemberManager.findMember(members.data, interview.interviewee_name);
+        if (member) return { ...interview, interviewee_name: member.name, member_id: member.id };
+
+        const key = MemberManager.normalizeName(interview.interviewee_name);
+        if (!newNames.has(key)) newNames.set(key, interview.interviewee_name);
+        return { ...interview, interviewee_name: newNames.get(key), member_id: null };
+      });
+
+      // Members and interviews are added in one transaction - if it fails, nothing was imported
+      const added = await InterviewManager.importInterviews(scopeId, userId, rows, actor);
+      valid.forEach((result, index) => {
+        if (added.success) {
+          result.result = 'imported';
+          result.id = added.data[index].id;
+        } else {
+          result.result = 'error';
+          result.errors.push('加入面談時發生錯誤：' + added.error);
+        }
+      });
+      committed = added.success;
+    }
+
+    const count = (value) => results.filter(result => result.result === value).length;
+    return {
+      success: true,
+      data: {
+        dryRun: !!options.dryRun,
+        committed,
+        summary: {
+          total: results.length,
+          valid: count('valid'),
+          imported: count('imported'),
+          duplicates: count('duplicate'),
+          skipped: count('skipped'),
+          errors: count('error')
+        },
+        rows: results.map(result => ({
+          row: result.row,
+          result: result.result,
+          id: result.id,
+          interview: result.interview,
+          errors: result.errors.length > 0 ? result.errors : undefined
+        }))
+      }
+    };
+  }
+
+  // Export rows in CSV_EXPORT_HEADERS order
+  static toCsv(interviews) {
+    return CsvHelper.stringify([
+      CSV_EXPORT_HEADERS,
+      ...interviews.map(interview => [
+        interview.id,
+        interview.interviewee_name,
+        interview.interviewer_name,
+        interview.interview_date,
+        interview.interview_time.substring(0, 5),
+        interview.duration_minutes || ScheduleHelper.getDefaultDuration(interview.reason),
+        interview.reason,
+        interview.status
+      ])
+    ]);
+  }
+}
+
+// Interviewee directory - one member per person with optional contact details
+class MemberManager {
+  // All members of a conversation, DB_PAGE_SIZE rows at a time so a large directory isn't cut off
+  static async getMembers(scopeId) {
+    try {
+      const members = [];
+      for (let from = 0; ; from += DB_PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from('members')
+          .select('*')
+          .eq('scope_id', scopeId)
+          .order('name', { ascending: true })
+          .order('id', { ascending: true })
+          .range(from, from + DB_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        members.push(...data);
+        if (data.length < DB_PAGE_SIZE) break;
+      }
+      return { success: true, data: members };
+    } catch (error) {
+      console.error('Error getting members:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add a member
+  static async createMember(scopeId, name) {
+    try {
+      const { data, error } = await supabase
+        .from('members')
+        .insert([
+          {
+            scope_id: scopeId,
+            name: name
+          }
+        ])
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error creating member:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Update a member's phone, household or notes
+  static async updateMember(scopeId, memberId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('members')
+        .update(updates)
+        .eq('scope_id', scopeId)
+        .eq('id', memberId)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error updating member:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Every interview of a member - rows added before the directory existed match by name.
+  // Two .eq() queries rather than one .or() filter, which would need the name escaped
+  static async getMemberInterviews(scopeId, member) {
+    try {
+      const [linked, unlinked] = await Promise.all([
+        supabase
+          .from('interviews')
+          .select('*')
+          .eq('scope_id', scopeId)
+          .is('deleted_at', null)
+          .eq('member_id', member.id),
+        supabase
+          .from('interviews')
+          .select('*')
+          .eq('scope_id', scopeId)
+          .is('deleted_at', null)
+          .is('member_id', null)
+          .eq('interviewee_name', member.name)
+      ]);
+
+      if (linked.error) throw linked.error;
+      if (unlinked.error) throw unlinked.error;
+      const data = [...linked.data, ...unlinked.data].sort((a, b) =>
+        a.interview_date.localeCompare(b.interview_date) || a.interview_time.localeCompare(b.interview_time));
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting member interviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Names compare without spaces and case
+  static normalizeName(name) {
+    return (name || '').replace(/\s+/g, '').toLowerCase();
+  }
+
+  // The member with exactly this name, or null
+  static findMember(members, name) {
+    const normalized = this.normalizeName(name);
+    return members.find(member => this.normalizeName(member.name) === normalized) || null;
+  }
+
+  // Members whose name is one edit away from `name` or contains it (or vice versa)
+  static findSimilar(members, name, limit = 5) {
+    const normalized = this.normalizeName(name);
+    return members
+      .filter(member => {
+        const candidate = this.normalizeName(member.name);
+        if (candidate === normalized) return false;
+        return candidate.includes(normalized) || normalized.includes(candidate) || this.editDistance(candidate, normalized) <= 1;
+      })
+      .slice(0, limit);
+  }
+
+  // Levenshtein distance between two short strings
+  static editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diagonal = above;
+      }
+    }
+    return previous[b.length];
+  }
+}
+
+// Interviewer profiles - a canonical name, aliases and the interviewer's own LINE account
+class ProfileManager {
+  // All interviewer profiles of a conversation
+  static async getProfiles(scopeId) {
+    try {
+      const { data, error } = await supabase
+        .from('interviewer_profiles')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .order('name', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting profiles:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Create a profile, optionally bound to a LINE user
+  static async createProfile(scopeId, name, lineUserId = null) {
+    try {
+      const { data, error } = await supabase
+        .from('interviewer_profiles')
+        .insert([
+          {
+            scope_id: scopeId,
+            name: name,
+            line_user_id: lineUserId,
+            aliases: []
+          }
+        ])
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error creating profile:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Update a profile's LINE account or aliases
+  static async updateProfile(scopeId, profileId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('interviewer_profiles')
+        .update(updates)
+        .eq('scope_id', scopeId)
+        .eq('id', profileId)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The profile whose name or one of whose aliases is exactly `name`
+  static findProfile(profiles, name) {
+    const value = (name || '').trim();
+    return profiles.find(profile => profile.name === value || (profile.aliases || []).includes(value)) || null;
+  }
+
+  // Profile names that look like `name` (sharing characters with the name or an alias), best first
+  static suggest(profiles, name, limit = 5) {
+    const chars = new Set(name);
+    const scored = profiles
+      .map(profile => ({
+        name: profile.name,
+        score: Math.max(...[profile.name, ...(profile.aliases || [])].map(candidate => [...new Set(candidate)].filter(char => chars.has(char)).length))
+      }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    return (scored.length > 0 ? scored.map(entry => entry.name) : profiles.map(profile => profile.name)).slice(0, limit);
+  }
+}
+
+// Interviewer availability - weekly templates and one-off blackout dates
+class AvailabilityManager {
+  // Add a weekly availability window
+  static async addAvailability(scopeId, interviewerName, weekday, startTime, endTime) {
+    try {
+      const { data, error } = await supabase
+        .from('interviewer_availability')
+        .insert([
+          {
+            scope_id: scopeId,
+            interviewer_name: interviewerName,
+            weekday: weekday,
+            start_time: startTime,
+            end_time: endTime
+          }
+        ])
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error adding availability:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remove all availability windows on a weekday
+  static async removeAvailability(scopeId, interviewerName, weekday) {
+    try {
+      const { data, error } = await supabase
+        .from('interviewer_availability')
+        .delete()
+        .eq('scope_id', scopeId)
+        .eq('interviewer_name', interviewerName)
+        .eq('weekday', weekday)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length };
+    } catch (error) {
+      console.error('Error removing availability:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get an interviewer's weekly availability, optionally for a single weekday
+  static async getAvailability(scopeId, interviewerName, weekday = null) {
+    try {
+      let query = supabase
+        .from('interviewer_availability')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .eq('interviewer_name', interviewerName)
+        .order('weekday', { ascending: true })
+        .order('start_time', { ascending: true });
+
+      if (weekday !== null) {
+        query = query.eq('weekday', weekday);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting availability:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add a blackout date
+  static async addBlackout(scopeId, interviewerName, date, note) {
+    try {
+      const { data, error } = await supabase
+        .from('interviewer_blackouts')
+        .upsert([
+          {
+            scope_id: scopeId,
+            interviewer_name: interviewerName,
+            blackout_date: date,
+            note: note
+          }
+        ], { onConflict: 'scope_id,interviewer_name,blackout_date' })
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error adding blackout:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remove a blackout date
+  static async removeBlackout(scopeId, interviewerName, date) {
+    try {
+      const { data, error } = await supabase
+        .from('interviewer_blackouts')
+        .delete()
+        .eq('scope_id', scopeId)
+        .eq('interviewer_name', interviewerName)
+        .eq('blackout_date', date)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 };
+    } catch (error) {
+      console.error('Error removing blackout:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get an interviewer's blackout dates from a date onwards
+  static async getBlackouts(scopeId, interviewerName, fromDate) {
+    try {
+      const { data, error } = await supabase
+        .from('interviewer_blackouts')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .eq('interviewer_name', interviewerName)
+        .gte('blackout_date', fromDate)
+        .order('blackout_date', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting blackouts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Per-user conversation state that must survive between webhook calls (serverless)
+class SessionManager {
+  // Get the active session of a user in a conversation, or null
+  static async getSession(scopeId, userId) {
+    try {
+      const { data, error } = await supabase
+        .from('chat_sessions')
+        .select('*')
+        .eq('scope_id', scopeId)
+        .eq('user_id', userId)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data: data ? data.state : null };
+    } catch (error) {
+      console.error('Error getting session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Save (or replace) a user's session
+  static async setSession(scopeId, userId, state, ttlMinutes = 30) {
+    try {
+      const { error } = await supabase
+        .from('chat_sessions')
+        .upsert([
+          {
+            scope_id: scopeId,
+            user_id: userId,
+            state: state,
+            expires_at: moment.tz('Asia/Taipei').add(ttlMinutes, 'minutes').toISOString()
+          }
+        ], { onConflict: 'scope_id,user_id' });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error setting session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // End a user's session
+  static async clearSession(scopeId, userId) {
+    try {
+      const { error } = await supabase
+        .from('chat_sessions')
+        .delete()
+        .eq('scope_id', scopeId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Lease locks shared by every instance, so only one of them runs a job at a time
+class LockManager {
+  // Try to take the lock for ttlSeconds - data is true when this holder now owns it
+  static async acquireLock(name, holder, ttlSeconds) {
+    try {
+      const { data, error } = await supabase.rpc('acquire_scheduler_lock', {
+        lock_name: name,
+        holder_id: holder,
+        ttl_seconds: ttlSeconds
+      });
+
+      if (error) throw error;
+      return { success: true, data: data === true };
+    } catch (error) {
+      console.error('Error acquiring lock:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Give the lock back and record how the run went
+  static async releaseLock(name, holder, status) {
+    try {
+      const { error } = await supabase.rpc('release_scheduler_lock', {
+        lock_name: name,
+        holder_id: holder,
+        run_status: status
+      });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error releasing lock:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Current holder, expiry and last run of a lock (null if it was never taken)
+  static async getLock(name) {
+    try {
+      const { data, error } = await supabase
+        .from('scheduler_locks')
+        .select('*')
+        .eq('name', name)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting lock:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Role management - who is allowed to do what
+class RoleManager {
+  // Get the role of a LINE user (the configured bishop is always a bishop)
+  static async getRole(lineUserId) {
+    try {
+      if (!lineUserId) return { success: true, data: null };
+      if (BISHOP_LINE_USER_ID && lineUserId === BISHOP_LINE_USER_ID) {
+        return { success: true, data: 'bishop' };
+      }
+
+      const { data, error } = await supabase
+        .from('user_roles')
+        .select('role')
+        .eq('line_user_id', lineUserId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data: data ? data.role : null };
+    } catch (error) {
+      console.error('Error getting role:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Grant (or replace) a user's role
+  static async grantRole(lineUserId, role, grantedBy) {
+    try {
+      const { data, error } = await supabase
+        .from('user_roles')
+        .upsert([
+          {
+            line_user_id: lineUserId,
+            role: role,
+            granted_by: grantedBy
+          }
+        ], { onConflict: 'line_user_id' })
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data[0] };
+    } catch (error) {
+      console.error('Error granting role:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Revoke a user's role
+  static async revokeRole(lineUserId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_roles')
+        .delete()
+        .eq('line_user_id', lineUserId)
+        .select();
+
+      if (error) throw error;
+      return { success: true, data: data.length > 0 };
+    } catch (error) {
+      console.error('Error revoking role:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get all role assignments
+  static async getRoles() {
+    try {
+      const { data, error } = await supabase
+        .from('user_roles')
+        .select('*')
+        .order('role', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error getting roles:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Check whether a role may perform an action
+  static hasPermission(role, action) {
+    const allowedRoles = permissionMap[action];
+    return !!role && !!allowedRoles && allowedRoles.includes(role);
+  }
+
+  // Whether a user with `role` may grant, replace or revoke `otherRole` - never one above their own
+  static canManageRole(role, otherRole) {
+    return !!role && roleRanks[role] >= roleRanks[otherRole];
+  }
+}
+
+// Role mapping for Chinese role names to database values
+const roleMap = {
+  '主教': 'bishop',
+  '諮理': 'counselor',
+  '執行秘書': 'executive_secretary',
+  '書記': 'clerk',
+  '唯讀': 'viewer'
+};
+
+// Reverse mapping for display
+const roleNames = Object.fromEntries(Object.entries(roleMap).map(([name, role]) => [role, name]));
+
+// Role hierarchy for 授權 / 撤銷 - higher ranks can do everything lower ones can
+const roleRanks = {
+  bishop: 4,
+  executive_secretary: 3,
+  counselor: 2,
+  clerk: 1,
+  viewer: 0
+};
+
+// Which roles may run each command
+const permissionMap = {
+  view: ['bishop', 'counselor', 'executive_secretary', 'clerk', 'viewer'],
+  add: ['bishop', 'counselor', 'executive_secretary', 'clerk'],
+  update: ['bishop', 'counselor', 'executive_secretary', 'clerk'],
+  manageAvailability: ['bishop', 'counselor', 'executive_secretary', 'clerk'],
+  delete: ['bishop', 'executive_secretary'],
+  manageRoles: ['bishop', 'executive_secretary'],
+  manageRecipients: ['bishop', 'executive_secretary'],
+  manageProfiles: ['bishop', 'counselor', 'executive_secretary', 'clerk']
+};
+
+// Field mapping for Chinese field names to database columns
+const fieldMap = {
+  '面談對象': 'interviewee_name',
+  '面談者': 'interviewer_name',
+  '日期': 'interview_date',
+  '時間': 'interview_time',
+  '理由': 'reason',
+  '提醒': 'reminder_offsets',
+  '時長': 'duration_minutes'
+};
+
+// Audit log labels for 操作紀錄
+const auditActionNames = {
+  create: '新增',
+  update: '修改',
+  delete: '刪除',
+  reschedule: '改期',
+  outcome: '記錄結果',
+  undo: '復原'
+};
+
+const auditSourceNames = {
+  user: '私訊',
+  group: '群組',
+  room: '聊天室',
+  system: '系統',
+  import: 'CSV 匯入',
+  api: 'API'
+};
+
+// CSV columns - exports use the English headers, imports also accept the Chinese ones
+const CSV_EXPORT_HEADERS = ['id', 'interviewee_name', 'interviewer_name', 'date', 'time', 'duration_minutes', 'reason', 'status'];
+
+const csvHeaderMap = {
+  'id': 'id',
+  'ID': 'id',
+  'interviewee_name': 'intervieweeName',
+  '面談對象': 'intervieweeName',
+  'interviewer_name': 'interviewerName',
+  '面談者': 'interviewerName',
+  'date': 'date',
+  '日期': 'date',
+  'time': 'time',
+  '時間': 'time',
+  'duration_minutes': 'duration',
+  '時長': 'duration',
+  'reason': 'reason',
+  '理由': 'reason',
+  'status': 'status',
+  '狀態': 'status'
+};
+
+// Rows per CSV import
+const MAX_IMPORT_ROWS = 500;
+
+// Rows per Supabase request - PostgREST returns at most 1000 rows by default
+const DB_PAGE_SIZE = 1000;
+
+// Interviews per page of 面談清單 - one Flex carousel, well within LINE's message size limits
+const LIST_PAGE_SIZE = 10;
+
+// Past interviews shown by 面談紀錄 - the counts still cover the full history
+const MEMBER_HISTORY_LIMIT = 10;
+
+// Interview lifecycle - only scheduled interviews get reminders and show up in 面談清單
+const interviewStatusNames = {
+  scheduled: '已排定',
+  completed: '已完成',
+  no_show: '未出席',
+  cancelled: '已取消',
+  rescheduled: '已改期'
+};
+
+// Outcome keywords for 結果 {ID} {結果} - 排定 undoes a mistaken outcome
+const outcomeMap = {
+  '完成': 'completed',
+  '已完成': 'completed',
+  '未出席': 'no_show',
+  '缺席': 'no_show',
+  '取消': 'cancelled',
+  '已取消': 'cancelled',
+  '改期': 'rescheduled',
+  '已改期': 'rescheduled',
+  '排定': 'scheduled',
+  '已排定': 'scheduled'
+};
+
+// Member detail fields for 成員 {姓名} {欄位} {內容}
+const memberFieldMap = {
+  '電話': 'phone',
+  '家庭': 'household',
+  '備註': 'notes'
+};
+
+// Which occurrences of a series an update or delete applies to
+const seriesScopeMap = {
+  '僅此次': 'single',
+  '此次及之後': 'following',
+  '整個系列': 'all'
+};
+
+function seriesScopeLabel(seriesScope) {
+  return Object.keys(seriesScopeMap).find(label => seriesScopeMap[label] === seriesScope);
+}
+
+// Who a reminder delivery went to, and how it went
+const recipientTypeNames = {
+  'user': '建立者',
+  'group': '群組',
+  'bishop': '主教',
+  'interviewer': '面談者'
+};
+
+// Kinds of named recipients, by the first letter of the LINE ID
+const recipientKinds = {
+  'U': 'user',
+  'C': 'group',
+  'R': 'room'
+};
+
+const recipientKindNames = {
+  'user': '個人',
+  'group': '群組',
+  'room': '聊天室'
+};
+
+// Which agenda digests a named recipient gets - 摘要 {收件人名稱} {選項}
+const digestOptionMap = {
+  '每日': 'daily',
+  '每週': 'weekly',
+  '全部': 'all',
+  '關閉': null
+};
+
+const digestKindNames = {
+  'daily': '每日',
+  'weekly': '每週',
+  'all': '每日及每週'
+};
+
+const deliveryStatusNames = {
+  'pending': '⏳ 等待發送',
+  'sending': '📤 發送中',
+  'sent': '✅ 已送達',
+  'failed': '⚠️ 發送失敗',
+  'gave_up': '⛔ 已放棄'
+};
+
+// Weekday names (moment: 0 = Sunday)
+const weekdayMap = {
+  '日': 0, '天': 0, '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6
+};
+
+const weekdayNames = ['週日', '週一', '週二', '週三', '週四', '週五', '週六'];
+
+// Default interview duration (minutes) by keyword in the reason
+const reasonDurations = {
+  '聖殿推薦書': 15,
+  '召喚': 45,
+  '卸任': 15,
+  '按立': 30
+};
+
+// Input validation and sanitization
+class InputValidator {
+  static sanitizeString(input) {
+    if (!input || typeof input !== 'string') return '';
+    return input.trim().replace(/[<>]/g, ''); // Basic XSS prevention
+  }
+  
+  static validateDate(dateString) {
+    return moment.tz(dateString, 'YYYY-MM-DD', true, 'Asia/Taipei').isValid();
+  }
+  
+  static validateTime(timeString) {
+    return moment.tz(timeString, ['HH:mm', 'HH:mm:ss'], true, 'Asia/Taipei').isValid();
+  }
+
+  // Weekday such as "週日", "星期三", "禮拜天" or "日" - returns 0-6 or null
+  static parseWeekday(value) {
+    const match = String(value).trim().match(/^(?:週|周|星期|禮拜)?([日天一二三四五六])$/);
+    return match ? weekdayMap[match[1]] : null;
+  }
+  
+  static validateName(name) {
+    const sanitized = this.sanitizeString(name);
+    return sanitized.length > 0 && sanitized.length <= 100;
+  }
+
+  // Duration in minutes, e.g. "30" or "30分鐘" - returns null when invalid
+  static parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+)\s*(分鐘|分|m)?$/);
+    if (!match) return null;
+    const minutes = parseInt(match[1]);
+    return minutes >= 5 && minutes <= 480 ? minutes : null;
+  }
+}
+
+// Relaxed and natural-language date/time parsing, resolved in Asia/Taipei
+class DateTimeParser {
+  // Date such as "2024-01-21", "1/21", "1月21日", "明天", "下週日" - returns "YYYY-MM-DD" or null
+  static parseDate(text, now = moment.tz('Asia/Taipei')) {
+    const value = String(text).trim();
+    const today = now.clone().startOf('day');
+    let match;
+
+    const relativeDays = { '今天': 0, '今日': 0, '明天': 1, '明日': 1, '後天': 2, '大後天': 3 };
+    if (value in relativeDays) {
+      return today.add(relativeDays[value], 'days').format('YYYY-MM-DD');
+    }
+
+    // Weeks start on Monday: 這週日 is the end of this week, 下週日 the end of next week,
+    // a bare 週日 is the next Sunday from today (today included)
+    if ((match = value.match(/^(這|本|下下|下)?(?:週|周|星期|禮拜)([日天一二三四五六])$/))) {
+      const isoWeekday = weekdayMap[match[2]] === 0 ? 7 : weekdayMap[match[2]];
+      if (!match[1]) {
+        const date = today.clone().isoWeekday(isoWeekday);
+        return (date.isBefore(today) ? date.add(1, 'week') : date).format('YYYY-MM-DD');
+      }
+      const weeksAhead = { '這': 0, '本': 0, '下': 1, '下下': 2 }[match[1]];
+      return today.clone().startOf('isoWeek').add(weeksAhead, 'weeks').isoWeekday(isoWeekday).format('YYYY-MM-DD');
+    }
+
+    if ((match = value.match(/^(\d{4})[-/年](\d{1,2})[-/月](\d{1,2})[日號]?$/))) {
+      const date = moment.tz({ year: parseInt(match[1]), month: parseInt(match[2]) - 1, date: parseInt(match[3]) }, 'Asia/Taipei');
+      return date.isValid() ? date.format('YYYY-MM-DD') : null;
+    }
+
+    // Month and day without a year - the next occurrence from today
+    if ((match = value.match(/^(\d{1,2})(?:\/|月)(\d{1,2})[日號]?$/))) {
+      const date = moment.tz({ year: today.year(), month: parseInt(match[1]) - 1, date: parseInt(match[2]) }, 'Asia/Taipei');
+      if (!date.isValid()) return null;
+      return (date.isBefore(today) ? date.add(1, 'year') : date).format('YYYY-MM-DD');
+    }
+
+    return null;
+  }
+
+  // Like parseDate, but checks dates relative to a week: with weeks starting on Sunday 下週日 is
+  // a different day, so both readings come back as { options }, and a date that has already passed
+  // (這週一 on a Wednesday) as { past }. Returns { date }, { options }, { past } or null
+  static resolveDate(text, now = moment.tz('Asia/Taipei')) {
+    const value = String(text).trim();
+    const match = value.match(/^(這|本|下下|下)(?:週|周|星期|禮拜)([日天一二三四五六])$/);
+    if (!match) {
+      const date = this.parseDate(value, now);
+      return date ? { date } : null;
+    }
+
+    const today = now.clone().startOf('day');
+    const weeksAhead = { '這': 0, '本': 0, '下': 1, '下下': 2 }[match[1]];
+    const weekday = weekdayMap[match[2]];
+    const candidates = [...new Set([
+      this.parseDate(value, now),
+      today.clone().subtract(today.day(), 'days').add(weeksAhead, 'weeks').add(weekday, 'days').format('YYYY-MM-DD')
+    ])].sort();
+    const upcoming = candidates.filter(date => date >= today.format('YYYY-MM-DD'));
+
+    if (upcoming.length === 0) return { past: candidates[candidates.length - 1] };
+    return upcoming.length === 1 ? { date: upcoming[0] } : { options: upcoming };
+  }
+
+  // Error for a resolveDate result that can't be used as is, or null for a plain { date }
+  static describeDateError(dateText, result) {
+    if (!result) return '無法辨識日期「' + dateText + '」';
+    if (result.past) return '日期「' + dateText + '」是 ' + this.formatDate(result.past) + '，已經過了';
+    if (result.options) return '日期「' + dateText + '」不明確，可能是 ' + result.options.map(option => this.formatDate(option)).join(' 或 ');
+    return null;
+  }
+
+  // Reply for a resolveDate result that can't be used as is, or null for a plain { date }.
+  // Each quick reply resends the full command with the chosen date
+  static buildDateReply(dateText, result, buildCommand) {
+    if (!result) {
+      return { type: 'text', text: '無法辨識日期「' + dateText + '」！請使用 YYYY-MM-DD、1/21、1月21日、明天、下週日 等格式。' };
+    }
+    if (result.past) {
+      return { type: 'text', text: '「' + dateText + '」是 ' + this.formatDate(result.past) + '，已經過了！請輸入今天以後的日期。' };
+    }
+    if (!result.options) return null;
+    return {
+      type: 'text',
+      text: '📅 「' + dateText + '」是指哪一天？請選擇：',
+      quickReply: {
+        items: result.options.map(option => ({
+          type: 'action',
+          action: { type: 'message', label: this.formatDate(option), text: buildCommand(option) }
+        }))
+      }
+    };
+  }
+
+  // Time such as "14:30", "14點", "下午2點半", "2:30pm", "晚上七點"
+  // Returns { time: "HH:mm:ss" }, { options: [...] } when it could be morning or afternoon, or null
+  static parseTime(text) {
+    const value = String(text).trim().replace('：', ':');
+    // A bare number is only a time with am/pm, e.g. "2pm"
+    if (!/[:點時]/.test(value) && !/(am|pm)$/i.test(value)) return null;
+
+    const match = value.match(/^(上午|早上|凌晨|中午|下午|傍晚|晚上)?([0-9]{1,2}|[一二兩三四五六七八九十]{1,3})(?::([0-9]{2})|點(?:(半)|([0-9]{1,2})分?)?|時(?:([0-9]{1,2})分?)?)?\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    const period = match[1];
+    const suffix = match[7] ? match[7].toLowerCase() : null;
+    let hour = /^[0-9]+$/.test(match[2]) ? parseInt(match[2]) : this.parseChineseNumber(match[2]);
+    const minute = match[3] ? parseInt(match[3]) : match[4] ? 30 : parseInt(match[5] || match[6] || 0);
+
+    if (hour === null || hour > 23 || minute > 59) return null;
+
+    const format = (h) => String(h).padStart(2, '0') + ':' + String(minute).padStart(2, '0') + ':00';
+
+    if (period || suffix) {
+      if (hour < 1 || hour > 12) return null;
+      const afternoon = suffix === 'pm' || ['下午', '傍晚', '晚上'].includes(period) || (period === '中午' && hour < 6);
+      if (afternoon && hour < 12) hour += 12;
+      if (!afternoon && hour === 12 && period !== '中午') hour = 0;
+      return { time: format(hour) };
+    }
+
+    // "14:30", "09:30", "14點" and "12點" are unambiguous; "2點" or "2:30" could be either
+    const twoDigitClock = match[3] && match[2].length === 2;
+    if (twoDigitClock || hour === 0 || hour >= 12) {
+      return { time: format(hour) };
+    }
+    return { options: [format(hour), format(hour + 12)] };
+  }
+
+  // Chinese numerals 一 to 二十三 for hours
+  static parseChineseNumber(text) {
+    const digits = { '一': 1, '二': 2, '兩': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+    if (text === '十') return 10;
+    const match = text.match(/^([一二兩三四五六七八九])?(十)?([一二三四五六七八九])?$/);
+    if (!match || (!match[2] && match[1] && match[3])) return null;
+    if (!match[2]) return digits[match[1] || match[3]] || null;
+    return (match[1] ? digits[match[1]] : 1) * 10 + (match[3] ? digits[match[3]] : 0);
+  }
+
+  // Split a combined date and time such as "明天下午2點" or "1/21 14:30" into its parts.
+  // Returns { dateText, timeText }, or { options } when it splits more than one way
+  // ("12/112點" is 12/1 12點 or 12/11 2點), or null
+  static splitDateTime(text) {
+    const value = String(text).trim();
+    const spaced = value.split(/\s+/);
+    if (spaced.length === 2 && this.parseDate(spaced[0]) && this.parseTime(spaced[1])) {
+      return { dateText: spaced[0], timeText: spaced[1] };
+    }
+
+    const options = [];
+    for (let i = 1; i < value.length; i++) {
+      const dateText = value.substring(0, i);
+      const timeText = value.substring(i);
+      if (this.parseDate(dateText) && this.parseTime(timeText)) {
+        options.push({ dateText, timeText });
+      }
+    }
+    if (options.length === 0) return null;
+    return options.length === 1 ? options[0] : { options };
+  }
+
+  // "2024-01-21" -> "2024-01-21（週日）" so the resolved date is easy to check
+  static formatDate(date) {
+    return date + '（' + weekdayNames[moment.tz(date, 'YYYY-MM-DD', 'Asia/Taipei').day()] + '）';
+  }
+
+  // Ask how a date and time written as one word was meant; each quick reply resends the full command
+  static buildDateTimeClarification(text, options, buildCommand) {
+    return {
+      type: 'text',
+      text: '📅 「' + text + '」是指哪個日期和時間？請選擇：',
+      quickReply: {
+        items: options.map(option => ({
+          type: 'action',
+          action: { type: 'message', label: (option.dateText + ' ' + option.timeText).substring(0, 20), text: buildCommand(option.dateText, option.timeText) }
+        }))
+      }
+    };
+  }
+
+  // Ask whether an ambiguous time is morning or afternoon; each quick reply resends the full command
+  static buildTimeClarification(timeText, options, buildCommand) {
+    return {
+      type: 'text',
+      text: '⏰ 「' + timeText + '」是指上午還是下午？請選擇：',
+      quickReply: {
+        items: options.map(option => ({
+          type: 'action',
+          action: { type: 'message', label: option.substring(0, 5), text: buildCommand(option.substring(0, 5)) }
+        }))
+      }
+    };
+  }
+}
+
+// Recurrence rules for interview series
+class RecurrenceRule {
+  // Parse a rule such as "每週", "每2週", "每月", "每月第1個週日" or "每月最後週日"
+  // and an end such as "至2024-06-30" or "共10次" - returns null when either is invalid
+  static parse(ruleText, endText, startDate) {
+    const start = moment.tz(startDate, 'YYYY-MM-DD', 'Asia/Taipei');
+    const nthNames = { '一': 1, '二': 2, '三': 3, '四': 4, '五': 5 };
+    let rule = null;
+    let match;
+
+    if ((match = ruleText.match(/^每(\d+)?個?(?:週|周|星期|禮拜)$/))) {
+      const interval = parseInt(match[1] || 1);
+      rule = {
+        frequency: 'weekly',
+        interval,
+        nthWeek: null,
+        weekday: start.day(),
+        description: interval === 1 ? '每週' + weekdayNames[start.day()].substring(1) : '每' + interval + '週的' + weekdayNames[start.day()]
+      };
+    } else if ((match = ruleText.match(/^每(\d+)?個?月(?:(?:第([1-5一二三四五])|(最後)一?)個?(?:週|周|星期|禮拜)([日天一二三四五六]))?$/))) {
+      const interval = parseInt(match[1] || 1);
+      let nthWeek = Math.ceil(start.date() / 7);
+      let weekday = start.day();
+      if (match[4]) {
+        nthWeek = match[3] ? -1 : (nthNames[match[2]] || parseInt(match[2]));
+        weekday = weekdayMap[match[4]];
+      }
+      rule = {
+        frequency: 'monthly',
+        interval,
+        nthWeek,
+        weekday,
+        description: (interval === 1 ? '每月' : '每' + interval + '個月') + (nthWeek === -1 ? '最後一個' : '第' + nthWeek + '個') + weekdayNames[weekday]
+      };
+    }
+
+    if (!rule) return null;
+
+    if ((match = endText.match(/^至(.+)$/))) {
+      rule.endDate = DateTimeParser.parseDate(match[1]);
+      rule.count = null;
+      if (!rule.endDate || rule.endDate < startDate) return null;
+      rule.description += '，至 ' + rule.endDate;
+    } else if ((match = endText.match(/^共(\d+)次$/))) {
+      rule.count = parseInt(match[1]);
+      rule.endDate = null;
+      if (rule.count < 1 || rule.count > MAX_SERIES_OCCURRENCES) return null;
+      rule.description += '，共' + rule.count + '次';
+    } else {
+      return null;
+    }
+
+    return rule;
+  }
+
+  // Dates (YYYY-MM-DD) of every occurrence on or after startDate. A 至{日期} rule with more than
+  // MAX_SERIES_OCCURRENCES occurrences gets one date too many, so the caller can refuse it
+  static expand(rule, startDate) {
+    const start = moment.tz(startDate, 'YYYY-MM-DD', 'Asia/Taipei');
+    const limit = rule.count || MAX_SERIES_OCCURRENCES + 1;
+    const dates = [];
+
+    // A 5th weekday is only in some months, so allow enough months for the cap
+    for (let i = 0; dates.length < limit && i < MAX_SERIES_OCCURRENCES * 4; i++) {
+      let date;
+      if (rule.frequency === 'weekly') {
+        date = start.clone().add(i * rule.interval, 'weeks');
+      } else {
+        date = this.getNthWeekdayOfMonth(start.clone().startOf('month').add(i * rule.interval, 'months'), rule.nthWeek, rule.weekday);
+        if (!date || date.isBefore(start)) continue;
+      }
+
+      if (rule.endDate && date.format('YYYY-MM-DD') > rule.endDate) break;
+      dates.push(date.format('YYYY-MM-DD'));
+    }
+
+    return dates;
+  }
+
+  // nth (1-5, or -1 for the last) weekday of the month, or null when the month has no such day
+  static getNthWeekdayOfMonth(month, nthWeek, weekday) {
+    if (nthWeek === -1) {
+      const last = month.clone().endOf('month').startOf('day');
+      return last.subtract((last.day() - weekday + 7) % 7, 'days');
+    }
+
+    const first = month.clone().startOf('month');
+    const date = first.add((weekday - first.day() + 7) % 7 + (nthWeek - 1) * 7, 'days');
+    return date.month() === month.month() ? date : null;
+  }
+}
+
+// Message parsing functions
+class MessageParser {
+  // Parse "加入" command - Updated format: 加入 {面談對象} {面談者} {日期} {時間} {理由} [強制]
+  // Date and time are returned as typed (e.g. "明天", "下午2點半") and resolved by DateTimeParser;
+  // they may also be written as one word such as "明天下午2點"
+  static parseAddCommand(text) {
+    const { text: forceStripped, force } = this.stripForceFlag(text);
+    const { text: commandText, newMember } = this.stripNewMemberFlag(forceStripped);
+
+    const regex = /加入\s+([^\s]+)\s+([^\s]+)\s+([^\s]+)\s+(.+)/;
+    const match = commandText.match(regex);
+    
+    if (!match) return null;
+
+    let dateText = match[3];
+    let timeText;
+    let reason;
+    let dateTimeOptions = null;
+
+    const combined = DateTimeParser.splitDateTime(match[3]);
+    if (combined) {
+      // Several readings are resolved by the handler before the date and time are used
+      dateTimeOptions = combined.options || null;
+      dateText = combined.dateText || null;
+      timeText = combined.timeText || null;
+      reason = match[4].trim();
+    } else {
+      const rest = match[4].match(/^([^\s]+)\s+(.+)$/);
+      if (!rest) return null;
+      timeText = rest[1];
+      reason = rest[2].trim();
+    }
+    
+    return {
+      intervieweeName: match[1],
+      interviewerName: match[2],
+      dateText,
+      timeText,
+      dateTimeText: match[3],
+      dateTimeOptions,
+      reason,
+      force,
+      newMember
+    };
+  }
+
+  // A trailing "新成員" adds the interviewee as a new member even when similar names exist
+  static stripNewMemberFlag(text) {
+    const match = text.match(/^(.*\S)\s+新成員$/);
+    return match ? { text: match[1], newMember: true } : { text, newMember: false };
+  }
+
+  // Parse member command (format: 成員 {姓名} [電話|家庭|備註 {內容}])
+  static parseMemberCommand(text) {
+    const match = text.match(/^成員\s+(\S+)(?:\s+(電話|家庭|備註)\s+(.+))?$/);
+    if (!match) return null;
+
+    return {
+      name: match[1],
+      field: match[2] ? memberFieldMap[match[2]] : null,
+      label: match[2] || null,
+      value: match[3] ? match[3].trim() : null
+    };
+  }
+
+  // Parse reschedule command (format: 改期 {ID} {日期} {時間} [強制])
+  static parseRescheduleCommand(text) {
+    const { text: commandText, force } = this.stripForceFlag(text);
+
+    const match = commandText.match(/^改期\s+(\d+)\s+(.+)$/);
+    if (!match) return null;
+
+    // "明天 14:30" and "明天14點" both work - unknown values are split on the space so the reply can name them
+    const combined = DateTimeParser.splitDateTime(match[2]);
+    const parts = match[2].trim().split(/\s+/);
+    if (!combined && parts.length !== 2) return null;
+
+    if (combined && combined.options) {
+      return { id: parseInt(match[1]), dateTimeText: match[2].trim(), dateTimeOptions: combined.options, force };
+    }
+
+    return {
+      id: parseInt(match[1]),
+      dateText: combined ? combined.dateText : parts[0],
+      timeText: combined ? combined.timeText : parts[1],
+      dateTimeOptions: null,
+      force
+    };
+  }
+
+  // Parse undo command (format: 復原 {編號}) - the number is the 操作紀錄 entry, not the interview ID
+  static parseUndoCommand(text) {
+    const match = text.match(/^復原\s+#?(\d+)$/);
+    return match ? { entryId: parseInt(match[1]) } : null;
+  }
+
+  // Parse outcome command (format: 結果 {ID} [結果] [備註])
+  static parseOutcomeCommand(text) {
+    const match = text.match(/^結果\s+(\d+)(?:\s+(\S+)(?:\s+(.+))?)?$/);
+    if (!match) return null;
+
+    return {
+      id: parseInt(match[1]),
+      outcome: match[2] || null,
+      note: match[3] ? match[3].trim() : undefined
+    };
+  }
+
+  // Parse list command (format: 面談清單 [全部|已過期] [本週|下週|{日期}] [面談者 {姓名}] [理由 {關鍵字}] [第N頁])
+  // query is the command without the page, so paging can repeat it
+  static parseListCommand(text, now = moment.tz('Asia/Taipei')) {
+    const match = text.match(/^面談清單(?:\s+(.*))?$/);
+    if (!match) return null;
+
+    const filters = {};
+    const tokens = (match[1] || '').split(/\s+/).filter(token => token);
+    const queryTokens = [];
+    let page = 1;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      let pageMatch;
+      if ((pageMatch = token.match(/^第(\d+)頁$/))) {
+        page = Math.max(parseInt(pageMatch[1]), 1);
+        continue;
+      }
+
+      if (token === '全部') {
+        filters.all = true;
+      } else if (token === '已過期') {
+        filters.past = true;
+      } else if (token === '本週' || token === '這週' || token === '下週') {
+        const monday = now.clone().startOf('isoWeek').add(token === '下週' ? 1 : 0, 'weeks');
+        filters.fromDate = monday.format('YYYY-MM-DD');
+        filters.toDate = monday.clone().add(6, 'days').format('YYYY-MM-DD');
+      } else if ((token === '面談者' || token === '理由') && tokens[i + 1]) {
+        filters[token === '面談者' ? 'interviewer' : 'reason'] = tokens[++i];
+        queryTokens.push(token);
+      } else {
+        const date = DateTimeParser.parseDate(token, now);
+        if (!date) return null;
+        filters.fromDate = date;
+        filters.toDate = date;
+      }
+      queryTokens.push(tokens[i]);
+    }
+
+    return { filters, page, query: queryTokens.join(' ') };
+  }
+
+  // Parse calendar command (format: 行事曆 [面談者])
+  static parseCalendarCommand(text) {
+    const match = text.match(/^行事曆(?:\s+(\S+))?$/);
+    return match ? { interviewerName: match[1] || null } : null;
+  }
+
+  // Parse revoke calendar command (format: 停用行事曆 {編號})
+  static parseRevokeCalendarCommand(text) {
+    const match = text.match(/^停用行事曆\s+(\d+)$/);
+    return match ? { id: parseInt(match[1]) } : null;
+  }
+
+  // Parse API key command (format: API金鑰 {名稱} [唯讀])
+  static parseApiKeyCommand(text) {
+    const match = text.match(/^API金鑰\s+(\S+)(?:\s+(唯讀))?$/i);
+    return match ? { name: match[1], readOnly: !!match[2] } : null;
+  }
+
+  // Parse revoke API key command (format: 停用API金鑰 {編號})
+  static parseRevokeApiKeyCommand(text) {
+    const match = text.match(/^停用API金鑰\s+(\d+)$/i);
+    return match ? { id: parseInt(match[1]) } : null;
+  }
+
+  // Parse interview history command (format: 面談紀錄 {姓名})
+  static parseHistoryCommand(text) {
+    const match = text.match(/^面談紀錄\s+(\S+)$/);
+    return match ? { name: match[1] } : null;
+  }
+
+  // Parse update command (format: 更新 {id} {field} {value} [僅此次|此次及之後|整個系列] [強制])
+  static parseUpdateCommand(text) {
+    const { text: forceStripped, force } = this.stripForceFlag(text);
+    const { text: commandText, seriesScope } = this.stripSeriesScope(forceStripped);
+
+    const regex = /更新\s+(\d+)\s+([^\s]+)\s+(.+)/;
+    const match = commandText.match(regex);
+    
+    if (!match) return null;
+    
+    return {
+      id: parseInt(match[1]),
+      field: match[2],
+      value: match[3],
+      force,
+      seriesScope
+    };
+  }
+
+  // Parse availability command
+  // 可面談時間 {面談者} {星期} {開始}-{結束} adds a window, 可面談時間 {面談者} lists them
+  static parseAvailabilityCommand(text) {
+    const addMatch = text.match(/^可面談時間\s+([^\s]+)\s+([^\s]+)\s+(\d{2}[:：]\d{2})\s*[-~～到]\s*(\d{2}[:：]\d{2})$/);
+    if (addMatch) {
+      return {
+        interviewerName: addMatch[1],
+        weekday: addMatch[2],
+        startTime: addMatch[3].replace('：', ':') + ':00',
+        endTime: addMatch[4].replace('：', ':') + ':00'
+      };
+    }
+
+    const listMatch = text.match(/^可面談時間\s+([^\s]+)$/);
+    if (listMatch) {
+      return { interviewerName: listMatch[1], list: true };
+    }
+
+    return null;
+  }
+
+  // Parse remove availability command (format: 移除可面談時間 {面談者} {星期})
+  static parseRemoveAvailabilityCommand(text) {
+    const match = text.match(/^移除可面談時間\s+([^\s]+)\s+([^\s]+)$/);
+    
+    if (!match) return null;
+    
+    return {
+      interviewerName: match[1],
+      weekday: match[2]
+    };
+  }
+
+  // Parse blackout command (format: 不可面談 {面談者} {日期} [備註])
+  static parseBlackoutCommand(text) {
+    const match = text.match(/^不可面談\s+([^\s]+)\s+(\d{4}-\d{2}-\d{2})(?:\s+(.+))?$/);
+    
+    if (!match) return null;
+    
+    return {
+      interviewerName: match[1],
+      date: match[2],
+      note: match[3] || null
+    };
+  }
+
+  // Parse remove blackout command (format: 移除不可面談 {面談者} {日期})
+  static parseRemoveBlackoutCommand(text) {
+    const match = text.match(/^移除不可面談\s+([^\s]+)\s+(\d{4}-\d{2}-\d{2})$/);
+    
+    if (!match) return null;
+    
+    return {
+      interviewerName: match[1],
+      date: match[2]
+    };
+  }
+
+  // Parse free slot command (format: 空檔 {面談者} {日期} [時長])
+  static parseFreeSlotCommand(text) {
+    const match = text.match(/^空檔\s+([^\s]+)\s+(\d{4}-\d{2}-\d{2})(?:\s+([^\s]+))?$/);
+    
+    if (!match) return null;
+    
+    return {
+      interviewerName: match[1],
+      date: match[2],
+      duration: match[3] || null
+    };
+  }
+
+  // Parse book command (format: 預約 {編號} {面談對象} {理由} [強制])
+  static parseBookCommand(text) {
+    const { text: commandText, force } = this.stripForceFlag(text);
+
+    const match = commandText.match(/^預約\s+(\d+)\s+([^\s]+)\s+(.+)$/);
+    
+    if (!match) return null;
+    
+    return {
+      slotNumber: parseInt(match[1]),
+      intervieweeName: match[2],
+      reason: match[3],
+      force
+    };
+  }
+
+  // A trailing "強制" confirms a booking despite a time conflict
+  static stripForceFlag(text) {
+    const match = text.match(/^(.*\S)\s+強制$/);
+    return match ? { text: match[1], force: true } : { text, force: false };
+  }
+
+  // A trailing "僅此次", "此次及之後" or "整個系列" chooses which occurrences of a series to change
+  static stripSeriesScope(text) {
+    const match = text.match(/^(.*\S)\s+(僅此次|此次及之後|整個系列)$/);
+    return match ? { text: match[1], seriesScope: seriesScopeMap[match[2]] } : { text, seriesScope: null };
+  }
+
+  // Parse "加入系列" command
+  // Format: 加入系列 {面談對象} {面談者} {日期} {時間} {重複規則} {結束} {理由} [強制]
+  static parseAddSeriesCommand(text) {
+    const { text: commandText, force } = this.stripForceFlag(text);
+    const tokens = commandText.replace(/^加入系列/, '').trim().split(/\s+/);
+    if (tokens.length < 6) return null;
+
+    const [intervieweeName, interviewerName, ...rest] = tokens;
+    let dateText = null;
+    let timeText = null;
+    let dateTimeText = null;
+    let dateTimeOptions = null;
+
+    // Date and time may be one word, e.g. "下週日10點"
+    const combined = DateTimeParser.splitDateTime(rest[0]);
+    if (combined) {
+      if (combined.options) {
+        dateTimeOptions = combined.options;
+      } else {
+        ({ dateText, timeText } = combined);
+      }
+      [dateTimeText] = rest.splice(0, 1);
+    } else {
+      [dateText, timeText] = rest.splice(0, 2);
+    }
+
+    if (rest.length < 3) return null;
+    const [ruleText, endText, ...reasonTokens] = rest;
+    
+    return {
+      intervieweeName,
+      interviewerName,
+      dateText,
+      timeText,
+      dateTimeText,
+      dateTimeOptions,
+      ruleText,
+      endText,
+      reason: reasonTokens.join(' '),
+      force
+    };
+  }
+
+  // Parse delete command (format: 刪除 {id} [僅此次|此次及之後|整個系列])
+  static parseDeleteCommand(text) {
+    const { text: unconfirmedText, confirmed } = this.stripConfirmFlag(text);
+    const { text: commandText, seriesScope } = this.stripSeriesScope(unconfirmedText);
+
+    const regex = /刪除\s+(\d+)/;
+    const match = commandText.match(regex);
+    
+    if (!match) return null;
+    
+    return {
+      id: parseInt(match[1]),
+      seriesScope,
+      confirmed
+    };
+  }
+
+  // A trailing "確認" confirms a delete the bot asked about
+  static stripConfirmFlag(text) {
+    const match = text.match(/^(.*\S)\s+確認$/);
+    return match ? { text: match[1], confirmed: true } : { text, confirmed: false };
+  }
+
+  // Parse recipient command (format: 收件人 {名稱} {LINE ID、@提及 或 本群組})
+  // "本群組" stands for the conversation the command is sent in
+  static parseRecipientCommand(text, mention) {
+    const match = text.match(/^收件人\s+(\S+)\s+(.+)$/);
+    if (!match) return null;
+
+    const target = match[2].trim();
+    if (target === '本群組') {
+      return { name: match[1], useCurrentChat: true };
+    }
+
+    const lineId = this.getTargetUserId(target, mention) || (/^[CR][0-9a-f]{32}$/.test(target) ? target : null);
+    if (!lineId) return null;
+
+    return { name: match[1], lineId, useCurrentChat: false };
+  }
+
+  // Parse remove recipient command (format: 移除收件人 {名稱})
+  static parseRemoveRecipientCommand(text) {
+    const match = text.match(/^移除收件人\s+(\S+)$/);
+    return match ? { name: match[1] } : null;
+  }
+
+  // Parse digest command (format: 摘要 {收件人名稱} {每日|每週|全部|關閉})
+  static parseDigestCommand(text) {
+    const match = text.match(/^摘要\s+(\S+)\s+(\S+)$/);
+    if (!match || !(match[2] in digestOptionMap)) return null;
+    return { name: match[1], digest: digestOptionMap[match[2]] };
+  }
+
+  // Parse route command (format: 提醒路由 {收件人名稱 或 面談者} {理由關鍵字 或 全部} {提醒 或 全部})
+  // e.g. 提醒路由 主教團群組 全部 24h / 提醒路由 面談者 全部 15m / 提醒路由 主教 聖殿推薦書 全部
+  static parseRouteCommand(text) {
+    const match = text.match(/^提醒路由\s+(\S+)\s+(\S+)\s+(\S+)$/);
+    if (!match) return null;
+
+    let offsets = [null];
+    if (match[3] !== '全部') {
+      offsets = ReminderSchedule.parseOffsets(match[3]);
+      if (!offsets) return null;
+    }
+
+    return {
+      target: match[1],
+      reasonKeyword: match[2] === '全部' ? null : match[2],
+      offsets
+    };
+  }
+
+  // Parse remove route command (format: 移除提醒路由 {編號})
+  static parseRemoveRouteCommand(text) {
+    const match = text.match(/^移除提醒路由\s+(\d+)$/);
+    return match ? { id: parseInt(match[1]) } : null;
+  }
+
+  // Parse register command (format: 註冊 {名字})
+  static parseRegisterCommand(text) {
+    const match = text.match(/^註冊\s+(\S+)$/);
+    return match ? { name: match[1] } : null;
+  }
+
+  // Parse registration decision (format: 核准註冊 {名字} or 拒絕註冊 {名字})
+  static parseRegistrationDecisionCommand(text) {
+    const match = text.match(/^(核准|拒絕)註冊\s+(\S+)$/);
+    return match ? { approve: match[1] === '核准', name: match[2] } : null;
+  }
+
+  // Parse create interviewer command (format: 建立面談者 {名字})
+  static parseCreateProfileCommand(text) {
+    const match = text.match(/^建立面談者\s+(\S+)$/);
+    return match ? { name: match[1] } : null;
+  }
+
+  // Parse alias commands (format: 別名 {名字} {別名} / 移除別名 {名字} {別名})
+  static parseAliasCommand(text) {
+    const match = text.match(/^(?:移除)?別名\s+(\S+)\s+(\S+)$/);
+    return match ? { name: match[1], alias: match[2] } : null;
+  }
+
+  // Parse delivery status command (format: 送達狀態 {id})
+  static parseDeliveryStatusCommand(text) {
+    const match = text.match(/^送達狀態\s+(\d+)$/);
+    return match ? { id: parseInt(match[1]) } : null;
+  }
+
+  // Parse grant command (format: 授權 {LINE user ID 或 @提及} {角色})
+  // The target is taken from the message mention when one is present
+  static parseGrantCommand(text, mention) {
+    const regex = /授權\s+(.+)\s+([^\s]+)$/;
+    const match = text.match(regex);
+    
+    if (!match) return null;
+    
+    const targetUserId = this.getTargetUserId(match[1].trim(), mention);
+    if (!targetUserId) return null;
+    
+    return {
+      targetUserId,
+      role: match[2]
+    };
+  }
+
+  // Parse revoke command (format: 撤銷 {LINE user ID 或 @提及})
+  static parseRevokeCommand(text, mention) {
+    const regex = /撤銷\s+(.+)$/;
+    const match = text.match(regex);
+    
+    if (!match) return null;
+    
+    const targetUserId = this.getTargetUserId(match[1].trim(), mention);
+    if (!targetUserId) return null;
+    
+    return {
+      targetUserId
+    };
+  }
+
+  // Resolve a command target from a LINE mention or a raw LINE user ID
+  static getTargetUserId(target, mention) {
+    if (mention && Array.isArray(mention.mentionees)) {
+      const mentionee = mention.mentionees.find(m => m.userId);
+      if (mentionee) return mentionee.userId;
+    }
+    return /^U[0-9a-f]{32}$/.test(target) ? target : null;
+  }
+}
+
+// RFC 4180 CSV for the import/export endpoints
+class CsvHelper {
+  // Rows of fields - quoted fields may contain commas, quotes ("") and line breaks
+  static parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  // CSV text with a BOM so spreadsheet apps read the Chinese correctly. Values starting with
+  // = + - @ get a leading ' so they aren't run as formulas; unescapeValue removes it again
+  static stringify(rows) {
+    const escape = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (/^[=+\-@]/.test(text)) text = "'" + text;
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    return '\uFEFF' + rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  }
+
+  static unescapeValue(value) {
+    return value.trim().replace(/^'(?=[=+\-@])/, '');
+  }
+}
+
+// LINE Flex Message rendering - one card per interview
+class FlexMessageBuilder {
+  // A label/value row inside a card
+  static buildRow(label, value) {
+    return {
+      type: 'box',
+      layout: 'baseline',
+      spacing: 'sm',
+      contents: [
+        { type: 'text', text: label, color: '#8C8C8C', size: 'sm', flex: 2 },
+        { type: 'text', text: String(value || '無'), color: '#333333', size: 'sm', flex: 5, wrap: true }
+      ]
+    };
+  }
+
+  // Card for one interview
+  // options.title overrides the header, options.extraRows adds [label, value] rows,
+  // options.actions adds edit / delete / reschedule buttons, options.outcomeActions adds outcome buttons
+  static buildInterviewBubble(interview, options = {}) {
+    const date = moment.tz(interview.interview_date, 'Asia/Taipei');
+    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
+    const duration = interview.duration_minutes || ScheduleHelper.getDefaultDuration(interview.reason);
+
+    const rows = [
+      this.buildRow('面談對象', interview.interviewee_name),
+      this.buildRow('面談者', interview.interviewer_name || '未指定'),
+      this.buildRow('時長', duration + '分鐘'),
+      this.buildRow('理由', interview.reason),
+      ...(interview.interview_series ? [this.buildRow('系列', interview.interview_series.description)] : []),
+      ...(interview.status && interview.status !== 'scheduled' ? [this.buildRow('狀態', interviewStatusNames[interview.status])] : []),
+      ...(options.extraRows || []).map(([label, value]) => this.buildRow(label, value))
+    ];
+
+    const bubble = {
+      type: 'bubble',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        backgroundColor: '#1E6FBA',
+        contents: [
+          { type: 'text', text: options.title || date.format('YYYY-MM-DD') + '（' + weekdayNames[date.day()] + '）' + time, color: '#FFFFFF', weight: 'bold', wrap: true },
+          ...(interview.id ? [{ type: 'text', text: 'ID: ' + interview.id, color: '#D6E6F5', size: 'xs' }] : [])
+        ]
+      },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: rows
+      }
+    };
+
+    if (options.actions) {
+      bubble.footer = {
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'sm',
+        contents: [
+          { type: 'button', style: 'secondary', height: 'sm', action: { type: 'postback', label: '編輯', data: 'action=edit&id=' + interview.id, displayText: '編輯面談 ' + interview.id } },
+          { type: 'button', style: 'primary', height: 'sm', action: { type: 'datetimepicker', label: '改期', data: 'action=reschedule&id=' + interview.id, mode: 'datetime', initial: date.format('YYYY-MM-DD') + 'T' + time } },
+          { type: 'button', style: 'secondary', color: '#F2B8B5', height: 'sm', action: { type: 'postback', label: '刪除', data: 'action=delete&id=' + interview.id, displayText: '刪除面談 ' + interview.id } }
+        ]
+      };
+    } else if (options.outcomeActions) {
+      // The prompt may be pushed to the interviewer's own chat, so the buttons carry the interview's scope
+      const outcomeButton = (label, status, style) => ({
+        type: 'button',
+        style: style,
+        height: 'sm',
+        action: { type: 'postback', label: label, data: 'action=outcome&id=' + interview.id + '&status=' + status + '&scope=' + interview.scope_id, displayText: '結果 ' + interview.id + ' ' + label }
+      });
+      bubble.footer = {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          {
+            type: 'box',
+            layout: 'horizontal',
+            spacing: 'sm',
+            contents: [outcomeButton('完成', 'completed', 'primary'), outcomeButton('未出席', 'no_show', 'secondary')]
+          },
+          {
+            type: 'box',
+            layout: 'horizontal',
+            spacing: 'sm',
+            contents: [outcomeButton('取消', 'cancelled', 'secondary'), outcomeButton('改期', 'rescheduled', 'secondary')]
+          }
+        ]
+      };
+    }
+
+    return bubble;
+  }
+
+  // Confirmation card for the guided add flow
+  static buildConfirmationBubble(interview) {
+    const bubble = this.buildInterviewBubble(interview, {
+      extraRows: [['日期', interview.interview_date], ['時間', interview.interview_time.substring(0, 5)]]
+    });
+    bubble.header.contents[0].text = '請確認面談資料';
+    bubble.footer = {
+      type: 'box',
+      layout: 'horizontal',
+      spacing: 'sm',
+      contents: [
+        { type: 'button', style: 'secondary', height: 'sm', action: { type: 'postback', label: '取消', data: 'action=wizard_cancel', displayText: '取消' } },
+        { type: 'button', style: 'primary', height: 'sm', action: { type: 'postback', label: '確認加入', data: 'action=wizard_confirm', displayText: '確認加入' } }
+      ]
+    };
+    return bubble;
+  }
+
+  // Quick reply buttons that send their label as a message (max 13)
+  static buildQuickReply(labels, extraItems = []) {
+    const items = [
+      ...extraItems,
+      ...labels.map(label => ({
+        type: 'action',
+        action: { type: 'message', label: label.substring(0, 20), text: label }
+      }))
+    ];
+    return items.length > 0 ? { items: items.slice(0, 13) } : undefined;
+  }
+
+  // Carousel messages (max 12 cards each, max 5 messages per reply)
+  static buildCarousels(altText, interviews, buildBubble) {
+    const maxBubbles = 12;
+    const maxMessages = 5;
+    const messages = [];
+
+    for (let i = 0; i < interviews.length && messages.length < maxMessages; i += maxBubbles) {
+      messages.push({
+        type: 'flex',
+        altText: altText + '（' + interviews.length + '筆）',
+        contents: {
+          type: 'carousel',
+          contents: interviews.slice(i, i + maxBubbles).map(buildBubble)
+        }
+      });
+    }
+
+    if (interviews.length > maxBubbles * maxMessages) {
+      messages[maxMessages - 1] = {
+        type: 'text',
+        text: '⚠️ 僅顯示前 ' + (maxBubbles * (maxMessages - 1)) + ' 筆面談，共 ' + interviews.length + ' 筆。'
+      };
+    }
+
+    return messages;
+  }
+
+  // Split plain text into messages under LINE's 5000-character limit (max 5 messages)
+  static splitText(text) {
+    const maxLength = 5000;
+    const messages = [];
+    let remaining = text;
+
+    while (remaining.length > 0 && messages.length < 5) {
+      let chunk = remaining.substring(0, maxLength);
+      // Prefer to break between interviews
+      if (remaining.length > maxLength && chunk.lastIndexOf('\n\n') > 0) {
+        chunk = chunk.substring(0, chunk.lastIndexOf('\n\n'));
+      }
+      messages.push({ type: 'text', text: chunk.trim() });
+      remaining = remaining.substring(chunk.length).trim();
+    }
+
+    return messages;
+  }
+}
+
+// Reply with Flex messages, falling back to plain text when LINE rejects them
+async function replyWithFallback(replyToken, flexMessages, fallbackText) {
+  try {
+    await client.replyMessage(replyToken, flexMessages);
+  } catch (error) {
+    console.error('Flex reply failed, falling back to text:', error.originalError && error.originalError.response ? error.originalError.response.data : error.message);
+    await client.replyMessage(replyToken, FlexMessageBuilder.splitText(fallbackText));
+  }
+}
+
+// Push a Flex message, falling back to plain text when LINE rejects it
+// With a retryKey LINE ignores repeats of an accepted push and answers 409 instead
+async function pushWithFallback(to, flexMessage, fallbackText, retryKey = null) {
+  try {
+    if (retryKey) client.setRequestOptionOnce({ retryKey });
+    await client.pushMessage(to, flexMessage);
+  } catch (error) {
+    // Only a rejected message is worth retrying as text - auth or recipient errors would fail again
+    if (!error.statusCode || error.statusCode !== 400) throw error;
+    console.error('Flex push failed, falling back to text:', error.originalError && error.originalError.response ? error.originalError.response.data : error.message);
+    if (retryKey) client.setRequestOptionOnce({ retryKey });
+    await client.pushMessage(to, FlexMessageBuilder.splitText(fallbackText));
+  }
+}
+
+// Resolve the conversation an event belongs to - interviews are shared by everyone in it
+function getScopeId(source) {
+  if (source.type === 'group') return source.groupId;
+  if (source.type === 'room') return source.roomId;
+  return source.userId;
+}
+
+// Who made a change and from where - a conversation ID starts with U, C or R for a 1:1 chat, group or room
+function getActor(scopeId, userId) {
+  return { userId, source: recipientKinds[scopeId.charAt(0)] || 'user' };
+}
+
+// Message handling
+async function handleMessage(event) {
+  const { text } = event.message;
+  const userId = event.source.userId;
+  const scopeId = getScopeId(event.source);
+
+  try {
+    // Check the sender's role before running anything
+    const action = getCommandAction(text);
+    if (action && !(await checkPermission(userId, action, event.replyToken))) {
+      return;
+    }
+
+    // Handle different commands
+    if (text.startsWith('面談清單')) {
+      await handleListCommand(text, scopeId, userId, event.replyToken);
+    } else if (text === '下一頁') {
+      await handleNextPageCommand(scopeId, userId, event.replyToken);
+    } else if (text.startsWith('加入系列')) {
+      await handleAddSeriesCommand(text, scopeId, userId, event.replyToken);
+    } else if (text.startsWith('加入')) {
+      await handleAddCommand(text, scopeId, userId, event.replyToken);
+    } else if (text.startsWith('更新')) {
+      await handleUpdateCommand(text, scopeId, userId, event.replyToken);
+    } else if (text.startsWith('刪除')) {
+      await handleDeleteCommand(text, scopeId, userId, event.replyToken);
+    } else if (text === '提醒狀態') {
+      await handleReminderStatusCommand(scopeId, event.replyToken);
+    } else if (text.startsWith('送達狀態')) {
+      await handleDeliveryStatusCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('授權')) {
+      await handleGrantCommand(text, event.message.mention, userId, event.replyToken);
+    } else if (text.startsWith('撤銷')) {
+      await handleRevokeCommand(text, event.message.mention, userId, event.replyToken);
+    } else if (text === '角色清單') {
+      await handleRoleListCommand(event.replyToken);
+    } else if (text.startsWith('核准註冊') || text.startsWith('拒絕註冊')) {
+      await handleRegistrationDecisionCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('註冊')) {
+      await handleRegisterCommand(text, scopeId, userId, event.replyToken);
+    } else if (text === '取消註冊') {
+      await handleUnregisterCommand(scopeId, userId, event.replyToken);
+    } else if (text.startsWith('建立面談者')) {
+      await handleCreateProfileCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('別名')) {
+      await handleAliasCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('移除別名')) {
+      await handleRemoveAliasCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('成員')) {
+      await handleMemberCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('面談紀錄')) {
+      await handleHistoryCommand(text, scopeId, event.replyToken);
+    } else if (text === '取消刪除') {
+      await client.replyMessage(event.replyToken, { type: 'text', text: '已取消刪除。' });
+    } else if (text === '操作紀錄') {
+      await handleAuditLogCommand(scopeId, event.replyToken);
+    } else if (text.startsWith('復原')) {
+      await handleUndoCommand(text, scopeId, userId, event.replyToken);
+    } else if (text.startsWith('改期')) {
+      await handleRescheduleCommand(text, scopeId, userId, event.replyToken);
+    } else if (text.startsWith('結果')) {
+      await handleOutcomeCommand(text, scopeId, userId, event.source.type === 'user', event.replyToken);
+    } else if (text === '行事曆清單') {
+      await handleCalendarListCommand(scopeId, userId, event.replyToken);
+    } else if (text.startsWith('行事曆')) {
+      await handleCalendarCommand(text, scopeId, userId, event.source.type === 'user', event.replyToken);
+    } else if (text.startsWith('停用行事曆')) {
+      await handleRevokeCalendarCommand(text, userId, event.replyToken);
+    } else if (text === 'API金鑰清單') {
+      await handleApiKeyListCommand(scopeId, event.replyToken);
+    } else if (text.startsWith('API金鑰')) {
+      await handleApiKeyCommand(text, scopeId, userId, event.source.type === 'user', event.replyToken);
+    } else if (text.startsWith('停用API金鑰')) {
+      await handleRevokeApiKeyCommand(text, scopeId, event.replyToken);
+    } else if (text === '面談者清單') {
+      await handleProfileListCommand(scopeId, event.replyToken);
+    } else if (text === '收件人清單') {
+      await handleRecipientListCommand(scopeId, event.replyToken);
+    } else if (text.startsWith('收件人')) {
+      await handleRecipientCommand(text, event.message.mention, scopeId, event.replyToken);
+    } else if (text.startsWith('移除收件人')) {
+      await handleRemoveRecipientCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('摘要')) {
+      await handleDigestCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('提醒路由')) {
+      await handleRouteCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('移除提醒路由')) {
+      await handleRemoveRouteCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('可面談時間')) {
+      await handleAvailabilityCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('移除可面談時間')) {
+      await handleRemoveAvailabilityCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('不可面談')) {
+      await handleBlackoutCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('移除不可面談')) {
+      await handleRemoveBlackoutCommand(text, scopeId, event.replyToken);
+    } else if (text.startsWith('空檔')) {
+      await handleFreeSlotCommand(text, scopeId, userId, event.replyToken);
+    } else if (text.startsWith('預約')) {
+      await handleBookCommand(text, scopeId, userId, event.replyToken);
+    } else if (text === '新增面談') {
+      await handleStartAddWizard(scopeId, userId, event.replyToken);
+    }
+    // Note: No else clause - unrecognized commands are handled in webhook
+  } catch (error) {
+    console.error('Error handling message:', error);
+    await client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '抱歉，處理您的訊息時發生錯誤。請稍後再試。'
+    });
+  }
+}
+
+// Postback handling - buttons on Flex interview cards
+async function handlePostback(event) {
+  const params = new URLSearchParams(event.postback.data);
+  const action = params.get('action');
+  const interviewId = parseInt(params.get('id'));
+  const userId = event.source.userId;
+  const scopeId = getScopeId(event.source);
+
+  try {
+    const permission = postbackPermissionMap[action];
+    const needsInterview = ['edit', 'delete', 'reschedule', 'outcome'].includes(action);
+    if (!permission || (needsInterview && !interviewId)) {
+      console.warn('Unknown postback:', event.postback.data);
+      return;
+    }
+
+    if (!(await checkPermission(userId, permission, event.replyToken))) {
+      return;
+    }
+
+    if (action === 'start_add') {
+      await handleStartAddWizard(scopeId, userId, event.replyToken);
+    } else if (action.startsWith('wizard_')) {
+      await handleAddWizardPostback(action, event.postback.params, scopeId, userId, event.replyToken);
+    } else if (action === 'edit') {
+      await handleEditPostback(scopeId, interviewId, event.replyToken);
+    } else if (action === 'delete') {
+      await handleDeleteCommand('刪除 ' + interviewId, scopeId, userId, event.replyToken);
+    } else if (action === 'reschedule') {
+      // datetimepicker returns "YYYY-MM-DDTHH:mm"
+      const picked = moment.tz(event.postback.params.datetime, 'YYYY-MM-DDTHH:mm', 'Asia/Taipei');
+      await rescheduleInterview(scopeId, userId, interviewId, picked.format('YYYY-MM-DD'), picked.format('HH:mm:ss'), false, false, event.replyToken);
+    } else if (action === 'outcome') {
+      await recordOutcome(params.get('scope') || scopeId, interviewId, params.get('status'), undefined, userId, event.source.type === 'user', event.replyToken);
+    }
+  } catch (error) {
+    console.error('Error handling postback:', error);
+    await client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '抱歉，處理您的操作時發生錯誤。請稍後再試。'
+    });
+  }
+}
+
+// Which permission each card button requires
+const postbackPermissionMap = {
+  edit: 'update',
+  reschedule: 'update',
+  outcome: 'update',
+  delete: 'delete',
+  start_add: 'add',
+  wizard_datetime: 'add',
+  wizard_confirm: 'add',
+  wizard_cancel: 'add'
+};
+
+// Map a command to the permission it requires
+function getCommandAction(text) {
+  if (text.startsWith('面談清單') || text === '下一頁' || text === '提醒狀態' || text.startsWith('送達狀態')) return 'view';
+  if (text.startsWith('結果')) return /^結果\s+\d+$/.test(text) ? 'view' : 'update';
+  if (text.startsWith('加入')) return 'add';
+  if (text.startsWith('更新') || text.startsWith('改期')) return 'update';
+  if (text.startsWith('刪除') || text.startsWith('復原') || text === '取消刪除') return 'delete';
+  if (text === '操作紀錄') return 'view';
+  if (text.startsWith('授權') || text.startsWith('撤銷') || text === '角色清單') return 'manageRoles';
+  if (text.startsWith('API金鑰') || text.startsWith('停用API金鑰')) return 'manageRoles';
+  if (text === '收件人清單') return 'view';
+  // 註冊 itself is open to every role - in a shared conversation it only binds after 核准註冊
+  if (text.startsWith('註冊') || text === '取消註冊' || text === '面談者清單') return 'view';
+  if (text.startsWith('核准註冊') || text.startsWith('拒絕註冊')) return 'manageRecipients';
+  if (text.startsWith('面談紀錄')) return 'view';
+  if (text.startsWith('行事曆') || text.startsWith('停用行事曆')) return 'view';
+  if (text.startsWith('成員')) return /^成員\s+\S+$/.test(text) ? 'view' : 'update';
+  if (text.startsWith('建立面談者') || text.startsWith('別名') || text.startsWith('移除別名')) return 'manageProfiles';
+  if (text.startsWith('收件人') || text.startsWith('移除收件人') || text.startsWith('摘要') ||
+      text.startsWith('提醒路由') || text.startsWith('移除提醒路由')) return 'manageRecipients';
+  if (text.startsWith('可面談時間') || text.startsWith('移除可面談時間') ||
+      text.startsWith('不可面談') || text.startsWith('移除不可面談')) return 'manageAvailability';
+  if (text.startsWith('空檔')) return 'view';
+  if (text.startsWith('預約') || text === '新增面談') return 'add';
+  return null;
+}
+
+// Reply with a refusal and return false when the sender may not perform the action
+async function checkPermission(userId, action, replyToken) {
+  const result = await RoleManager.getRole(userId);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '檢查權限時發生錯誤。請稍後再試。'
+    });
+    return false;
+  }
+
+  if (!RoleManager.hasPermission(result.data, action)) {
+    const roleText = result.data ? '您的角色（' + roleNames[result.data] + '）' : '您尚未被授予任何角色，';
+    const allowedText = permissionMap[action].map(role => roleNames[role]).join('、');
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '⛔ 權限不足！' + roleText + '無法執行此指令。\n可執行此指令的角色：' + allowedText
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// Build a conflict reply for a candidate interview, or null when the slot is free
+async function getConflictReply(scopeId, candidate, excludeId = null, forceHint = true) {
+  if (!candidate.interviewer_name) return null;
+
+  const schedule = await InterviewManager.getInterviewerSchedule(scopeId, candidate.interviewer_name, candidate.interview_date, excludeId);
+  if (!schedule.success) {
+    return { type: 'text', text: '檢查時間衝突時發生錯誤。請稍後再試。' };
+  }
+
+  const conflicts = ScheduleHelper.findOverlaps(candidate, schedule.data);
+  if (conflicts.length === 0) return null;
+
+  return { type: 'text', text: ScheduleHelper.formatConflictMessage(candidate, conflicts, schedule.data, forceHint) };
+}
+
+// Resolve an interviewer name or alias to the profile's name. Unknown names come back with
+// suggestions - until the conversation has profiles, any name is accepted as before.
+// profiles may be passed in when they were already loaded (the CSV import checks many rows)
+async function resolveInterviewerName(scopeId, name, profiles = null) {
+  if (!profiles) {
+    const result = await ProfileManager.getProfiles(scopeId);
+    profiles = result.success ? result.data : [];
+  }
+  if (profiles.length === 0) {
+    return { name, known: true, profile: null };
+  }
+
+  const profile = ProfileManager.findProfile(profiles, name);
+  if (profile) {
+    return { name: profile.name, known: true, profile };
+  }
+
+  return { name, known: false, suggestions: ProfileManager.suggest(profiles, name) };
+}
+
+// The member with this name, created when there is none - data is null if the directory is unavailable
+async function findOrCreateMember(scopeId, name) {
+  const members = await MemberManager.getMembers(scopeId);
+  if (!members.success) return null;
+
+  const member = MemberManager.findMember(members.data, name);
+  if (member) return member;
+
+  const created = await MemberManager.createMember(scopeId, name);
+  return created.success ? created.data : null;
+}
+
+// Reply for an unknown interviewer - each suggestion resends the command with that name
+function buildUnknownInterviewerReply(name, suggestions, buildCommand) {
+  return {
+    type: 'text',
+    text: '❓ 找不到面談者「' + name + '」。' + (suggestions.length > 0 ? '您是指以下面談者嗎？' : '') + '\n\n如為新的面談者，請先使用「建立面談者 ' + name + '」，或請本人輸入「註冊 ' + name + '」。',
+    quickReply: FlexMessageBuilder.buildQuickReply([], suggestions.map(suggestion => ({
+      type: 'action',
+      action: { type: 'message', label: suggestion.substring(0, 20), text: buildCommand(suggestion) }
+    })))
+  };
+}
+
+// Build a conflict reply for several occurrences of a series, or null when every slot is free
+async function getSeriesConflictReply(scopeId, candidates, excludeIds = []) {
+  const interviewerName = candidates[0] && candidates[0].interviewer_name;
+  if (!interviewerName) return null;
+
+  const dates = candidates.map(candidate => candidate.interview_date).sort();
+  const schedule = await InterviewManager.getInterviewerScheduleBetween(scopeId, interviewerName, dates[0], dates[dates.length - 1]);
+  if (!schedule.success) {
+    return { type: 'text', text: '檢查時間衝突時發生錯誤。請稍後再試。' };
+  }
+
+  const existing = schedule.data.filter(interview => !excludeIds.includes(interview.id));
+  const lines = [];
+  candidates.forEach(candidate => {
+    const sameDay = existing.filter(interview => interview.interview_date === candidate.interview_date);
+    ScheduleHelper.findOverlaps(candidate, sameDay).forEach(conflict => {
+      lines.push('• ' + DateTimeParser.formatDate(candidate.interview_date) + ' ' + conflict.interview_time.substring(0, 5) + ' ' + conflict.interviewee_name + '（ID: ' + conflict.id + '）');
+    });
+  });
+
+  if (lines.length === 0) return null;
+
+  return {
+    type: 'text',
+    text: '⚠️ ' + interviewerName + ' 在以下時段已有面談：\n' + lines.join('\n') + '\n\n請調整時間，或在指令最後加上「強制」仍要安排。'
+  };
+}
+
+// Ask which occurrences of a series a command applies to - each choice resends the command
+async function replySeriesScopePrompt(replyToken, interview, buildCommand) {
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '🔁 面談 ID ' + interview.id + ' 屬於重複系列（' + ((interview.interview_series && interview.interview_series.description) || '系列') + '）。\n請選擇要套用的範圍：',
+    quickReply: {
+      items: Object.keys(seriesScopeMap).map(label => ({
+        type: 'action',
+        action: { type: 'message', label, text: buildCommand(label) }
+      }))
+    }
+  });
+}
+
+// Command handlers
+// By default only upcoming scheduled interviews - showAll includes ended ones and their outcomes
+async function handleListCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseListCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：面談清單 [全部|已過期] [本週|下週|{日期}] [面談者 {姓名}] [理由 {關鍵字}]\n例如：面談清單 本週\n面談清單 面談者 陳佑庭'
+    });
+    return;
+  }
+
+  // Aliases such as 陳弟兄 list the same interviewer
+  if (parsed.filters.interviewer) {
+    parsed.filters.interviewer = (await resolveInterviewerName(scopeId, parsed.filters.interviewer)).name;
+  }
+
+  const result = await InterviewManager.listInterviews(scopeId, parsed.filters, parsed.page);
+  
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取面談清單時發生錯誤。'
+    });
+    return;
+  }
+
+  const { interviews, total } = result.data;
+  const pageCount = Math.ceil(total / LIST_PAGE_SIZE);
+
+  if (interviews.length === 0) {
+    let reply = '沒有符合條件的面談。';
+    if (total > 0) {
+      reply = '沒有更多面談了（共 ' + pageCount + ' 頁）。';
+    } else if (!parsed.query) {
+      reply = '目前沒有即將進行的面談。\n輸入「面談清單 已過期」可查看已結束的面談。';
+    }
+    await client.replyMessage(replyToken, { type: 'text', text: reply });
+    return;
+  }
+
+  // 下一頁 repeats the last list of this user - kept in its own key, next to an add wizard or
+  // 空檔 slots in progress
+  if (userId) {
+    const session = await SessionManager.getSession(scopeId, userId);
+    if (session.success) {
+      await SessionManager.setSession(scopeId, userId, { ...(session.data || {}), list: { query: parsed.query, page: parsed.page } });
+    }
+  }
+
+  const title = '面談清單' + (parsed.query ? '（' + parsed.query + '）' : '');
+  const pageLabel = pageCount > 1 ? ' 第 ' + parsed.page + '/' + pageCount + ' 頁，' : ' ';
+  let message = '📋 ' + title + pageLabel + '共 ' + total + ' 筆：\n\n';
+  interviews.forEach((interview, index) => {
+    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
+    // Format time to show only HH:mm for display
+    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
+    message += `${(parsed.page - 1) * LIST_PAGE_SIZE + index + 1}. ID: ${interview.id}\n`;
+    message += `   面談對象: ${interview.interviewee_name}\n`;
+    message += `   面談者: ${interview.interviewer_name || '未指定'}\n`;
+    message += `   日期: ${date}\n`;
+    message += `   時間: ${time}\n`;
+    message += `   時長: ${interview.duration_minutes || ScheduleHelper.getDefaultDuration(interview.reason)}分鐘\n`;
+    message += `   理由: ${interview.reason || '無'}\n`;
+    if (interview.interview_series) {
+      message += `   系列: ${interview.interview_series.description}\n`;
+    }
+    if (interview.status !== 'scheduled') {
+      message += `   狀態: ${interviewStatusNames[interview.status]}\n`;
+    }
+    message += '\n';
+  });
+
+  const carousels = FlexMessageBuilder.buildCarousels(title, interviews, (interview) => {
+    return FlexMessageBuilder.buildInterviewBubble(interview, { actions: interview.status === 'scheduled' });
+  });
+
+  if (parsed.page < pageCount) {
+    message += '輸入「下一頁」查看更多。';
+    carousels[carousels.length - 1].quickReply = {
+      items: [{
+        type: 'action',
+        action: {
+          type: 'message',
+          label: '下一頁',
+          text: ('面談清單 ' + parsed.query).trim() + ' 第' + (parsed.page + 1) + '頁'
+        }
+      }]
+    };
+  }
+
+  await replyWithFallback(replyToken, carousels, message);
+}
+
+async function handleNextPageCommand(scopeId, userId, replyToken) {
+  const session = userId ? await SessionManager.getSession(scopeId, userId) : { success: false };
+
+  if (!session.success || !session.data || !session.data.list) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '請先輸入「面談清單」查看面談。'
+    });
+    return;
+  }
+
+  const { query, page } = session.data.list;
+  await handleListCommand(('面談清單 ' + query).trim() + ' 第' + (page + 1) + '頁', scopeId, userId, replyToken);
+}
+
+async function handleAddCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseAddCommand(text);
+  
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：加入 {面談對象} {面談者} {日期} {時間} {理由}\n例如：加入 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談'
+    });
+    return;
+  }
+
+  if (parsed.dateTimeOptions) {
+    await client.replyMessage(replyToken, DateTimeParser.buildDateTimeClarification(parsed.dateTimeText, parsed.dateTimeOptions, (dateText, timeText) =>
+      '加入 ' + parsed.intervieweeName + ' ' + parsed.interviewerName + ' ' + dateText + ' ' + timeText + ' ' + parsed.reason + (parsed.newMember ? ' 新成員' : '') + (parsed.force ? ' 強制' : '')
+    ));
+    return;
+  }
+
+  const interviewer = await resolveInterviewerName(scopeId, parsed.interviewerName);
+  if (!interviewer.known) {
+    await client.replyMessage(replyToken, buildUnknownInterviewerReply(parsed.interviewerName, interviewer.suggestions, (name) =>
+      '加入 ' + parsed.intervieweeName + ' ' + name + ' ' + parsed.dateText + ' ' + parsed.timeText + ' ' + parsed.reason + (parsed.force ? ' 強制' : '')
+    ));
+    return;
+  }
+  parsed.interviewerName = interviewer.name;
+
+  // A name close to an existing member is probably a typo - ask before adding a new person
+  if (!parsed.newMember) {
+    const members = await MemberManager.getMembers(scopeId);
+    if (members.success && !MemberManager.findMember(members.data, parsed.intervieweeName)) {
+      const similar = MemberManager.findSimilar(members.data, parsed.intervieweeName);
+      if (similar.length > 0) {
+        const buildCommand = (name, flag = '') =>
+          '加入 ' + name + ' ' + parsed.interviewerName + ' ' + parsed.dateText + ' ' + parsed.timeText + ' ' + parsed.reason + flag + (parsed.force ? ' 強制' : '');
+        await client.replyMessage(replyToken, {
+          type: 'text',
+          text: '❓ 找不到成員「' + parsed.intervieweeName + '」，您是指以下成員嗎？\n若是新成員，請選擇「新成員」。',
+          quickReply: FlexMessageBuilder.buildQuickReply([], [
+            ...similar.map(member => ({
+              type: 'action',
+              action: { type: 'message', label: member.name.substring(0, 20), text: buildCommand(member.name) }
+            })),
+            { type: 'action', action: { type: 'message', label: '新成員', text: buildCommand(parsed.intervieweeName, ' 新成員') } }
+          ])
+        });
+        return;
+      }
+    }
+  }
+
+  const dateResult = DateTimeParser.resolveDate(parsed.dateText);
+  const dateReply = DateTimeParser.buildDateReply(parsed.dateText, dateResult, (date) =>
+    '加入 ' + parsed.intervieweeName + ' ' + parsed.interviewerName + ' ' + date + ' ' + parsed.timeText + ' ' + parsed.reason + (parsed.newMember ? ' 新成員' : '') + (parsed.force ? ' 強制' : '')
+  );
+  if (dateReply) {
+    await client.replyMessage(replyToken, dateReply);
+    return;
+  }
+  const date = dateResult.date;
+
+  const timeResult = DateTimeParser.parseTime(parsed.timeText);
+  if (!timeResult) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無法辨識時間「' + parsed.timeText + '」！請使用 14:30、14點、下午2點半、2:30pm 等格式。'
+    });
+    return;
+  }
+
+  if (timeResult.options) {
+    await client.replyMessage(replyToken, DateTimeParser.buildTimeClarification(parsed.timeText, timeResult.options, (time) =>
+      '加入 ' + parsed.intervieweeName + ' ' + parsed.interviewerName + ' ' + date + ' ' + time + ' ' + parsed.reason + (parsed.newMember ? ' 新成員' : '') + (parsed.force ? ' 強制' : '')
+    ));
+    return;
+  }
+
+  await createInterview({ ...parsed, date, time: timeResult.time }, scopeId, userId, replyToken);
+}
+
+async function handleAddSeriesCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseAddSeriesCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：加入系列 {面談對象} {面談者} {日期} {時間} {重複規則} {結束} {理由}\n例如：加入系列 約翰 陳佑庭 2024-01-07 10:00 每2週 共6次 進度面談\n重複規則：每週、每2週、每月、每月第1個週日、每月最後一個週日\n結束：至2024-06-30 或 共6次'
+    });
+    return;
+  }
+
+  if (!InputValidator.validateName(parsed.intervieweeName) || !InputValidator.validateName(parsed.interviewerName)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '姓名無效！請輸入有效的面談對象及面談者姓名。'
+    });
+    return;
+  }
+
+  if (parsed.dateTimeOptions) {
+    await client.replyMessage(replyToken, DateTimeParser.buildDateTimeClarification(parsed.dateTimeText, parsed.dateTimeOptions, (dateText, timeText) =>
+      '加入系列 ' + parsed.intervieweeName + ' ' + parsed.interviewerName + ' ' + dateText + ' ' + timeText + ' ' + parsed.ruleText + ' ' + parsed.endText + ' ' + parsed.reason + (parsed.force ? ' 強制' : '')
+    ));
+    return;
+  }
+
+  const interviewer = await resolveInterviewerName(scopeId, parsed.interviewerName);
+  if (!interviewer.known) {
+    await client.replyMessage(replyToken, buildUnknownInterviewerReply(parsed.interviewerName, interviewer.suggestions, (name) =>
+      '加入系列 ' + parsed.intervieweeName + ' ' + name + ' ' + parsed.dateText + ' ' + parsed.timeText + ' ' + parsed.ruleText + ' ' + parsed.endText + ' ' + parsed.reason + (parsed.force ? ' 強制' : '')
+    ));
+    return;
+  }
+  parsed.interviewerName = interviewer.name;
+
+  const dateResult = DateTimeParser.resolveDate(parsed.dateText);
+  const dateReply = DateTimeParser.buildDateReply(parsed.dateText, dateResult, (date) =>
+    '加入系列 ' + parsed.intervieweeName + ' ' + parsed.interviewerName + ' ' + date + ' ' + parsed.timeText + ' ' + parsed.ruleText + ' ' + parsed.endText + ' ' + parsed.reason + (parsed.force ? ' 強制' : '')
+  );
+  if (dateReply) {
+    await client.replyMessage(replyToken, dateReply);
+    return;
+  }
+  const date = dateResult.date;
+
+  const timeResult = DateTimeParser.parseTime(parsed.timeText);
+  if (!timeResult) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無法辨識時間「' + parsed.timeText + '」！請使用 14:30、14點、下午2點半、2:30pm 等格式。'
+    });
+    return;
+  }
+
+  if (timeResult.options) {
+    await client.replyMessage(replyToken, DateTimeParser.buildTimeClarification(parsed.timeText, timeResult.options, (time) =>
+      '加入系列 ' + parsed.intervieweeName + ' ' + parsed.interviewerName + ' ' + date + ' ' + time + ' ' + parsed.ruleText + ' ' + parsed.endText + ' ' + parsed.reason + (parsed.force ? ' 強制' : '')
+    ));
+    return;
+  }
+
+  const rule = RecurrenceRule.parse(parsed.ruleText, parsed.endText, date);
+  if (!rule) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無法辨識重複規則「' + parsed.ruleText + ' ' + parsed.endText + '」！\n重複規則：每週、每2週、每月、每月第1個週日、每月最後一個週日\n結束：至{日期}（不可早於開始日期）或 共{N}次（最多 ' + MAX_SERIES_OCCURRENCES + ' 次）'
+    });
+    return;
+  }
+
+  const dates = RecurrenceRule.expand(rule, date);
+  if (dates.length > MAX_SERIES_OCCURRENCES) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '系列面談最多 ' + MAX_SERIES_OCCURRENCES + ' 次，依此規則至 ' + rule.endDate + ' 會超過。\n請改用較早的結束日期（第 ' + MAX_SERIES_OCCURRENCES + ' 次為 ' + DateTimeParser.formatDate(dates[MAX_SERIES_OCCURRENCES - 1]) + '），或「共' + MAX_SERIES_OCCURRENCES + '次」。'
+    });
+    return;
+  }
+  if (dates.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '依此規則在結束日期前沒有任何面談日期，請確認開始日期與重複規則。'
+    });
+    return;
+  }
+
+  const fields = {
+    intervieweeName: InputValidator.sanitizeString(parsed.intervieweeName),
+    interviewerName: InputValidator.sanitizeString(parsed.interviewerName),
+    time: timeResult.time,
+    reason: InputValidator.sanitizeString(parsed.reason)
+  };
+  fields.durationMinutes = ScheduleHelper.getDefaultDuration(fields.reason);
+
+  const member = await findOrCreateMember(scopeId, fields.intervieweeName);
+  if (member) {
+    fields.intervieweeName = member.name;
+    fields.memberId = member.id;
+  }
+
+  // Reject the series if any occurrence overlaps another interview unless forced
+  if (!parsed.force) {
+    const conflictReply = await getSeriesConflictReply(scopeId, dates.map(occurrenceDate => ({
+      interviewer_name: fields.interviewerName,
+      interview_date: occurrenceDate,
+      interview_time: fields.time,
+      reason: fields.reason,
+      duration_minutes: fields.durationMinutes
+    })));
+    if (conflictReply) {
+      await client.replyMessage(replyToken, conflictReply);
+      return;
+    }
+  }
+
+  const result = await InterviewManager.addSeries(scopeId, userId, fields, rule, dates, getActor(scopeId, userId));
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '加入系列面談時發生錯誤。'
+    });
+    return;
+  }
+
+  const maxListed = 10;
+  const listed = result.data.interviews.slice(0, maxListed).map(interview =>
+    '• ' + DateTimeParser.formatDate(interview.interview_date) + '（ID: ' + interview.id + '）'
+  );
+  if (result.data.interviews.length > maxListed) {
+    listed.push('…另有 ' + (result.data.interviews.length - maxListed) + ' 次');
+  }
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '✅ 系列面談已成功加入！\n\n面談對象: ' + fields.intervieweeName + '\n面談者: ' + fields.interviewerName + '\n時間: ' + fields.time.substring(0, 5) + '\n時長: ' + fields.durationMinutes + '分鐘\n理由: ' + fields.reason + '\n重複: ' + rule.description + '\n\n共 ' + dates.length + ' 次：\n' + listed.join('\n')
+  });
+}
+
+// Why a parsed interview can't be added, or null - shared by 加入 and the CSV import
+function getInterviewInputError(parsed) {
+  if (!InputValidator.validateName(parsed.intervieweeName)) return '面談對象姓名無效！請輸入有效的姓名。';
+  if (!InputValidator.validateName(parsed.interviewerName)) return '面談者姓名無效！請輸入有效的姓名。';
+  if (!InputValidator.validateDate(parsed.date)) return '日期格式錯誤！請使用 YYYY-MM-DD 格式。';
+  if (!InputValidator.validateTime(parsed.time)) return '時間格式錯誤！請使用 HH:mm 格式。';
+  return null;
+}
+
+// Parse and validate the fields of a new interview like 加入 does - for the CSV import and the REST API.
+// values: intervieweeName, interviewerName, date, time, reason and optional duration, as text.
+// Returns { errors } or { errors: [], interview } with the columns to insert. profiles are passed on
+// to resolveInterviewerName
+async function parseInterviewInput(scopeId, values, profiles = null) {
+  const errors = [];
+  const parsed = {
+    intervieweeName: String(values.intervieweeName || '').trim(),
+    interviewerName: String(values.interviewerName || '').trim(),
+    dateText: String(values.date || '').trim(),
+    timeText: String(values.time || '').trim(),
+    reason: String(values.reason || '').trim()
+  };
+
+  if (Object.values(parsed).some(value => !value)) {
+    return { errors: ['欄位不完整：需要面談對象、面談者、日期、時間及理由'] };
+  }
+  // Names are one word, as in the 加入 command
+  if (/\s/.test(parsed.intervieweeName) || /\s/.test(parsed.interviewerName)) {
+    return { errors: ['面談對象及面談者姓名不可包含空白'] };
+  }
+
+  const dateResult = DateTimeParser.resolveDate(parsed.dateText);
+  const dateError = DateTimeParser.describeDateError(parsed.dateText, dateResult);
+  if (dateError) errors.push(dateError);
+  const date = dateError ? null : dateResult.date;
+
+  const timeResult = DateTimeParser.parseTime(parsed.timeText);
+  if (!timeResult) {
+    errors.push('無法辨識時間「' + parsed.timeText + '」');
+  } else if (timeResult.options) {
+    errors.push('時間「' + parsed.timeText + '」不明確，請註明上午或下午');
+  }
+
+  let durationMinutes = null;
+  if (values.duration) {
+    durationMinutes = InputValidator.parseDuration(values.duration);
+    if (!durationMinutes) errors.push('時長「' + values.duration + '」無效（5 至 480 分鐘）');
+  }
+  if (errors.length > 0) return { errors };
+
+  const inputError = getInterviewInputError({ ...parsed, date, time: timeResult.time });
+  if (inputError) return { errors: [inputError] };
+
+  const interviewer = await resolveInterviewerName(scopeId, parsed.interviewerName, profiles);
+  if (!interviewer.known) {
+    const suggestions = interviewer.suggestions.length > 0 ? '，您是指：' + interviewer.suggestions.join('、') : '';
+    return { errors: ['找不到面談者「' + parsed.interviewerName + '」' + suggestions] };
+  }
+
+  const reason = InputValidator.sanitizeString(parsed.reason);
+  return {
+    errors,
+    interview: {
+      interviewee_name: InputValidator.sanitizeString(parsed.intervieweeName),
+      interviewer_name: InputValidator.sanitizeString(interviewer.name),
+      interview_date: date,
+      interview_time: timeResult.time,
+      reason: reason,
+      duration_minutes: durationMinutes || ScheduleHelper.getDefaultDuration(reason)
+    }
+  };
+}
+
+// Validate, check conflicts and add a parsed interview - shared by 加入 and 預約
+async function createInterview(parsed, scopeId, userId, replyToken) {
+  // Validate and sanitize inputs
+  const inputError = getInterviewInputError(parsed);
+  if (inputError) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: inputError
+    });
+    return;
+  }
+
+  // Sanitize inputs - an interviewer alias is stored as the profile's name
+  const interviewer = await resolveInterviewerName(scopeId, parsed.interviewerName);
+  const sanitizedData = {
+    intervieweeName: InputValidator.sanitizeString(parsed.intervieweeName),
+    interviewerName: InputValidator.sanitizeString(interviewer.name),
+    date: parsed.date,
+    time: parsed.time,
+    reason: InputValidator.sanitizeString(parsed.reason)
+  };
+  const durationMinutes = parsed.durationMinutes || ScheduleHelper.getDefaultDuration(sanitizedData.reason);
+
+  // Reject overlapping interviews for the same interviewer unless forced
+  if (!parsed.force) {
+    const conflictReply = await getConflictReply(scopeId, {
+      interviewer_name: sanitizedData.interviewerName,
+      interview_date: sanitizedData.date,
+      interview_time: sanitizedData.time,
+      reason: sanitizedData.reason,
+      duration_minutes: durationMinutes
+    });
+    if (conflictReply) {
+      await client.replyMessage(replyToken, conflictReply);
+      return;
+    }
+  }
+
+  const member = await findOrCreateMember(scopeId, sanitizedData.intervieweeName);
+
+  const result = await InterviewManager.addInterview(
+    scopeId,
+    userId,
+    member ? member.name : sanitizedData.intervieweeName,
+    sanitizedData.interviewerName,
+    sanitizedData.date,
+    sanitizedData.time,
+    sanitizedData.reason,
+    durationMinutes,
+    member ? member.id : null,
+    getActor(scopeId, userId)
+  );
+
+  if (result.success) {
+    // Format time to show only HH:mm for display
+    const displayTime = parsed.time.substring(0, 5);
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談已成功加入！\n\n面談對象: ' + sanitizedData.intervieweeName + '\n面談者: ' + sanitizedData.interviewerName + '\n日期: ' + DateTimeParser.formatDate(sanitizedData.date) + '\n時間: ' + displayTime + '\n時長: ' + durationMinutes + '分鐘\n理由: ' + sanitizedData.reason + '\n\nID: ' + result.data.id
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '加入面談時發生錯誤。'
+    });
+  }
+}
+
+async function handleUpdateCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseUpdateCommand(text);
+  
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 約翰'
+    });
+    return;
+  }
+
+  // Map Chinese field name to database column
+  const dbField = fieldMap[parsed.field];
+  if (!dbField) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無效的欄位！可用欄位：面談對象、面談者、日期、時間、理由、提醒、時長'
+    });
+    return;
+  }
+
+  const updates = {};
+  let valueToStore = parsed.value;
+
+  // Per-interview reminder offsets - "預設" goes back to the global schedule
+  if (dbField === 'reminder_offsets') {
+    const useDefault = parsed.value.trim() === '預設';
+    valueToStore = useDefault ? null : ReminderSchedule.parseOffsets(parsed.value);
+    if (!useDefault && !valueToStore) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '提醒格式錯誤！請使用以逗號分隔的時間，例如：1w,2d,24h,1h,15m\n或輸入「預設」使用系統預設提醒。'
+      });
+      return;
+    }
+  }
+
+  if (dbField === 'duration_minutes') {
+    valueToStore = InputValidator.parseDuration(parsed.value);
+    if (!valueToStore) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '時長格式錯誤！請輸入 5 到 480 之間的分鐘數，例如：30'
+      });
+      return;
+    }
+  }
+
+  // Interviewer names and aliases resolve to the interviewer's profile
+  if (dbField === 'interviewer_name') {
+    const interviewer = await resolveInterviewerName(scopeId, parsed.value.trim());
+    if (!interviewer.known) {
+      await client.replyMessage(replyToken, buildUnknownInterviewerReply(parsed.value.trim(), interviewer.suggestions, (name) =>
+        '更新 ' + parsed.id + ' ' + parsed.field + ' ' + name + (parsed.seriesScope ? ' ' + seriesScopeLabel(parsed.seriesScope) : '') + (parsed.force ? ' 強制' : '')
+      ));
+      return;
+    }
+    valueToStore = interviewer.name;
+  }
+
+  // Resolve relaxed dates such as "1/21" or "下週日" to YYYY-MM-DD
+  if (dbField === 'interview_date') {
+    const dateResult = DateTimeParser.resolveDate(parsed.value);
+    const dateReply = DateTimeParser.buildDateReply(parsed.value, dateResult, (date) =>
+      '更新 ' + parsed.id + ' ' + parsed.field + ' ' + date + (parsed.seriesScope ? ' ' + seriesScopeLabel(parsed.seriesScope) : '') + (parsed.force ? ' 強制' : '')
+    );
+    if (dateReply) {
+      await client.replyMessage(replyToken, dateReply);
+      return;
+    }
+    valueToStore = dateResult.date;
+  }
+
+  // Resolve relaxed times such as "下午2點半" to HH:mm:ss
+  if (dbField === 'interview_time') {
+    const timeResult = DateTimeParser.parseTime(parsed.value);
+    if (!timeResult) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '無法辨識時間「' + parsed.value + '」！請使用 14:30、14點、下午2點半、2:30pm 等格式。'
+      });
+      return;
+    }
+
+    if (timeResult.options) {
+      await client.replyMessage(replyToken, DateTimeParser.buildTimeClarification(parsed.value, timeResult.options, (time) =>
+        '更新 ' + parsed.id + ' ' + parsed.field + ' ' + time + (parsed.seriesScope ? ' ' + seriesScopeLabel(parsed.seriesScope) : '') + (parsed.force ? ' 強制' : '')
+      ));
+      return;
+    }
+    valueToStore = timeResult.time;
+  }
+
+  // A new interviewee name links the interview to that member
+  if (dbField === 'interviewee_name') {
+    const member = await findOrCreateMember(scopeId, InputValidator.sanitizeString(parsed.value));
+    if (member) {
+      valueToStore = member.name;
+      updates.member_id = member.id;
+    }
+  }
+
+  updates[dbField] = valueToStore;
+
+  const existing = await InterviewManager.getInterview(scopeId, parsed.id);
+  if (!existing.success || !existing.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到面談 ID ' + parsed.id + '。'
+    });
+    return;
+  }
+
+  // Occurrences of a series need to know how far the change reaches
+  const seriesId = existing.data.series_id;
+  if (seriesId && !parsed.seriesScope) {
+    await replySeriesScopePrompt(replyToken, existing.data, (label) =>
+      '更新 ' + parsed.id + ' ' + parsed.field + ' ' + parsed.value + ' ' + label + (parsed.force ? ' 強制' : '')
+    );
+    return;
+  }
+
+  const seriesScope = seriesId ? parsed.seriesScope : 'single';
+  if (seriesScope !== 'single' && dbField === 'interview_date') {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '系列面談的日期只能逐次修改，請使用「僅此次」。'
+    });
+    return;
+  }
+
+  // Moving a single interview is a reschedule - it keeps the old slot and starts the reminders over
+  if (seriesScope === 'single' && ['interview_date', 'interview_time'].includes(dbField)) {
+    const date = dbField === 'interview_date' ? valueToStore : existing.data.interview_date;
+    const time = dbField === 'interview_time' ? valueToStore : existing.data.interview_time;
+    await rescheduleInterview(scopeId, userId, parsed.id, date, time, parsed.force, true, replyToken);
+    return;
+  }
+
+  let affected = [existing.data];
+  if (seriesScope !== 'single') {
+    const seriesResult = await InterviewManager.getSeriesInterviews(scopeId, seriesId, seriesScope === 'following' ? existing.data.interview_date : null);
+    if (!seriesResult.success) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '更新面談時發生錯誤。請稍後再試。'
+      });
+      return;
+    }
+    affected = seriesResult.data;
+  }
+
+  // Changing who, when or how long can create a clash with another interview
+  if (!parsed.force && ['interviewer_name', 'interview_date', 'interview_time', 'duration_minutes'].includes(dbField)) {
+    const conflictReply = seriesScope === 'single'
+      ? await getConflictReply(scopeId, { ...existing.data, ...updates }, parsed.id)
+      : await getSeriesConflictReply(scopeId, affected.map(interview => ({ ...interview, ...updates })), affected.map(interview => interview.id));
+    if (conflictReply) {
+      await client.replyMessage(replyToken, conflictReply);
+      return;
+    }
+  }
+
+  let result;
+  if (seriesScope === 'single') {
+    result = await InterviewManager.updateInterview(scopeId, parsed.id, updates, getActor(scopeId, userId));
+  } else if (dbField === 'interview_time') {
+    // A new time for several occurrences reschedules each of them: the old slots are kept,
+    // reminders start over and the recipients of the upcoming ones are told
+    const deliveries = await DeliveryManager.getInterviewDeliveries(affected.map(interview => interview.id));
+    result = await InterviewManager.rescheduleSeriesInterviews(scopeId, seriesId, affected, valueToStore, seriesScope === 'all', getActor(scopeId, userId));
+    if (result.success) {
+      const now = moment.tz('Asia/Taipei');
+      const moved = result.data
+        .filter(interview => interview.status === 'scheduled' && ScheduleHelper.getTimeRange(interview).start.isAfter(now))
+        .filter(interview => affected.some(before => before.id === interview.id && before.interview_time !== interview.interview_time))
+        .sort((a, b) => a.interview_date.localeCompare(b.interview_date));
+      const movedLogs = deliveries.success ? deliveries.data.filter(log => moved.some(interview => interview.id === log.interview_id)) : [];
+      await ReminderManager.notifyRescheduled(moved, affected, movedLogs);
+    }
+  } else {
+    result = await InterviewManager.updateSeriesInterviews(scopeId, seriesId, seriesScope === 'following' ? existing.data.interview_date : null, updates, getActor(scopeId, userId));
+  }
+
+  // Echo resolved dates and times so mistakes are obvious
+  let displayValue = parsed.value;
+  if (dbField === 'interview_date') displayValue = DateTimeParser.formatDate(valueToStore);
+  if (dbField === 'interview_time') displayValue = valueToStore.substring(0, 5);
+
+  if (result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談已成功更新！\n\nID: ' + parsed.id + '\n' + parsed.field + ': ' + displayValue +
+        (seriesScope === 'single' ? '' : '\n套用範圍: ' + seriesScopeLabel(seriesScope) + '（共 ' + affected.length + ' 次）')
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '更新面談時發生錯誤。請確認 ID 是否正確。'
+    });
+  }
+}
+
+async function handleEditPostback(scopeId, interviewId, replyToken) {
+  const result = await InterviewManager.getInterview(scopeId, interviewId);
+
+  if (!result.success || !result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到面談 ID ' + interviewId + '。'
+    });
+    return;
+  }
+
+  const interview = result.data;
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '✏️ 編輯面談 ID ' + interview.id + '（' + interview.interviewee_name + '）\n\n請輸入：更新 ' + interview.id + ' {欄位} {新值}\n例如：更新 ' + interview.id + ' 時間 15:00\n可用欄位：' + Object.keys(fieldMap).join('、')
+  });
+}
+
+async function handleRescheduleCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseRescheduleCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：改期 {ID} {日期} {時間}\n例如：改期 1 下週日 14:30'
+    });
+    return;
+  }
+
+  if (parsed.dateTimeOptions) {
+    await client.replyMessage(replyToken, DateTimeParser.buildDateTimeClarification(parsed.dateTimeText, parsed.dateTimeOptions, (dateText, timeText) =>
+      '改期 ' + parsed.id + ' ' + dateText + ' ' + timeText + (parsed.force ? ' 強制' : '')
+    ));
+    return;
+  }
+
+  const dateResult = DateTimeParser.resolveDate(parsed.dateText);
+  const dateReply = DateTimeParser.buildDateReply(parsed.dateText, dateResult, (date) =>
+    '改期 ' + parsed.id + ' ' + date + ' ' + parsed.timeText + (parsed.force ? ' 強制' : '')
+  );
+  if (dateReply) {
+    await client.replyMessage(replyToken, dateReply);
+    return;
+  }
+  const date = dateResult.date;
+
+  const timeResult = DateTimeParser.parseTime(parsed.timeText);
+  if (!timeResult) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無法辨識時間「' + parsed.timeText + '」！請使用 14:30、14點、下午2點半、2:30pm 等格式。'
+    });
+    return;
+  }
+
+  if (timeResult.options) {
+    await client.replyMessage(replyToken, DateTimeParser.buildTimeClarification(parsed.timeText, timeResult.options, (time) =>
+      '改期 ' + parsed.id + ' ' + date + ' ' + time + (parsed.force ? ' 強制' : '')
+    ));
+    return;
+  }
+
+  await rescheduleInterview(scopeId, userId, parsed.id, date, timeResult.time, parsed.force, true, replyToken);
+}
+
+// Move an interview to a new date and time, checking for conflicts first. The old slot is kept,
+// reminders start over and the interview's reminder recipients are told about the new time.
+async function rescheduleInterview(scopeId, userId, interviewId, date, time, force, forceHint, replyToken) {
+  const existing = await InterviewManager.getInterview(scopeId, interviewId);
+  if (!existing.success || !existing.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到面談 ID ' + interviewId + '。'
+    });
+    return;
+  }
+
+  const interview = existing.data;
+  if (['completed', 'no_show'].includes(interview.status)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '面談 ID ' + interviewId + ' 已記錄為「' + interviewStatusNames[interview.status] + '」，無法改期。請使用「加入」安排新的面談。'
+    });
+    return;
+  }
+
+  if (interview.interview_date === date && interview.interview_time.substring(0, 5) === time.substring(0, 5)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '面談 ID ' + interviewId + ' 已經安排在 ' + DateTimeParser.formatDate(date) + ' ' + time.substring(0, 5) + '。'
+    });
+    return;
+  }
+
+  const updates = { interview_date: date, interview_time: time };
+
+  if (!force) {
+    const conflictReply = await getConflictReply(scopeId, { ...interview, ...updates }, interviewId, forceHint);
+    if (conflictReply) {
+      await client.replyMessage(replyToken, conflictReply);
+      return;
+    }
+  }
+
+  // Who already got a reminder for the old time - read before the reminder logs are cleared
+  const deliveries = await DeliveryManager.getInterviewDeliveries(interviewId);
+  const result = await InterviewManager.rescheduleInterview(scopeId, interview, date, time, getActor(scopeId, userId));
+
+  if (result.success) {
+    const notified = await ReminderManager.notifyRescheduled([result.data], [interview], deliveries.success ? deliveries.data : []);
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 面談已改期！\n\nID: ' + interviewId + '\n面談對象: ' + interview.interviewee_name +
+        '\n原時間: ' + DateTimeParser.formatDate(interview.interview_date) + ' ' + interview.interview_time.substring(0, 5) +
+        '\n新時間: ' + DateTimeParser.formatDate(date) + ' ' + time.substring(0, 5) +
+        '\n\n提醒已依新時間重新安排。' + (notified > 0 ? '\n已通知 ' + notified + ' 位提醒收件人。' : '')
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '改期時發生錯誤。請稍後再試。'
+    });
+  }
+}
+
+async function handleDeleteCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseDeleteCommand(text);
+  
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：刪除 {ID}\n例如：刪除 1'
+    });
+    return;
+  }
+
+  const existing = await InterviewManager.getInterview(scopeId, parsed.id);
+  if (!existing.success || !existing.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到面談 ID ' + parsed.id + '。'
+    });
+    return;
+  }
+
+  // Occurrences of a series need to know how far the delete reaches
+  const seriesId = existing.data.series_id;
+  if (seriesId && !parsed.seriesScope) {
+    await replySeriesScopePrompt(replyToken, existing.data, (label) => '刪除 ' + parsed.id + ' ' + label);
+    return;
+  }
+
+  const seriesScope = seriesId ? parsed.seriesScope : 'single';
+
+  // Show what is about to go and ask first - 確認 resends the command with the confirmation
+  if (!parsed.confirmed) {
+    const command = '刪除 ' + parsed.id + (seriesId ? ' ' + seriesScopeLabel(seriesScope) : '');
+    const interview = existing.data;
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '⚠️ 確定要刪除以下面談嗎？\n\nID: ' + interview.id + '\n面談對象: ' + interview.interviewee_name + '\n面談者: ' + (interview.interviewer_name || '未指定') +
+        '\n日期: ' + DateTimeParser.formatDate(interview.interview_date) + '\n時間: ' + interview.interview_time.substring(0, 5) + '\n理由: ' + (interview.reason || '無') +
+        (seriesId ? '\n系列範圍: ' + seriesScopeLabel(seriesScope) : ''),
+      quickReply: FlexMessageBuilder.buildQuickReply([], [
+        { type: 'action', action: { type: 'message', label: '確認', text: command + ' 確認' } },
+        { type: 'action', action: { type: 'message', label: '取消', text: '取消刪除' } }
+      ])
+    });
+    return;
+  }
+
+  const result = seriesScope === 'single'
+    ? await InterviewManager.deleteInterview(scopeId, parsed.id, getActor(scopeId, userId))
+    : await InterviewManager.deleteSeriesInterviews(scopeId, seriesId, seriesScope === 'following' ? existing.data.interview_date : null, getActor(scopeId, userId));
+
+  // Someone else may have deleted it between the confirmation and now
+  if (result.success && (seriesScope === 'single' ? !result.data : result.data === 0)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到面談 ID ' + parsed.id + '。'
+    });
+  } else if (result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: (seriesScope === 'single'
+        ? '✅ 面談 ID ' + parsed.id + ' 已成功刪除！'
+        : '✅ 已刪除系列中' + seriesScopeLabel(seriesScope) + '的面談，共 ' + result.data + ' 次！') +
+        '\n\n' + DELETED_RETENTION_DAYS + ' 天內可在「操作紀錄」中找到這筆刪除，並用「復原 {編號}」還原。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '刪除面談時發生錯誤。請確認 ID 是否正確。'
+    });
+  }
+}
+
+async function handleReminderStatusCommand(scopeId, replyToken) {
+  const result = await InterviewManager.getInterviews(scopeId, { scheduledOnly: true });
+  
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取面談清單時發生錯誤。'
+    });
+    return;
+  }
+
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '目前沒有安排的面談。'
+    });
+    return;
+  }
+
+  let message = '📋 面談提醒狀態：\n\n';
+  result.data.forEach((interview, index) => {
+    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
+    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
+    const interviewDateTime = moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+    const now = moment.tz('Asia/Taipei');
+    const hoursUntil = interviewDateTime.diff(now, 'hours', true);
+    
+    message += `${index + 1}. ID: ${interview.id}\n`;
+    message += '   面談對象: ' + interview.interviewee_name + '\n';
+    message += '   面談者: ' + (interview.interviewer_name || '未指定') + '\n';
+    message += '   日期: ' + date + '\n';
+    message += '   時間: ' + time + '\n';
+    message += '   理由: ' + (interview.reason || '無') + '\n';
+    ReminderSchedule.getOffsets(interview).forEach((offsetMinutes) => {
+      message += '   ' + ReminderSchedule.formatOffset(offsetMinutes) + '提醒: ' + ReminderSchedule.getStatusText(interview, offsetMinutes) + '\n';
+    });
+    message += '   距離現在: ' + (hoursUntil > 0 ? hoursUntil.toFixed(1) + '小時' : '已結束，待記錄結果') + '\n\n';
+  });
+
+  const carousels = FlexMessageBuilder.buildCarousels('面談提醒狀態', result.data, (interview) => {
+    const hoursUntil = ScheduleHelper.getTimeRange(interview).start.diff(moment.tz('Asia/Taipei'), 'hours', true);
+    return FlexMessageBuilder.buildInterviewBubble(interview, {
+      extraRows: [
+        ...ReminderSchedule.getOffsets(interview).map(offsetMinutes => [
+          ReminderSchedule.formatOffset(offsetMinutes) + '提醒',
+          ReminderSchedule.getStatusText(interview, offsetMinutes)
+        ]),
+        ['距離現在', hoursUntil > 0 ? hoursUntil.toFixed(1) + '小時' : '已結束，待記錄結果']
+      ]
+    });
+  });
+
+  await replyWithFallback(replyToken, carousels, message);
+}
+
+// "面談者（陳佑庭）", "主教團群組" or, for deliveries made without routes, "主教"
+function formatDeliveryRecipient(delivery) {
+  if (delivery.recipient_type === 'interviewer') return '面談者（' + delivery.recipient_name + '）';
+  return delivery.recipient_name || recipientTypeNames[delivery.recipient_type] || delivery.recipient_type;
+}
+
+async function handleDeliveryStatusCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseDeliveryStatusCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：送達狀態 {ID}\n例如：送達狀態 1'
+    });
+    return;
+  }
+
+  const interview = await InterviewManager.getInterview(scopeId, parsed.id);
+  if (!interview.success || !interview.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到面談 ID ' + parsed.id + '。'
+    });
+    return;
+  }
+
+  const result = await DeliveryManager.getInterviewDeliveries(parsed.id);
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取送達狀態時發生錯誤。'
+    });
+    return;
+  }
+
+  const time = interview.data.interview_time.substring(0, 5);
+  let message = '📬 送達狀態 - ID ' + parsed.id + '（' + interview.data.interviewee_name + '）\n' + DateTimeParser.formatDate(interview.data.interview_date) + ' ' + time + '\n';
+
+  ReminderSchedule.getOffsets(interview.data).forEach((offsetMinutes) => {
+    const log = result.data.find(entry => entry.offset_minutes === offsetMinutes);
+    message += '\n' + ReminderSchedule.formatOffset(offsetMinutes) + '提醒：' + ReminderSchedule.getStatusText({ reminder_logs: result.data }, offsetMinutes) + '\n';
+
+    (log ? log.reminder_deliveries : []).forEach((delivery) => {
+      message += '• ' + formatDeliveryRecipient(delivery) + '：' + (deliveryStatusNames[delivery.status] || delivery.status);
+      if (delivery.attempts > 0) message += '（嘗試 ' + delivery.attempts + ' 次）';
+      if (delivery.status !== 'sent' && delivery.last_error_code) message += '\n  錯誤代碼：' + delivery.last_error_code;
+      if (delivery.status === 'failed' && delivery.next_retry_at) {
+        message += '\n  下次重試：' + moment.tz(delivery.next_retry_at, 'Asia/Taipei').format('MM-DD HH:mm');
+      }
+      message += '\n';
+    });
+  });
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message.trim()
+  });
+}
+
+async function handleRegisterCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseRegisterCommand(text);
+
+  if (!parsed || !InputValidator.validateName(parsed.name)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：註冊 {名字}\n例如：註冊 陳佑庭'
+    });
+    return;
+  }
+
+  const profiles = await ProfileManager.getProfiles(scopeId);
+  if (!profiles.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '註冊時發生錯誤。請稍後再試。' });
+    return;
+  }
+
+  const profile = ProfileManager.findProfile(profiles.data, parsed.name);
+  const own = profiles.data.find(entry => entry.line_user_id === userId);
+
+  if (own && (!profile || profile.id !== own.id)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '您已註冊為「' + own.name + '」。如需更改，請先輸入「取消註冊」。'
+    });
+    return;
+  }
+
+  if (profile && profile.line_user_id && profile.line_user_id !== userId) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '面談者「' + profile.name + '」已由其他帳號註冊。'
+    });
+    return;
+  }
+
+  // Anyone could claim any name (the bishop's included) and get that interviewer's reminders, so in
+  // a shared conversation only the bishop or executive secretary binds right away - everyone else
+  // waits for 核准註冊. A 1:1 chat only has the sender's own interviews.
+  const role = await RoleManager.getRole(userId);
+  if (!role.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '註冊時發生錯誤。請稍後再試。' });
+    return;
+  }
+  const bindNow = scopeId === userId || RoleManager.hasPermission(role.data, 'manageRecipients');
+
+  if (!bindNow && profile && profile.line_user_id === userId) {
+    await client.replyMessage(replyToken, { type: 'text', text: '您已註冊為「' + profile.name + '」。' });
+    return;
+  }
+
+  if (!bindNow && profile && profile.pending_line_user_id && profile.pending_line_user_id !== userId) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '面談者「' + profile.name + '」已有其他帳號申請註冊，請等候主教或執行秘書處理。'
+    });
+    return;
+  }
+
+  const binding = bindNow ? { line_user_id: userId, pending_line_user_id: null } : { pending_line_user_id: userId };
+  let result = profile
+    ? await ProfileManager.updateProfile(scopeId, profile.id, binding)
+    : await ProfileManager.createProfile(scopeId, InputValidator.sanitizeString(parsed.name), bindNow ? userId : null);
+  if (result.success && !profile && !bindNow) {
+    result = await ProfileManager.updateProfile(scopeId, result.data.id, binding);
+  }
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '註冊時發生錯誤。請稍後再試。' });
+    return;
+  }
+
+  const aliasText = result.data.name !== parsed.name ? '（別名：' + parsed.name + '）' : '';
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: bindNow
+      ? '✅ 註冊成功！\n\n您已綁定為面談者「' + result.data.name + '」' + aliasText + '，面談提醒將可直接發送給您。'
+      : '📝 已送出註冊申請：面談者「' + result.data.name + '」' + aliasText + '。\n\n請主教或執行秘書輸入「核准註冊 ' + result.data.name + '」確認後，面談提醒才會發送給您。'
+  });
+}
+
+// 核准註冊 / 拒絕註冊 - confirm or drop a pending 註冊
+async function handleRegistrationDecisionCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseRegistrationDecisionCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：核准註冊 {名字} 或 拒絕註冊 {名字}\n例如：核准註冊 陳佑庭'
+    });
+    return;
+  }
+
+  const profiles = await ProfileManager.getProfiles(scopeId);
+  if (!profiles.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '處理註冊申請時發生錯誤。請稍後再試。' });
+    return;
+  }
+
+  const profile = ProfileManager.findProfile(profiles.data, parsed.name);
+  if (!profile || !profile.pending_line_user_id) {
+    await client.replyMessage(replyToken, { type: 'text', text: '面談者「' + parsed.name + '」沒有待核准的註冊申請。' });
+    return;
+  }
+
+  if (!parsed.approve) {
+    const result = await ProfileManager.updateProfile(scopeId, profile.id, { pending_line_user_id: null });
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: result.success ? '✅ 已拒絕面談者「' + profile.name + '」的註冊申請。' : '處理註冊申請時發生錯誤。請稍後再試。'
+    });
+    return;
+  }
+
+  // One profile per LINE account - the applicant may have been bound to another one meanwhile
+  const other = profiles.data.find(entry => entry.line_user_id === profile.pending_line_user_id && entry.id !== profile.id);
+  if (other) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '申請的帳號已註冊為「' + other.name + '」，請對方先輸入「取消註冊」。'
+    });
+    return;
+  }
+
+  const result = await ProfileManager.updateProfile(scopeId, profile.id, { line_user_id: profile.pending_line_user_id, pending_line_user_id: null });
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: result.success
+      ? '✅ 已核准註冊！面談者「' + profile.name + '」已綁定申請人的 LINE 帳號' + (profile.line_user_id ? '（取代原本的帳號）' : '') + '。'
+      : '處理註冊申請時發生錯誤。請稍後再試。'
+  });
+}
+
+async function handleUnregisterCommand(scopeId, userId, replyToken) {
+  const profiles = await ProfileManager.getProfiles(scopeId);
+  if (!profiles.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '取消註冊時發生錯誤。請稍後再試。' });
+    return;
+  }
+
+  const own = profiles.data.find(entry => entry.line_user_id === userId);
+  if (!own) {
+    // A registration still waiting for 核准註冊 is withdrawn instead
+    const pending = profiles.data.find(entry => entry.pending_line_user_id === userId);
+    if (pending) {
+      const result = await ProfileManager.updateProfile(scopeId, pending.id, { pending_line_user_id: null });
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: result.success ? '✅ 已撤回註冊為面談者「' + pending.name + '」的申請。' : '取消註冊時發生錯誤。請稍後再試。'
+      });
+      return;
+    }
+    await client.replyMessage(replyToken, { type: 'text', text: '您尚未註冊為面談者。' });
+    return;
+  }
+
+  const result = await ProfileManager.updateProfile(scopeId, own.id, { line_user_id: null });
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: result.success ? '✅ 已取消您與面談者「' + own.name + '」的綁定。' : '取消註冊時發生錯誤。請稍後再試。'
+  });
+}
+
+async function handleCreateProfileCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseCreateProfileCommand(text);
+
+  if (!parsed || !InputValidator.validateName(parsed.name)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：建立面談者 {名字}\n例如：建立面談者 陳佑庭'
+    });
+    return;
+  }
+
+  const profiles = await ProfileManager.getProfiles(scopeId);
+  if (!profiles.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '建立面談者時發生錯誤。' });
+    return;
+  }
+
+  const existing = ProfileManager.findProfile(profiles.data, parsed.name);
+  if (existing) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '「' + parsed.name + '」已是面談者「' + existing.name + '」的名字或別名。'
+    });
+    return;
+  }
+
+  const result = await ProfileManager.createProfile(scopeId, InputValidator.sanitizeString(parsed.name));
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: result.success
+      ? '✅ 已建立面談者「' + result.data.name + '」！\n本人可輸入「註冊 ' + result.data.name + '」綁定 LINE 帳號以接收提醒。'
+      : '建立面談者時發生錯誤。'
+  });
+}
+
+async function handleAliasCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseAliasCommand(text);
+
+  if (!parsed || !InputValidator.validateName(parsed.alias)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：別名 {名字} {別名}\n例如：別名 陳佑庭 陳弟兄'
+    });
+    return;
+  }
+
+  const profiles = await ProfileManager.getProfiles(scopeId);
+  if (!profiles.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '新增別名時發生錯誤。' });
+    return;
+  }
+
+  const profile = ProfileManager.findProfile(profiles.data, parsed.name);
+  if (!profile) {
+    await client.replyMessage(replyToken, buildUnknownInterviewerReply(parsed.name, ProfileManager.suggest(profiles.data, parsed.name), (name) =>
+      '別名 ' + name + ' ' + parsed.alias
+    ));
+    return;
+  }
+
+  const taken = ProfileManager.findProfile(profiles.data, parsed.alias);
+  if (taken) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '「' + parsed.alias + '」已是面談者「' + taken.name + '」的名字或別名。'
+    });
+    return;
+  }
+
+  const aliases = [...(profile.aliases || []), InputValidator.sanitizeString(parsed.alias)];
+  const result = await ProfileManager.updateProfile(scopeId, profile.id, { aliases });
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: result.success
+      ? '✅ 已新增別名！\n\n面談者: ' + profile.name + '\n別名: ' + aliases.join('、')
+      : '新增別名時發生錯誤。'
+  });
+}
+
+async function handleRemoveAliasCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseAliasCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：移除別名 {名字} {別名}\n例如：移除別名 陳佑庭 陳弟兄'
+    });
+    return;
+  }
+
+  const profiles = await ProfileManager.getProfiles(scopeId);
+  const profile = profiles.success ? ProfileManager.findProfile(profiles.data, parsed.name) : null;
+
+  if (!profile || !(profile.aliases || []).includes(parsed.alias)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: profiles.success ? '找不到面談者「' + parsed.name + '」的別名「' + parsed.alias + '」。' : '移除別名時發生錯誤。'
+    });
+    return;
+  }
+
+  const result = await ProfileManager.updateProfile(scopeId, profile.id, {
+    aliases: profile.aliases.filter(alias => alias !== parsed.alias)
+  });
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: result.success ? '✅ 已移除面談者「' + profile.name + '」的別名「' + parsed.alias + '」！' : '移除別名時發生錯誤。'
+  });
+}
+
+async function handleProfileListCommand(scopeId, replyToken) {
+  const profiles = await ProfileManager.getProfiles(scopeId);
+
+  if (!profiles.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取面談者清單時發生錯誤。' });
+    return;
+  }
+
+  if (profiles.data.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '尚未建立任何面談者。\n面談者本人可輸入「註冊 {名字}」，或使用「建立面談者 {名字}」。'
+    });
+    return;
+  }
+
+  let message = '👨‍💼 面談者清單：\n\n';
+  profiles.data.forEach((profile) => {
+    message += '• ' + profile.name + (profile.line_user_id ? ' ✅ 已註冊' : ' ⚪ 未註冊') + (profile.pending_line_user_id ? ' ⏳ 待核准' : '') + '\n';
+    if ((profile.aliases || []).length > 0) {
+      message += '   別名: ' + profile.aliases.join('、') + '\n';
+    }
+  });
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message.trim()
+  });
+}
+
+// Reply for an unknown member - suggestions resend the command with the closest names
+async function replyUnknownMember(replyToken, name, members, buildCommand) {
+  const similar = MemberManager.findSimilar(members, name);
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: '找不到成員「' + name + '」。' + (similar.length > 0 ? '\n您是指以下成員嗎？' : ''),
+    ...(similar.length > 0 && {
+      quickReply: FlexMessageBuilder.buildQuickReply([], similar.map(member => ({
+        type: 'action',
+        action: { type: 'message', label: member.name.substring(0, 20), text: buildCommand(member.name) }
+      })))
+    })
+  });
+}
+
+async function handleMemberCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseMemberCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：成員 {姓名} [電話|家庭|備註 {內容}]\n例如：成員 約翰 電話 0912-345-678\n內容輸入「清除」可移除該欄位'
+    });
+    return;
+  }
+
+  const members = await MemberManager.getMembers(scopeId);
+  if (!members.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取成員資料時發生錯誤。' });
+    return;
+  }
+
+  const member = MemberManager.findMember(members.data, parsed.name);
+  if (!member) {
+    await replyUnknownMember(replyToken, parsed.name, members.data, (name) =>
+      '成員 ' + name + (parsed.field ? ' ' + parsed.label + ' ' + parsed.value : '')
+    );
+    return;
+  }
+
+  if (!parsed.field) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '👤 ' + member.name + '\n\n' + formatMemberDetails(member) + '\n\n使用「面談紀錄 ' + member.name + '」查看面談紀錄。'
+    });
+    return;
+  }
+
+  const value = parsed.value === '清除' ? null : InputValidator.sanitizeString(parsed.value);
+  const result = await MemberManager.updateMember(scopeId, member.id, { [parsed.field]: value });
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: result.success
+      ? '✅ 已' + (value ? '更新' : '清除') + '「' + member.name + '」的' + parsed.label + '！'
+      : '更新成員資料時發生錯誤。'
+  });
+}
+
+// Contact lines of a member, e.g. "電話: 0912-345-678"
+function formatMemberDetails(member) {
+  return Object.entries(memberFieldMap)
+    .map(([label, field]) => label + ': ' + (member[field] || '未設定'))
+    .join('\n');
+}
+
+async function handleHistoryCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseHistoryCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：面談紀錄 {姓名}\n例如：面談紀錄 約翰'
+    });
+    return;
+  }
+
+  const members = await MemberManager.getMembers(scopeId);
+  if (!members.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取成員資料時發生錯誤。' });
+    return;
+  }
+
+  const member = MemberManager.findMember(members.data, parsed.name);
+  if (!member) {
+    await replyUnknownMember(replyToken, parsed.name, members.data, (name) => '面談紀錄 ' + name);
+    return;
+  }
+
+  const interviews = await MemberManager.getMemberInterviews(scopeId, member);
+  if (!interviews.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取面談紀錄時發生錯誤。' });
+    return;
+  }
+
+  // Upcoming means still scheduled and not yet started - everything else is history
+  const now = moment.tz('Asia/Taipei');
+  const isUpcoming = (interview) => interview.status === 'scheduled' && ScheduleHelper.getTimeRange(interview).start.isAfter(now);
+  const past = interviews.data.filter(interview => !isUpcoming(interview)).reverse();
+  const upcoming = interviews.data.filter(isUpcoming);
+  const countOf = (status) => past.filter(interview => interview.status === status).length;
+  const lastRecommend = past.find(interview => ['scheduled', 'completed'].includes(interview.status) && (interview.reason || '').includes('聖殿推薦書'));
+
+  const formatLine = (interview) =>
+    '• ' + interview.interview_date + ' ' + interview.interview_time.substring(0, 5) + ' ' + interview.reason + '（' + interview.interviewer_name + '，ID: ' + interview.id + '）' +
+    (interview.status !== 'scheduled' ? ' ' + interviewStatusNames[interview.status] : '') + '\n';
+
+  let message = '📖 ' + member.name + ' 的面談紀錄\n\n';
+  message += formatMemberDetails(member) + '\n\n';
+  message += '已完成: ' + countOf('completed') + ' 次，未出席: ' + countOf('no_show') + ' 次，即將進行: ' + upcoming.length + ' 次\n';
+  message += '最近聖殿推薦書面談: ' + (lastRecommend ? lastRecommend.interview_date : '無紀錄') + '\n';
+
+  if (upcoming.length > 0) {
+    message += '\n📅 即將進行：\n';
+    upcoming.forEach(interview => { message += formatLine(interview); });
+  }
+
+  if (past.length > 0) {
+    message += '\n🕘 過去面談（最近 ' + Math.min(past.length, MEMBER_HISTORY_LIMIT) + ' 次）：\n';
+    past.slice(0, MEMBER_HISTORY_LIMIT).forEach(interview => { message += formatLine(interview); });
+  }
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message.trim()
+  });
+}
+
+// The interview a 結果 command refers to - in a private chat the registered interviewer
+// may also record interviews of the conversations they interview in
+async function findOutcomeInterview(scopeId, userId, interviewId, isPrivateChat) {
+  const result = await InterviewManager.getInterview(scopeId, interviewId);
+  if (!result.success) return { success: false };
+  if (result.data || !isPrivateChat) return { success: true, data: result.data };
+
+  const other = await InterviewManager.getInterviewById(interviewId);
+  if (!other.success || !other.data) return { success: other.success, data: null };
+
+  const profiles = await ProfileManager.getProfiles(other.data.scope_id);
+  const profile = profiles.success ? ProfileManager.findProfile(profiles.data, other.data.interviewer_name) : null;
+  return { success: true, data: profile && profile.line_user_id === userId ? other.data : null };
+}
+
+async function handleOutcomeCommand(text, scopeId, userId, isPrivateChat, replyToken) {
+  const parsed = MessageParser.parseOutcomeCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：結果 {ID} {完成|未出席|取消|改期} [追蹤備註]\n例如：結果 5 完成 下個月再追蹤\n只輸入「結果 {ID}」可查看目前的結果'
+    });
+    return;
+  }
+
+  if (!parsed.outcome) {
+    const found = await findOutcomeInterview(scopeId, userId, parsed.id, isPrivateChat);
+    if (!found.success || !found.data) {
+      await client.replyMessage(replyToken, { type: 'text', text: '找不到面談 ID ' + parsed.id + '。' });
+      return;
+    }
+
+    const interview = found.data;
+    let message = '📝 面談結果\n\nID: ' + interview.id + '\n面談對象: ' + interview.interviewee_name + '\n日期: ' + interview.interview_date + ' ' + interview.interview_time.substring(0, 5) + '\n狀態: ' + interviewStatusNames[interview.status];
+    if (interview.outcome_recorded_at) {
+      message += '\n記錄時間: ' + moment.tz(interview.outcome_recorded_at, 'Asia/Taipei').format('YYYY-MM-DD HH:mm');
+    }
+    const reschedules = await InterviewManager.getReschedules(interview.id);
+    if (reschedules.success && reschedules.data.length > 0) {
+      message += '\n改期紀錄:';
+      reschedules.data.forEach(entry => {
+        message += '\n• ' + entry.old_date + ' ' + entry.old_time.substring(0, 5) + ' → ' + entry.new_date + ' ' + entry.new_time.substring(0, 5);
+      });
+    }
+    // Follow-up notes are private - never shown in a group or room
+    if (isPrivateChat) {
+      message += '\n追蹤備註: ' + (interview.outcome_note || '無');
+    } else if (interview.outcome_note) {
+      message += '\n追蹤備註: 請在與機器人的私訊中查看';
+    }
+
+    await client.replyMessage(replyToken, { type: 'text', text: message });
+    return;
+  }
+
+  const status = outcomeMap[parsed.outcome];
+  if (!status) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無效的結果「' + parsed.outcome + '」！可用結果：完成、未出席、取消、改期、排定'
+    });
+    return;
+  }
+
+  await recordOutcome(scopeId, parsed.id, status, parsed.note, userId, isPrivateChat, replyToken);
+}
+
+// Record an outcome from the 結果 command or a prompt button
+async function recordOutcome(scopeId, interviewId, status, note, userId, isPrivateChat, replyToken) {
+  if (!interviewStatusNames[status]) {
+    console.warn('Unknown outcome status:', status);
+    return;
+  }
+
+  const found = await findOutcomeInterview(scopeId, userId, interviewId, isPrivateChat);
+  if (!found.success || !found.data) {
+    await client.replyMessage(replyToken, { type: 'text', text: '找不到面談 ID ' + interviewId + '。' });
+    return;
+  }
+
+  const interview = found.data;
+  if (['completed', 'no_show'].includes(status) && ScheduleHelper.getTimeRange(interview).start.isAfter(moment.tz('Asia/Taipei'))) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '面談 ID ' + interviewId + ' 尚未開始，無法記錄為「' + interviewStatusNames[status] + '」。'
+    });
+    return;
+  }
+
+  // From the interviewer's private chat the change comes from a 1:1 chat, whatever the interview's scope
+  const actor = isPrivateChat ? { userId, source: 'user' } : getActor(scopeId, userId);
+  const result = await InterviewManager.recordOutcome(interview.scope_id, interview.id, status, note, actor);
+  if (!result.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '記錄面談結果時發生錯誤。請稍後再試。' });
+    return;
+  }
+
+  let message = '✅ 已記錄面談 ID ' + interview.id + '（' + interview.interviewee_name + '）的結果：' + interviewStatusNames[status];
+  if (note !== undefined) {
+    message += isPrivateChat ? '\n追蹤備註已儲存。' : '\n追蹤備註已儲存，只會在私訊中顯示。';
+  } else if (status !== 'scheduled') {
+    const noteCommand = '結果 ' + interview.id + ' ' + Object.keys(outcomeMap).find(key => outcomeMap[key] === status) + ' {備註}';
+    message += isPrivateChat ? '\n如需追蹤備註，請輸入：' + noteCommand : '\n如需追蹤備註，請私訊機器人：' + noteCommand;
+  }
+  if (status === 'rescheduled') {
+    message += '\n請使用「改期 ' + interview.id + ' {日期} {時間}」安排新的面談時間。';
+  }
+
+  await client.replyMessage(replyToken, { type: 'text', text: message });
+}
+
+// "約翰 2024-01-15 14:30（ID: 5）" - the interviews an audit entry touched
+function formatAuditInterviews(rows) {
+  const shown = rows.slice(0, 3).map(row =>
+    row.interviewee_name + ' ' + row.interview_date + ' ' + row.interview_time.substring(0, 5) + '（ID: ' + row.id + '）'
+  );
+  return shown.join('、') + (rows.length > 3 ? ' 等 ' + rows.length + ' 筆' : '');
+}
+
+// "時間: 14:30 → 15:00" for every field an update changed - follow-up notes stay private
+function formatAuditChanges(before, after) {
+  const labels = { ...Object.fromEntries(Object.entries(fieldMap).map(([label, field]) => [field, label])), status: '狀態' };
+  const display = (field, value) => {
+    if (value === null || value === undefined) return '無';
+    if (field === 'status') return interviewStatusNames[value] || value;
+    if (field === 'interview_time') return value.substring(0, 5);
+    if (field === 'reminder_offsets') return value.map(ReminderSchedule.formatOffset).join(',');
+    return String(value);
+  };
+
+  return Object.keys(labels)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => labels[field] + ': ' + display(field, before[field]) + ' → ' + display(field, after[field]));
+}
+
+async function handleAuditLogCommand(scopeId, replyToken) {
+  const result = await AuditManager.getEntries(scopeId);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, { type: 'text', text: '獲取操作紀錄時發生錯誤。' });
+    return;
+  }
+
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, { type: 'text', text: '目前沒有任何操作紀錄。' });
+    return;
+  }
+
+  // Show registered interviewers by name, everyone else by LINE ID as in 角色清單
+  const profiles = await ProfileManager.getProfiles(scopeId);
+  const actorName = (userId) => {
+    const profile = profiles.success ? profiles.data.find(candidate => candidate.line_user_id === userId) : null;
+    return profile ? profile.name : (userId || '系統');
+  };
+
+  let message = '🧾 最近的操作紀錄：\n\n';
+  result.data.forEach(entry => {
+    message += '#' + entry.id + ' ' + moment.tz(entry.created_at, 'Asia/Taipei').format('MM/DD HH:mm') + ' ' + auditActionNames[entry.action] +
+      (entry.undone_at ? '（已復原）' : '') + '\n';
+    message += '   ' + formatAuditInterviews(entry.after.length > 0 ? entry.after : entry.before) + '\n';
+    if (entry.before.length === 1 && entry.after.length === 1) {
+      formatAuditChanges(entry.before[0], entry.after[0]).forEach(change => { message += '   ' + change + '\n'; });
+    }
+    message += '   ' + actorName(entry.actor_user_id) + '（' + (auditSourceNames[entry.actor_source] || entry.actor_source) + '）\n\n';
+  });
+  message += '輸入「復原 {編號}」可復原該操作，例如：復原 ' + result.data[0].id;
+
+  await client.replyMessage(replyToken, FlexMessageBuilder.splitText(message));
+}
+
+async function handleUndoCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseUndoCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：復原 {編號}\n編號可在「操作紀錄」中查看'
+    });
+    return;
+  }
+
+  const entry = await AuditManager.getEntry(scopeId, parsed.entryId);
+  if (!entry.success || !entry.data) {
+    await client.replyMessage(replyToken, { type: 'text', text: '找不到操作紀錄 #' + parsed.entryId + '。' });
+    return;
+  }
+
+  if (entry.data.undone_at) {
+    await client.replyMessage(replyToken, { type: 'text', text: '操作紀錄 #' + parsed.entryId + ' 已經復原過了。' });
+    return;
+  }
+
+  if (entry.data.action === 'undo') {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '復原操作本身無法再復原。請復原較早的操作紀錄，或直接重新修改面談。'
+    });
+    return;
+  }
+
+  const result = await AuditManager.undo(scopeId, entry.data, getActor(scopeId, userId));
+
+  if (result.success) {
+    const { removed, restored } = result.data;
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已復原操作紀錄 #' + entry.data.id + '（' + auditActionNames[entry.data.action] + '）！\n\n' +
+        (removed.length > 0 ? '已移除: ' + formatAuditInterviews(removed) : '已還原: ' + formatAuditInterviews(restored))
+    });
+  } else if (result.conflict) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '操作紀錄 #' + entry.data.id + ' 之後面談又有變更，無法自動復原。請先復原較新的操作紀錄。'
+    });
+  } else if (result.alreadyUndone) {
+    await client.replyMessage(replyToken, { type: 'text', text: '操作紀錄 #' + entry.data.id + ' 已經復原過了。' });
+  } else if (result.expired) {
+    await client.replyMessage(replyToken, { type: 'text', text: '操作紀錄 #' + entry.data.id + ' 已超過 ' + DELETED_RETENTION_DAYS + ' 天，刪除的面談已永久移除，無法復原。' });
+  } else {
+    await client.replyMessage(replyToken, { type: 'text', text: '復原時發生錯誤。請稍後再試。' });
+  }
+}
+
+async function handleRecipientCommand(text, mention, scopeId, replyToken) {
+  const parsed = MessageParser.parseRecipientCommand(text, mention);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：收件人 {名稱} {LINE ID、@提及 或 本群組}\n例如：收件人 陳佑庭 @陳佑庭\n收件人 主教團群組 本群組'
+    });
+    return;
+  }
+
+  if (!InputValidator.validateName(parsed.name) || parsed.name === '面談者') {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '收件人名稱無效！請輸入有效的名稱（「面談者」為保留名稱）。'
+    });
+    return;
+  }
+
+  const lineId = parsed.useCurrentChat ? scopeId : parsed.lineId;
+  const kind = recipientKinds[lineId.charAt(0)];
+  const result = await RecipientManager.setRecipient(scopeId, parsed.name, lineId, kind);
+
+  if (result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已設定收件人！\n\n名稱: ' + parsed.name + '\n類型: ' + recipientKindNames[kind] + '\n\n使用「提醒路由 ' + parsed.name + ' {理由 或 全部} {提醒 或 全部}」設定要收到哪些提醒。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '設定收件人時發生錯誤。'
+    });
+  }
+}
+
+async function handleRemoveRecipientCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseRemoveRecipientCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：移除收件人 {名稱}\n例如：移除收件人 主教團群組'
+    });
+    return;
+  }
+
+  const result = await RecipientManager.removeRecipient(scopeId, parsed.name);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '移除收件人時發生錯誤。'
+    });
+  } else if (!result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到收件人「' + parsed.name + '」。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已移除收件人「' + parsed.name + '」及其提醒路由！'
+    });
+  }
+}
+
+async function handleDigestCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseDigestCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：摘要 {收件人名稱} {每日|每週|全部|關閉}\n例如：摘要 主教團群組 全部'
+    });
+    return;
+  }
+
+  const result = await RecipientManager.setDigest(scopeId, parsed.name, parsed.digest);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '設定面談摘要時發生錯誤。'
+    });
+  } else if (!result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到收件人「' + parsed.name + '」。請先使用「收件人 {名稱} {LINE ID、@提及 或 本群組}」新增。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: parsed.digest
+        ? '✅ 「' + parsed.name + '」將收到' + digestKindNames[parsed.digest] + '面談摘要！'
+        : '✅ 「' + parsed.name + '」不再收到面談摘要。'
+    });
+  }
+}
+
+async function handleRouteCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseRouteCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：提醒路由 {收件人名稱 或 面談者} {理由關鍵字 或 全部} {提醒 或 全部}\n例如：\n提醒路由 主教團群組 全部 24h\n提醒路由 面談者 全部 15m\n提醒路由 主教 聖殿推薦書 全部'
+    });
+    return;
+  }
+
+  let recipientId = null;
+  if (parsed.target !== '面談者') {
+    const recipients = await RecipientManager.getRecipients(scopeId);
+    if (!recipients.success) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '設定提醒路由時發生錯誤。'
+      });
+      return;
+    }
+
+    const recipient = recipients.data.find(entry => entry.name === parsed.target);
+    if (!recipient) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '找不到收件人「' + parsed.target + '」！請先使用「收件人 ' + parsed.target + ' {LINE ID、@提及 或 本群組}」新增。'
+      });
+      return;
+    }
+    recipientId = recipient.id;
+  }
+
+  const result = await RecipientManager.addRoutes(scopeId, parsed.offsets.map(offsetMinutes => ({
+    recipientId,
+    reasonKeyword: parsed.reasonKeyword,
+    offsetMinutes
+  })));
+
+  if (result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已新增提醒路由！\n\n' + result.data.map(route => formatRoute(route, parsed.target)).join('\n') + '\n\n⚠️ 設定路由後，此對話的提醒只會依路由發送。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '設定提醒路由時發生錯誤。'
+    });
+  }
+}
+
+async function handleRemoveRouteCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseRemoveRouteCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：移除提醒路由 {編號}\n編號可在「收件人清單」中查看。'
+    });
+    return;
+  }
+
+  const result = await RecipientManager.removeRoute(scopeId, parsed.id);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '移除提醒路由時發生錯誤。'
+    });
+  } else if (!result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到提醒路由 ' + parsed.id + '。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已移除提醒路由 ' + parsed.id + '！'
+    });
+  }
+}
+
+// "3. 面談者 ← 理由：全部，提醒：15分鐘"
+function formatRoute(route, targetName) {
+  return route.id + '. ' + targetName + ' ← 理由：' + (route.reason_keyword || '全部') + '，提醒：' + (route.offset_minutes ? ReminderSchedule.formatOffset(route.offset_minutes) : '全部');
+}
+
+async function handleRecipientListCommand(scopeId, replyToken) {
+  const [recipients, routes] = await Promise.all([
+    RecipientManager.getRecipients(scopeId),
+    RecipientManager.getRoutes(scopeId)
+  ]);
+
+  if (!recipients.success || !routes.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取收件人清單時發生錯誤。'
+    });
+    return;
+  }
+
+  let message = '📇 收件人：\n';
+  message += recipients.data.length > 0
+    ? recipients.data.map(recipient => '• ' + recipient.name + '（' + recipientKindNames[recipient.kind] + '）' +
+        (recipient.digest ? ' 📋 ' + digestKindNames[recipient.digest] + '摘要' : '')).join('\n')
+    : '尚未設定';
+
+  message += '\n\n🧭 提醒路由：\n';
+  message += routes.data.length > 0
+    ? routes.data.map(route => formatRoute(route, route.target === 'interviewer' ? '面談者' : route.reminder_recipients.name)).join('\n')
+    : '尚未設定 - 提醒會發送給建立者、GROUP_ID 群組及主教';
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message
+  });
+}
+
+// 行事曆 links are secrets, so in a group they are sent to the requester privately
+async function handleCalendarCommand(text, scopeId, userId, isPrivateChat, replyToken) {
+  const parsed = MessageParser.parseCalendarCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：行事曆 [面談者]\n例如：行事曆 陳佑庭'
+    });
+    return;
+  }
+
+  if (!PUBLIC_BASE_URL) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '尚未設定 PUBLIC_BASE_URL，無法產生行事曆連結。請聯絡管理員。'
+    });
+    return;
+  }
+
+  let interviewerName = null;
+  if (parsed.interviewerName) {
+    const interviewer = await resolveInterviewerName(scopeId, parsed.interviewerName);
+    if (!interviewer.known) {
+      await client.replyMessage(replyToken, buildUnknownInterviewerReply(parsed.interviewerName, interviewer.suggestions, (name) => '行事曆 ' + name));
+      return;
+    }
+    interviewerName = interviewer.name;
+  }
+
+  const result = await CalendarManager.createToken(scopeId, userId, interviewerName);
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '產生行事曆連結時發生錯誤。'
+    });
+    return;
+  }
+
+  const message = {
+    type: 'text',
+    text: '📅 面談行事曆' + (interviewerName ? '（' + interviewerName + '）' : '') + '（編號 ' + result.data.id + '）\n\n' +
+      CalendarManager.getFeedUrl(result.data.token) +
+      '\n\n在手機行事曆中選擇「訂閱行事曆」並貼上此連結，面談的新增、更改與刪除都會自動同步。\n⚠️ 此連結等同密碼，請勿分享。可用「行事曆清單」查看、「停用行事曆 ' + result.data.id + '」停用。'
+  };
+
+  if (isPrivateChat) {
+    await client.replyMessage(replyToken, message);
+    return;
+  }
+
+  try {
+    await client.pushMessage(userId, message);
+    await client.replyMessage(replyToken, { type: 'text', text: '✅ 已私訊行事曆連結給您。' });
+  } catch (error) {
+    console.error('Error sending calendar link:', error);
+    // A link nobody received must not stay valid
+    await CalendarManager.revokeToken(userId, result.data.id);
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無法私訊您行事曆連結。請先將面談助理加為好友，或直接在私訊中輸入此指令。'
+    });
+  }
+}
+
+async function handleCalendarListCommand(scopeId, userId, replyToken) {
+  const result = await CalendarManager.getTokens(userId);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取行事曆清單時發生錯誤。'
+    });
+    return;
+  }
+
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '您目前沒有行事曆連結。輸入「行事曆」或「行事曆 {面談者}」建立。'
+    });
+    return;
+  }
+
+  let message = '📅 您的行事曆連結：\n';
+  result.data.forEach(feed => {
+    const scopeLabel = feed.scope_id === scopeId ? '本對話' : recipientKindNames[recipientKinds[feed.scope_id.charAt(0)]] || '其他對話';
+    message += '\n編號 ' + feed.id + '：' + scopeLabel + (feed.interviewer_name ? ' - ' + feed.interviewer_name : ' - 全部面談') +
+      '\n   建立：' + moment.tz(feed.created_at, 'Asia/Taipei').format('YYYY-MM-DD') +
+      '｜最後同步：' + (feed.last_used_at ? moment.tz(feed.last_used_at, 'Asia/Taipei').format('YYYY-MM-DD HH:mm') : '尚未同步');
+  });
+  message += '\n\n使用「停用行事曆 {編號}」停用連結。';
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message
+  });
+}
+
+async function handleRevokeCalendarCommand(text, userId, replyToken) {
+  const parsed = MessageParser.parseRevokeCalendarCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：停用行事曆 {編號}\n編號可在「行事曆清單」中查看。'
+    });
+    return;
+  }
+
+  const result = await CalendarManager.revokeToken(userId, parsed.id);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '停用行事曆連結時發生錯誤。'
+    });
+  } else if (!result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到您的行事曆連結 ' + parsed.id + '。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已停用行事曆連結 ' + parsed.id + '！已訂閱的行事曆將不再更新。'
+    });
+  }
+}
+
+// API金鑰 keys are secrets, so in a group they are sent to the requester privately
+async function handleApiKeyCommand(text, scopeId, userId, isPrivateChat, replyToken) {
+  const parsed = MessageParser.parseApiKeyCommand(text);
+
+  if (!parsed || !InputValidator.validateName(parsed.name)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：API金鑰 {名稱} [唯讀]\n例如：API金鑰 書記試算表 唯讀'
+    });
+    return;
+  }
+
+  const result = await ApiKeyManager.createKey(scopeId, userId, InputValidator.sanitizeString(parsed.name), parsed.readOnly);
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '建立 API 金鑰時發生錯誤。'
+    });
+    return;
+  }
+
+  const message = {
+    type: 'text',
+    text: '🔑 API 金鑰「' + result.data.name + '」（編號 ' + result.data.id + '，' + (parsed.readOnly ? '唯讀' : '可讀寫') + '）\n\n' + result.data.key +
+      '\n\n請在 Authorization: Bearer 標頭中使用，API 說明：' + (PUBLIC_BASE_URL ? PUBLIC_BASE_URL.replace(/\/$/, '') : '') + '/api/v1/openapi.json' +
+      '\n⚠️ 此金鑰只會顯示這一次，請妥善保存。可用「停用API金鑰 ' + result.data.id + '」停用。'
+  };
+
+  if (isPrivateChat) {
+    await client.replyMessage(replyToken, message);
+    return;
+  }
+
+  try {
+    await client.pushMessage(userId, message);
+    await client.replyMessage(replyToken, { type: 'text', text: '✅ 已私訊 API 金鑰給您。' });
+  } catch (error) {
+    console.error('Error sending API key:', error);
+    // A key nobody received must not stay valid
+    await ApiKeyManager.revokeKey(scopeId, result.data.id);
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '無法私訊您 API 金鑰。請先將面談助理加為好友後再試一次。'
+    });
+  }
+}
+
+async function handleApiKeyListCommand(scopeId, replyToken) {
+  const result = await ApiKeyManager.getKeys(scopeId);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取 API 金鑰清單時發生錯誤。'
+    });
+    return;
+  }
+
+  if (result.data.length === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '本對話目前沒有 API 金鑰。輸入「API金鑰 {名稱} [唯讀]」建立。'
+    });
+    return;
+  }
+
+  let message = '🔑 本對話的 API 金鑰：\n';
+  result.data.forEach(key => {
+    message += '\n編號 ' + key.id + '：' + key.name + '（' + (key.read_only ? '唯讀' : '可讀寫') + '）' +
+      '\n   建立：' + moment.tz(key.created_at, 'Asia/Taipei').format('YYYY-MM-DD') +
+      '｜最後使用：' + (key.last_used_at ? moment.tz(key.last_used_at, 'Asia/Taipei').format('YYYY-MM-DD HH:mm') : '尚未使用');
+  });
+  message += '\n\n使用「停用API金鑰 {編號}」停用金鑰。';
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message
+  });
+}
+
+async function handleRevokeApiKeyCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseRevokeApiKeyCommand(text);
+
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：停用API金鑰 {編號}\n編號可在「API金鑰清單」中查看。'
+    });
+    return;
+  }
+
+  const result = await ApiKeyManager.revokeKey(scopeId, parsed.id);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '停用 API 金鑰時發生錯誤。'
+    });
+  } else if (!result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '找不到 API 金鑰 ' + parsed.id + '。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已停用 API 金鑰 ' + parsed.id + '！'
+    });
+  }
+}
+
+async function handleGrantCommand(text, mention, userId, replyToken) {
+  const parsed = MessageParser.parseGrantCommand(text, mention);
+  
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：授權 {LINE用戶ID 或 @提及} {角色}\n例如：授權 @陳佑庭 書記\n可用角色：' + Object.keys(roleMap).join('、')
+    });
+    return;
+  }
 
-  try {
-    // Handle different commands
-    if (text === '面談清單') {
-      await handleListCommand(userId, event.replyToken);
-    } else if (text.startsWith('加入')) {
-      await handleAddCommand(text, userId, event.replyToken);
-    } else if (text.startsWith('更新')) {
-      await handleUpdateCommand(text, userId, event.replyToken);
-    } else if (text.startsWith('刪除')) {
-      await handleDeleteCommand(text, userId, event.replyToken);
-    } else if (text === '提醒狀態') {
-      await handleReminderStatusCommand(userId, event.replyToken);
-    }
-    // Note: No else clause - unrecognized commands are handled in webhook
-  } catch (error) {
-    console.error('Error handling message:', error);
-    await client.replyMessage(event.replyToken, {
+  const role = roleMap[parsed.role];
+  if (!role) {
+    await client.replyMessage(replyToken, {
       type: 'text',
-      text: '抱歉，處理您的訊息時發生錯誤。請稍後再試。'
+      text: '無效的角色！可用角色：' + Object.keys(roleMap).join('、')
+    });
+    return;
+  }
+
+  const [senderRole, targetRole] = await Promise.all([
+    RoleManager.getRole(userId),
+    RoleManager.getRole(parsed.targetUserId)
+  ]);
+  if (!senderRole.success || !targetRole.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '檢查權限時發生錯誤。請稍後再試。'
+    });
+    return;
+  }
+
+  if (!RoleManager.canManageRole(senderRole.data, role)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '⛔ 無法授予比您的角色（' + roleNames[senderRole.data] + '）更高的角色。'
+    });
+    return;
+  }
+
+  if (targetRole.data && !RoleManager.canManageRole(senderRole.data, targetRole.data)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '⛔ 此用戶的角色（' + roleNames[targetRole.data] + '）高於您的角色，無法變更。'
+    });
+    return;
+  }
+
+  const result = await RoleManager.grantRole(parsed.targetUserId, role, userId);
+
+  if (result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已授予角色！\n\n用戶: ' + parsed.targetUserId + '\n角色: ' + parsed.role
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '授予角色時發生錯誤。'
     });
   }
 }
 
-// Command handlers
-async function handleListCommand(userId, replyToken) {
-  const result = await InterviewManager.getInterviews(userId);
+async function handleRevokeCommand(text, mention, userId, replyToken) {
+  const parsed = MessageParser.parseRevokeCommand(text, mention);
   
-  if (!result.success) {
+  if (!parsed) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '獲取面談清單時發生錯誤。'
+      text: '格式錯誤！請使用：撤銷 {LINE用戶ID 或 @提及}\n例如：撤銷 @陳佑庭'
     });
     return;
   }
 
-  if (result.data.length === 0) {
+  if (parsed.targetUserId === userId) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '目前沒有安排的面談。'
+      text: '無法撤銷自己的角色。'
     });
     return;
   }
 
-  let message = '📋 面談清單：\n\n';
-  result.data.forEach((interview, index) => {
-    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
-    // Format time to show only HH:mm for display
-    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
-    message += `${index + 1}. ID: ${interview.id}\n`;
-    message += `   面談對象: ${interview.interviewee_name}\n`;
-    message += `   面談者: ${interview.interviewer_name || '未指定'}\n`;
-    message += `   日期: ${date}\n`;
-    message += `   時間: ${time}\n`;
-    message += `   理由: ${interview.reason || '無'}\n\n`;
+  const [senderRole, targetRole] = await Promise.all([
+    RoleManager.getRole(userId),
+    RoleManager.getRole(parsed.targetUserId)
+  ]);
+  if (!senderRole.success || !targetRole.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '檢查權限時發生錯誤。請稍後再試。'
+    });
+    return;
+  }
+
+  // Only a bishop may revoke a bishop
+  if (targetRole.data && !RoleManager.canManageRole(senderRole.data, targetRole.data)) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '⛔ 此用戶的角色（' + roleNames[targetRole.data] + '）高於您的角色，無法撤銷。'
+    });
+    return;
+  }
+
+  const result = await RoleManager.revokeRole(parsed.targetUserId);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '撤銷角色時發生錯誤。'
+    });
+  } else if (!result.data) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '此用戶沒有任何角色。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已撤銷用戶 ' + parsed.targetUserId + ' 的角色！'
+    });
+  }
+}
+
+async function handleRoleListCommand(replyToken) {
+  const result = await RoleManager.getRoles();
+  
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '獲取角色清單時發生錯誤。'
+    });
+    return;
+  }
+
+  let message = '👥 角色清單：\n\n';
+  if (BISHOP_LINE_USER_ID) {
+    message += '主教（系統設定）: ' + BISHOP_LINE_USER_ID + '\n';
+  }
+  result.data.forEach((assignment) => {
+    message += (roleNames[assignment.role] || assignment.role) + ': ' + assignment.line_user_id + '\n';
   });
 
+  if (!BISHOP_LINE_USER_ID && result.data.length === 0) {
+    message += '目前沒有任何角色設定。';
+  }
+
   await client.replyMessage(replyToken, {
     type: 'text',
-    text: message
+    text: message.trim()
   });
 }
 
-async function handleAddCommand(text, userId, replyToken) {
-  const parsed = MessageParser.parseAddCommand(text);
+// Guided add flow (新增面談) - asks for each field in turn, state is kept in chat_sessions
+async function handleStartAddWizard(scopeId, userId, replyToken) {
+  const state = { type: 'add_wizard', step: 'interviewee', data: {} };
+  await SessionManager.setSession(scopeId, userId, state);
+  await client.replyMessage(replyToken, await buildAddWizardPrompt(scopeId, state));
+}
+
+// Prompt for the current step of the guided add flow
+async function buildAddWizardPrompt(scopeId, state, prefix = '') {
+  const cancelItem = { type: 'action', action: { type: 'message', label: '取消', text: '取消' } };
+
+  if (state.step === 'interviewee') {
+    return {
+      type: 'text',
+      text: prefix + '📝 新增面談（1/4）\n請輸入面談對象姓名：\n\n（輸入「取消」可隨時結束）',
+      quickReply: FlexMessageBuilder.buildQuickReply([], [cancelItem])
+    };
+  }
+
+  const [suggestions, profiles] = await Promise.all([
+    InterviewManager.getSuggestions(scopeId),
+    ProfileManager.getProfiles(scopeId)
+  ]);
+  const { reasons } = suggestions.success ? suggestions.data : { reasons: [] };
+  // Known profiles when there are any, otherwise recently used names
+  const interviewers = profiles.success && profiles.data.length > 0
+    ? profiles.data.map(profile => profile.name)
+    : (suggestions.success ? suggestions.data.interviewers : []);
+
+  if (state.step === 'interviewer') {
+    return {
+      type: 'text',
+      text: prefix + '📝 新增面談（2/4）\n面談對象：' + state.data.intervieweeName + '\n\n請選擇或輸入面談者：',
+      quickReply: FlexMessageBuilder.buildQuickReply(interviewers.slice(0, 12), [cancelItem])
+    };
+  }
+
+  if (state.step === 'reason') {
+    const reasonOptions = [...new Set([...reasons, ...Object.keys(reasonDurations).map(keyword => keyword + '面談')])];
+    return {
+      type: 'text',
+      text: prefix + '📝 新增面談（3/4）\n面談者：' + state.data.interviewerName + '\n\n請選擇或輸入面談理由：',
+      quickReply: FlexMessageBuilder.buildQuickReply(reasonOptions.slice(0, 12), [cancelItem])
+    };
+  }
+
+  if (state.step === 'datetime') {
+    const pickerItem = {
+      type: 'action',
+      action: { type: 'datetimepicker', label: '選擇日期時間', data: 'action=wizard_datetime', mode: 'datetime', min: moment.tz('Asia/Taipei').format('YYYY-MM-DDTHH:mm') }
+    };
+    return {
+      type: 'text',
+      text: prefix + '📝 新增面談（4/4）\n理由：' + state.data.reason + '\n\n請選擇日期時間，或直接輸入（例如：明天 下午2點、1/21 14:30）：',
+      quickReply: FlexMessageBuilder.buildQuickReply([], [pickerItem, cancelItem])
+    };
+  }
+
+  return {
+    type: 'flex',
+    altText: '請確認面談資料：' + state.data.intervieweeName + ' ' + state.data.date + ' ' + state.data.time.substring(0, 5),
+    contents: FlexMessageBuilder.buildConfirmationBubble({
+      interviewee_name: state.data.intervieweeName,
+      interviewer_name: state.data.interviewerName,
+      interview_date: state.data.date,
+      interview_time: state.data.time,
+      reason: state.data.reason
+    })
+  };
+}
+
+// Handle a typed answer while the guided add flow is waiting for one
+async function handleAddWizardInput(scopeId, userId, state, text, replyToken) {
+  const value = text.trim();
+
+  if (value === '取消') {
+    await SessionManager.clearSession(scopeId, userId);
+    await client.replyMessage(replyToken, { type: 'text', text: '已取消新增面談。' });
+    return;
+  }
+
+  if (state.step === 'interviewee' || state.step === 'interviewer') {
+    if (!InputValidator.validateName(value)) {
+      await client.replyMessage(replyToken, await buildAddWizardPrompt(scopeId, state, '姓名無效！請輸入有效的姓名。\n\n'));
+      return;
+    }
+    if (state.step === 'interviewee') {
+      state.data.intervieweeName = InputValidator.sanitizeString(value);
+      state.step = 'interviewer';
+    } else {
+      const interviewer = await resolveInterviewerName(scopeId, value);
+      if (!interviewer.known) {
+        const prompt = await buildAddWizardPrompt(scopeId, state, '❓ 找不到面談者「' + value + '」，請從清單選擇或輸入已建立的面談者。\n\n');
+        prompt.quickReply = FlexMessageBuilder.buildQuickReply(interviewer.suggestions, prompt.quickReply.items.slice(0, 1));
+        await client.replyMessage(replyToken, prompt);
+        return;
+      }
+      state.data.interviewerName = InputValidator.sanitizeString(interviewer.name);
+      state.step = 'reason';
+    }
+  } else if (state.step === 'reason') {
+    const reason = InputValidator.sanitizeString(value);
+    if (!reason) {
+      await client.replyMessage(replyToken, await buildAddWizardPrompt(scopeId, state, '理由不可為空白。\n\n'));
+      return;
+    }
+    state.data.reason = reason;
+    state.step = 'datetime';
+  } else if (state.step === 'datetime') {
+    const parts = DateTimeParser.splitDateTime(value);
+    if (parts && parts.options) {
+      await client.replyMessage(replyToken, DateTimeParser.buildDateTimeClarification(value, parts.options, (dateText, timeText) => dateText + ' ' + timeText));
+      return;
+    }
+    const dateResult = parts ? DateTimeParser.resolveDate(parts.dateText) : null;
+    const timeResult = parts ? DateTimeParser.parseTime(parts.timeText) : null;
+    if (!dateResult || !timeResult) {
+      await client.replyMessage(replyToken, await buildAddWizardPrompt(scopeId, state, '日期時間格式錯誤！\n\n'));
+      return;
+    }
+    const dateReply = DateTimeParser.buildDateReply(parts.dateText, dateResult, (date) => date + ' ' + parts.timeText);
+    if (dateReply) {
+      await client.replyMessage(replyToken, dateReply);
+      return;
+    }
+    const date = dateResult.date;
+    if (timeResult.options) {
+      await client.replyMessage(replyToken, DateTimeParser.buildTimeClarification(parts.timeText, timeResult.options, (time) => date + ' ' + time));
+      return;
+    }
+    await setAddWizardDateTime(scopeId, userId, state, date, timeResult.time, replyToken);
+    return;
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '請按下確認卡片上的「確認加入」或「取消」。'
+    });
+    return;
+  }
+
+  await SessionManager.setSession(scopeId, userId, state);
+  await client.replyMessage(replyToken, await buildAddWizardPrompt(scopeId, state));
+}
+
+// Store the chosen date/time after checking for conflicts, then show the confirmation card
+async function setAddWizardDateTime(scopeId, userId, state, date, time, replyToken) {
+  const conflictReply = await getConflictReply(scopeId, {
+    interviewer_name: state.data.interviewerName,
+    interview_date: date,
+    interview_time: time,
+    reason: state.data.reason,
+    duration_minutes: ScheduleHelper.getDefaultDuration(state.data.reason)
+  }, null, false);
+
+  if (conflictReply) {
+    await client.replyMessage(replyToken, await buildAddWizardPrompt(scopeId, state, conflictReply.text + '\n\n請選擇其他時間。\n\n'));
+    return;
+  }
+
+  state.data.date = date;
+  state.data.time = time;
+  state.step = 'confirm';
+  await SessionManager.setSession(scopeId, userId, state);
+  await client.replyMessage(replyToken, await buildAddWizardPrompt(scopeId, state));
+}
+
+// Date/time picker, confirm and cancel buttons of the guided add flow
+async function handleAddWizardPostback(action, params, scopeId, userId, replyToken) {
+  const session = await SessionManager.getSession(scopeId, userId);
+  const state = session.success ? session.data : null;
+
+  if (!state || state.type !== 'add_wizard') {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '新增面談流程已結束或逾時，請重新輸入「新增面談」。'
+    });
+    return;
+  }
+
+  if (action === 'wizard_cancel') {
+    await SessionManager.clearSession(scopeId, userId);
+    await client.replyMessage(replyToken, { type: 'text', text: '已取消新增面談。' });
+  } else if (action === 'wizard_datetime' && state.step === 'datetime') {
+    // datetimepicker returns "YYYY-MM-DDTHH:mm"
+    const picked = moment.tz(params.datetime, 'YYYY-MM-DDTHH:mm', 'Asia/Taipei');
+    await setAddWizardDateTime(scopeId, userId, state, picked.format('YYYY-MM-DD'), picked.format('HH:mm:ss'), replyToken);
+  } else if (action === 'wizard_confirm' && state.step === 'confirm') {
+    await SessionManager.clearSession(scopeId, userId);
+    await createInterview({ ...state.data, force: false }, scopeId, userId, replyToken);
+  } else {
+    await client.replyMessage(replyToken, await buildAddWizardPrompt(scopeId, state));
+  }
+}
+
+// Pass a non-command message to the guided flow the sender is in, if any
+async function handleSessionInput(event) {
+  const userId = event.source.userId;
+  if (!userId) return null;
+
+  const scopeId = getScopeId(event.source);
+  const session = await SessionManager.getSession(scopeId, userId);
+  if (!session.success || !session.data || session.data.type !== 'add_wizard') return null;
+
+  try {
+    await handleAddWizardInput(scopeId, userId, session.data, event.message.text, event.replyToken);
+  } catch (error) {
+    console.error('Error handling session input:', error);
+    await client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '抱歉，處理您的訊息時發生錯誤。請稍後再試。'
+    });
+  }
+}
+
+async function handleAvailabilityCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseAvailabilityCommand(text);
+  
+  if (!parsed) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：可面談時間 {面談者} {星期} {開始}-{結束}\n例如：可面談時間 陳佑庭 週日 09:00-12:00\n查看設定：可面談時間 {面談者}'
+    });
+    return;
+  }
+
+  const interviewerName = InputValidator.sanitizeString(parsed.interviewerName);
+
+  if (parsed.list) {
+    const today = moment.tz('Asia/Taipei').format('YYYY-MM-DD');
+    const availability = await AvailabilityManager.getAvailability(scopeId, interviewerName);
+    const blackouts = await AvailabilityManager.getBlackouts(scopeId, interviewerName, today);
+
+    if (!availability.success || !blackouts.success) {
+      await client.replyMessage(replyToken, {
+        type: 'text',
+        text: '獲取可面談時間時發生錯誤。'
+      });
+      return;
+    }
+
+    let message = '🗓️ ' + interviewerName + ' 的可面談時間：\n\n';
+    if (availability.data.length === 0) {
+      message += '尚未設定。\n';
+    }
+    availability.data.forEach((window) => {
+      message += weekdayNames[window.weekday] + ' ' + window.start_time.substring(0, 5) + '-' + window.end_time.substring(0, 5) + '\n';
+    });
+
+    if (blackouts.data.length > 0) {
+      message += '\n🚫 不可面談日期：\n';
+      blackouts.data.forEach((blackout) => {
+        message += blackout.blackout_date + (blackout.note ? '（' + blackout.note + '）' : '') + '\n';
+      });
+    }
+
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: message.trim()
+    });
+    return;
+  }
+
+  const weekday = InputValidator.parseWeekday(parsed.weekday);
+  if (weekday === null) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '星期格式錯誤！請使用：週日、週一 ... 週六'
+    });
+    return;
+  }
+
+  if (!InputValidator.validateTime(parsed.startTime) || !InputValidator.validateTime(parsed.endTime) ||
+      parsed.startTime >= parsed.endTime) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '時間格式錯誤！請使用 HH:mm-HH:mm 格式，且結束時間需晚於開始時間。'
+    });
+    return;
+  }
+
+  const result = await AvailabilityManager.addAvailability(scopeId, interviewerName, weekday, parsed.startTime, parsed.endTime);
+
+  if (result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已新增可面談時間！\n\n面談者: ' + interviewerName + '\n' + weekdayNames[weekday] + ' ' + parsed.startTime.substring(0, 5) + '-' + parsed.endTime.substring(0, 5)
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '新增可面談時間時發生錯誤。'
+    });
+  }
+}
+
+async function handleRemoveAvailabilityCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseRemoveAvailabilityCommand(text);
+  const weekday = parsed ? InputValidator.parseWeekday(parsed.weekday) : null;
+  
+  if (!parsed || weekday === null) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '格式錯誤！請使用：移除可面談時間 {面談者} {星期}\n例如：移除可面談時間 陳佑庭 週三'
+    });
+    return;
+  }
+
+  const interviewerName = InputValidator.sanitizeString(parsed.interviewerName);
+  const result = await AvailabilityManager.removeAvailability(scopeId, interviewerName, weekday);
+
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '移除可面談時間時發生錯誤。'
+    });
+  } else if (result.data === 0) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: interviewerName + ' 在' + weekdayNames[weekday] + '沒有設定可面談時間。'
+    });
+  } else {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '✅ 已移除 ' + interviewerName + ' ' + weekdayNames[weekday] + '的可面談時間！'
+    });
+  }
+}
+
+async function handleBlackoutCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseBlackoutCommand(text);
   
   if (!parsed) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '格式錯誤！請使用：加入 {面談對象} {面談者} {日期} {時間} {理由}\n例如：加入 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談'
+      text: '格式錯誤！請使用：不可面談 {面談者} {日期} [備註]\n例如：不可面談 陳佑庭 2024-01-21 出差'
     });
     return;
   }
 
-  // Validate and sanitize inputs
-  if (!InputValidator.validateName(parsed.intervieweeName)) {
+  if (!InputValidator.validateDate(parsed.date)) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '面談對象姓名無效！請輸入有效的姓名。'
+      text: '日期格式錯誤！請使用 YYYY-MM-DD 格式。'
     });
     return;
   }
 
-  if (!InputValidator.validateName(parsed.interviewerName)) {
+  const interviewerName = InputValidator.sanitizeString(parsed.interviewerName);
+  const note = parsed.note ? InputValidator.sanitizeString(parsed.note) : null;
+  const result = await AvailabilityManager.addBlackout(scopeId, interviewerName, parsed.date, note);
+
+  if (result.success) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '面談者姓名無效！請輸入有效的姓名。'
+      text: '✅ 已設定不可面談日期！\n\n面談者: ' + interviewerName + '\n日期: ' + parsed.date + (note ? '\n備註: ' + note : '')
     });
-    return;
-  }
-
-  if (!InputValidator.validateDate(parsed.date)) {
+  } else {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '日期格式錯誤！請使用 YYYY-MM-DD 格式。'
+      text: '設定不可面談日期時發生錯誤。'
     });
-    return;
   }
+}
 
-  if (!InputValidator.validateTime(parsed.time)) {
+async function handleRemoveBlackoutCommand(text, scopeId, replyToken) {
+  const parsed = MessageParser.parseRemoveBlackoutCommand(text);
+  
+  if (!parsed) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '時間格式錯誤！請使用 HH:mm 格式。'
+      text: '格式錯誤！請使用：移除不可面談 {面談者} {日期}\n例如：移除不可面談 陳佑庭 2024-01-21'
     });
     return;
   }
 
-  // Sanitize inputs
-  const sanitizedData = {
-    intervieweeName: InputValidator.sanitizeString(parsed.intervieweeName),
-    interviewerName: InputValidator.sanitizeString(parsed.interviewerName),
-    date: parsed.date,
-    time: parsed.time,
-    reason: InputValidator.sanitizeString(parsed.reason)
-  };
-
-  const result = await InterviewManager.addInterview(
-    userId,
-    sanitizedData.intervieweeName,
-    sanitizedData.interviewerName,
-    sanitizedData.date,
-    sanitizedData.time,
-    sanitizedData.reason
-  );
+  const interviewerName = InputValidator.sanitizeString(parsed.interviewerName);
+  const result = await AvailabilityManager.removeBlackout(scopeId, interviewerName, parsed.date);
 
-  if (result.success) {
-    // Format time to show only HH:mm for display
-    const displayTime = parsed.time.substring(0, 5);
+  if (!result.success) {
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: '移除不可面談日期時發生錯誤。'
+    });
+  } else if (!result.data) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '✅ 面談已成功加入！\n\n面談對象: ' + sanitizedData.intervieweeName + '\n面談者: ' + sanitizedData.interviewerName + '\n日期: ' + sanitizedData.date + '\n時間: ' + displayTime + '\n理由: ' + sanitizedData.reason + '\n\nID: ' + result.data.id
+      text: interviewerName + ' 在 ' + parsed.date + ' 沒有設定不可面談。'
     });
   } else {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '加入面談時發生錯誤。'
+      text: '✅ 已移除 ' + interviewerName + ' 在 ' + parsed.date + ' 的不可面談設定！'
     });
   }
 }
 
-async function handleUpdateCommand(text, userId, replyToken) {
-  const parsed = MessageParser.parseUpdateCommand(text);
+async function handleFreeSlotCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseFreeSlotCommand(text);
   
   if (!parsed) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '格式錯誤！請使用：更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 約翰'
+      text: '格式錯誤！請使用：空檔 {面談者} {日期} [時長]\n例如：空檔 陳佑庭 2024-01-21'
     });
     return;
   }
 
-  // Map Chinese field name to database column
-  const dbField = fieldMap[parsed.field];
-  if (!dbField) {
+  if (!InputValidator.validateDate(parsed.date)) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '無效的欄位！可用欄位：面談對象、面談者、日期、時間、理由'
+      text: '日期格式錯誤！請使用 YYYY-MM-DD 格式。'
     });
     return;
   }
 
-  const updates = {};
-  let valueToStore = parsed.value;
-
-  // Handle time formatting for database storage
-  if (dbField === 'interview_time') {
-    // Replace full-width colon with standard colon
-    valueToStore = parsed.value.replace('：', ':');
-    // Add seconds if not provided
-    if (valueToStore.match(/^\d{2}:\d{2}$/)) {
-      valueToStore += ':00';
-    }
-  }
-
-  updates[dbField] = valueToStore;
-
-  // Validate date/time if updating those fields
-  if (dbField === 'interview_date' && !moment.tz(parsed.value, 'YYYY-MM-DD', true, 'Asia/Taipei').isValid()) {
+  const durationMinutes = parsed.duration ? InputValidator.parseDuration(parsed.duration) : DEFAULT_INTERVIEW_DURATION;
+  if (!durationMinutes) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '日期格式錯誤！請使用 YYYY-MM-DD 格式。'
+      text: '時長格式錯誤！請輸入 5 到 480 之間的分鐘數，例如：30'
     });
     return;
   }
 
-  if (dbField === 'interview_time' && 
-      !moment.tz(valueToStore, ['HH:mm', 'HH:mm:ss'], true, 'Asia/Taipei').isValid()) {
+  const interviewerName = InputValidator.sanitizeString(parsed.interviewerName);
+  const weekday = moment.tz(parsed.date, 'YYYY-MM-DD', 'Asia/Taipei').day();
+  const availability = await AvailabilityManager.getAvailability(scopeId, interviewerName, weekday);
+  const blackouts = await AvailabilityManager.getBlackouts(scopeId, interviewerName, parsed.date);
+  const schedule = await InterviewManager.getInterviewerSchedule(scopeId, interviewerName, parsed.date);
+
+  if (!availability.success || !blackouts.success || !schedule.success) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '時間格式錯誤！請使用 HH:mm 格式。'
+      text: '查詢空檔時發生錯誤。'
     });
     return;
   }
 
-  const result = await InterviewManager.updateInterview(userId, parsed.id, updates);
-
-  if (result.success) {
+  const blackout = blackouts.data.find(b => b.blackout_date === parsed.date);
+  if (blackout) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '✅ 面談已成功更新！\n\nID: ' + parsed.id + '\n' + parsed.field + ': ' + parsed.value
+      text: '🚫 ' + interviewerName + ' 在 ' + parsed.date + ' 不可面談' + (blackout.note ? '（' + blackout.note + '）' : '') + '。'
     });
-  } else {
+    return;
+  }
+
+  if (availability.data.length === 0) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '更新面談時發生錯誤。請確認 ID 是否正確。'
+      text: interviewerName + ' 在' + weekdayNames[weekday] + '沒有設定可面談時間。\n請使用：可面談時間 ' + interviewerName + ' ' + weekdayNames[weekday] + ' 09:00-12:00'
     });
+    return;
   }
-}
 
-async function handleDeleteCommand(text, userId, replyToken) {
-  const parsed = MessageParser.parseDeleteCommand(text);
-  
-  if (!parsed) {
+  const slots = ScheduleHelper.findFreeSlots(parsed.date, availability.data, schedule.data, durationMinutes);
+  if (slots.length === 0) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '格式錯誤！請使用：刪除 {ID}\n例如：刪除 1'
+      text: interviewerName + ' 在 ' + parsed.date + ' 沒有 ' + durationMinutes + ' 分鐘的空檔。'
     });
     return;
   }
 
-  const result = await InterviewManager.deleteInterview(userId, parsed.id);
+  // Remember the listed slots so 預約 {編號} can book one directly
+  await SessionManager.setSession(scopeId, userId, {
+    type: 'free_slots',
+    interviewerName,
+    date: parsed.date,
+    durationMinutes,
+    slots
+  });
 
-  if (result.success) {
-    await client.replyMessage(replyToken, {
-      type: 'text',
-      text: '✅ 面談 ID ' + parsed.id + ' 已成功刪除！'
-    });
-  } else {
+  let message = '🗓️ ' + interviewerName + ' ' + parsed.date + '（' + weekdayNames[weekday] + '）的空檔（' + durationMinutes + '分鐘）：\n\n';
+  slots.forEach((slot, index) => {
+    const end = moment.tz(`${parsed.date} ${slot}`, 'YYYY-MM-DD HH:mm', 'Asia/Taipei').add(durationMinutes, 'minutes');
+    message += (index + 1) + '. ' + slot + '-' + end.format('HH:mm') + '\n';
+  });
+  message += '\n預約空檔：預約 {編號} {面談對象} {理由}\n例如：預約 1 約翰 聖殿推薦書面談';
+
+  await client.replyMessage(replyToken, {
+    type: 'text',
+    text: message
+  });
+}
+
+async function handleBookCommand(text, scopeId, userId, replyToken) {
+  const parsed = MessageParser.parseBookCommand(text);
+  
+  if (!parsed) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '刪除面談時發生錯誤。請確認 ID 是否正確。'
+      text: '格式錯誤！請使用：預約 {編號} {面談對象} {理由}\n例如：預約 1 約翰 聖殿推薦書面談'
     });
+    return;
   }
-}
 
-async function handleReminderStatusCommand(userId, replyToken) {
-  const result = await InterviewManager.getInterviews(userId);
-  
-  if (!result.success) {
+  const session = await SessionManager.getSession(scopeId, userId);
+  const state = session.success ? session.data : null;
+  if (!state || state.type !== 'free_slots') {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '獲取面談清單時發生錯誤。'
+      text: '請先使用「空檔 {面談者} {日期}」查詢空檔。'
     });
     return;
   }
 
-  if (result.data.length === 0) {
+  const slot = state.slots[parsed.slotNumber - 1];
+  if (!slot) {
     await client.replyMessage(replyToken, {
       type: 'text',
-      text: '目前沒有安排的面談。'
+      text: '無效的編號！請輸入 1 到 ' + state.slots.length + ' 之間的編號。'
     });
     return;
   }
 
-  let message = '📋 面談提醒狀態：\n\n';
-  result.data.forEach((interview, index) => {
-    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
-    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
-    const interviewDateTime = moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
-    const now = moment.tz('Asia/Taipei');
-    const hoursUntil = interviewDateTime.diff(now, 'hours', true);
-    
-    message += `${index + 1}. ID: ${interview.id}\n`;
-    message += '   面談對象: ' + interview.interviewee_name + '\n';
-    message += '   面談者: ' + (interview.interviewer_name || '未指定') + '\n';
-    message += '   日期: ' + date + '\n';
-    message += '   時間: ' + time + '\n';
-    message += '   理由: ' + (interview.reason || '無') + '\n';
-    message += '   24小時提醒: ' + (interview.reminder_24h_sent ? '✅ 已發送' : '❌ 未發送') + '\n';
-    message += '   3小時提醒: ' + (interview.reminder_3h_sent ? '✅ 已發送' : '❌ 未發送') + '\n';
-    message += '   距離現在: ' + (hoursUntil > 0 ? hoursUntil.toFixed(1) + '小時' : '已過期') + '\n\n';
-  });
-
-  await client.replyMessage(replyToken, {
-    type: 'text',
-    text: message
-  });
+  await createInterview({
+    intervieweeName: parsed.intervieweeName,
+    interviewerName: state.interviewerName,
+    date: state.date,
+    time: slot + ':00',
+    reason: parsed.reason,
+    durationMinutes: state.durationMinutes,
+    force: parsed.force
+  }, scopeId, userId, replyToken);
 }
 
 async function sendHelpMessage(replyToken) {
-  const helpText = '主教團助理使用說明：\n\n📝 加入面談：\n加入 {面談對象} {面談者} {日期} {時間} {理由}\n例如：加入 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談\n\n📋 查看清單：\n面談清單\n\n✏️ 更新面談：\n更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 彼得\n可用欄位：面談對象、面談者、日期、時間、理由\n\n🗑️ 刪除面談：\n刪除 {ID}\n例如：刪除 1\n\n📋 查看提醒狀態：\n提醒狀態\n\n💡 注意事項：\n- 日期格式：YYYY-MM-DD\n- 時間格式：HH:mm\n- ID 可在面談清單中查看\n- 系統會自動發送24小時和3小時前的提醒通知';
+  const helpText = '主教團助理使用說明：\n\n📝 加入面談：\n加入 {面談對象} {面談者} {日期} {時間} {理由}\n例如：加入 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談\n\n🔁 加入重複系列面談：\n加入系列 {面談對象} {面談者} {日期} {時間} {重複規則} {結束} {理由}\n例如：加入系列 約翰 陳佑庭 2024-01-07 10:00 每2週 共6次 進度面談\n重複規則：每週、每2週、每月、每月第1個週日、每月最後一個週日\n結束：至{日期} 或 共{N}次\n\n🧭 引導式新增面談：\n新增面談\n\n📋 查看清單：\n面談清單（即將進行的面談）\n面談清單 本週|下週|{日期}\n面談清單 面談者 {姓名}\n面談清單 理由 {關鍵字}\n面談清單 已過期|全部\n下一頁\n\n📝 記錄面談結果：\n結果 {ID} {完成|未出席|取消|改期} [追蹤備註]\n例如：結果 5 完成 下個月再追蹤\n結果 {ID}（查看結果，追蹤備註只在私訊中顯示）\n\n✏️ 更新面談：\n更新 {ID} {欄位} {新值}\n例如：更新 1 面談對象 彼得\n可用欄位：面談對象、面談者、日期、時間、理由、提醒、時長\n\n🔄 改期（保留原時間紀錄並重新安排提醒）：\n改期 {ID} {日期} {時間}\n例如：改期 1 下週日 14:30\n\n🗑️ 刪除面談：\n刪除 {ID}（確認後刪除，可用「復原」還原）\n例如：刪除 1\n\n🔁 系列面談的更新或刪除可在最後加上範圍：僅此次、此次及之後、整個系列\n例如：更新 5 時間 10:30 此次及之後\n\n🧾 操作紀錄與復原（復原需主教或執行秘書）：\n操作紀錄\n復原 {編號}\n\n📋 查看提醒狀態：\n提醒狀態\n送達狀態 {ID}（各收件人的送達情形）\n\n🗓️ 可面談時間與空檔：\n可面談時間 {面談者} {星期} {開始}-{結束}\n例如：可面談時間 陳佑庭 週日 09:00-12:00\n移除可面談時間 {面談者} {星期}\n不可面談 {面談者} {日期} [備註]\n移除不可面談 {面談者} {日期}\n空檔 {面談者} {日期} [時長]\n預約 {編號} {面談對象} {理由}\n\n👥 角色管理（主教、執行秘書）：\n授權 {LINE用戶ID 或 @提及} {角色}\n撤銷 {LINE用戶ID 或 @提及}\n角色清單\n可用角色：主教、諮理、執行秘書、書記、唯讀\n\n👨‍💼 面談者：\n註冊 {名字}（綁定自己的 LINE 帳號，群組中需主教或執行秘書核准）\n取消註冊\n核准註冊 {名字}｜拒絕註冊 {名字}\n建立面談者 {名字}\n別名 {名字} {別名}\n移除別名 {名字} {別名}\n面談者清單\n\n🔑 API 金鑰（主教、執行秘書）：\nAPI金鑰 {名稱} [唯讀]\nAPI金鑰清單\n停用API金鑰 {編號}\n\n📖 成員與面談紀錄：\n成員 {姓名}\n成員 {姓名} 電話|家庭|備註 {內容}\n面談紀錄 {姓名}\n\n📅 行事曆訂閱（連結會私訊給您）：\n行事曆 [面談者]\n行事曆清單\n停用行事曆 {編號}\n\n📇 提醒收件人與路由（主教、執行秘書）：\n收件人 {名稱} {LINE ID、@提及 或 本群組}\n移除收件人 {名稱}\n提醒路由 {收件人名稱 或 面談者} {理由關鍵字 或 全部} {提醒 或 全部}\n例如：提醒路由 主教團群組 全部 24h\n移除提醒路由 {編號}\n摘要 {收件人名稱} {每日|每週|全部|關閉}（面談摘要只發送給訂閱的收件人，本對話可先用「收件人 {名稱} 本群組」加入）\n收件人清單\n\n💡 注意事項：\n- 日期格式：YYYY-MM-DD、1/21、1月21日、明天、下週日\n- 時間格式：14:30、14點、下午2點半、2:30pm\n- ID 可在面談清單中查看\n- 系統會自動發送面談前的提醒通知（預設24小時和3小時前）\n- 可用「更新 {ID} 提醒 1d,1h,15m」為單一面談設定提醒時間\n- 同一面談者時間重疊時會提示衝突，在指令最後加上「強制」可仍然安排\n- 面談對象與既有成員名字相近時會先確認，在理由後加上「新成員」可直接新增';
 
   await client.replyMessage(replyToken, {
     type: 'text',
@@ -592,106 +7405,192 @@ class ReminderManager {
     return roomId && typeof roomId === 'string' && roomId.startsWith('R') && roomId.length === 33;
   }
 
-  // Send reminder message
-  static async sendReminderMessage(interview, reminderType) {
+  // Text and Flex versions of a reminder - late reminders say so and show the actual time left
+  static buildReminderMessages(interview, offsetMinutes, late = false) {
+    const reminderType = ReminderSchedule.formatOffset(offsetMinutes);
+    const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
+    const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
+
+    let header = '🔔 面談提醒通知\n\n您有一個面談即將在' + reminderType + '後舉行：';
+    if (late) {
+      const interviewDateTime = moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+      const minutesLeft = Math.max(Math.round(interviewDateTime.diff(moment.tz('Asia/Taipei'), 'minutes', true)), 1);
+      const timeLeft = minutesLeft >= 60 ? (minutesLeft / 60).toFixed(1) + '小時' : minutesLeft + '分鐘';
+      header = '🔔 面談提醒通知（延遲送達）\n\n⚠️ 原定面談前' + reminderType + '的提醒因系統延遲而晚送。\n您有一個面談即將在約' + timeLeft + '後舉行：';
+    }
+    
+    const message = header + '\n\n👤 面談對象：' + interview.interviewee_name + '\n👨‍💼 面談者：' + (interview.interviewer_name || '未指定') + '\n📅 日期：' + date + '\n⏰ 時間：' + time + '\n📝 理由：' + (interview.reason || '無') + '\n\n請做好準備！';
+
+    const flexMessage = {
+      type: 'flex',
+      altText: '🔔 面談提醒：' + interview.interviewee_name + ' ' + date + ' ' + time,
+      contents: FlexMessageBuilder.buildInterviewBubble(interview, {
+        title: '🔔 面談提醒 ' + date + ' ' + time,
+        extraRows: [['提醒', late ? '⚠️ 延遲送達（原定面談前' + reminderType + '）' : reminderType + '後舉行']]
+      })
+    };
+
+    return { message, flexMessage };
+  }
+
+  // Recipients of one reminder, from the conversation's reminder routes. Conversations
+  // without routes fall back to the interview creator, GROUP_ID and the bishop.
+  static async getRecipients(interview, offsetMinutes) {
+    const routes = await RecipientManager.getRoutes(interview.scope_id);
+    if (!routes.success) {
+      return { recipients: [], errors: ['Loading reminder routes: ' + routes.error] };
+    }
+    if (routes.data.length === 0) {
+      return this.getDefaultRecipients(interview);
+    }
+
+    const recipients = [];
+    const errors = [];
+    const matched = RecipientManager.matchRoutes(routes.data, interview, offsetMinutes);
+    let accounts = null;
+
+    for (const route of matched) {
+      if (route.target === 'interviewer') {
+        // The interviewer's own account comes from 註冊, or else a LINE user recipient of the same name
+        if (!accounts) {
+          const [profiles, named] = await Promise.all([
+            ProfileManager.getProfiles(interview.scope_id),
+            RecipientManager.getRecipients(interview.scope_id)
+          ]);
+          accounts = [
+            ...(profiles.success ? profiles.data.filter(profile => profile.line_user_id).map(profile => ({ name: profile.name, aliases: profile.aliases || [], line_id: profile.line_user_id })) : []),
+            ...(named.success ? named.data.filter(recipient => recipient.kind === 'user').map(recipient => ({ name: recipient.name, aliases: [], line_id: recipient.line_id })) : [])
+          ];
+        }
+        const account = accounts.find(entry => entry.name === interview.interviewer_name || entry.aliases.includes(interview.interviewer_name));
+        if (account) {
+          recipients.push({ type: 'interviewer', id: account.line_id, name: account.name });
+        } else {
+          console.warn(`⚠️ Interviewer ${interview.interviewer_name} has no LINE account registered`);
+          errors.push(`Interviewer ${interview.interviewer_name}: No LINE account registered`);
+        }
+      } else if (route.reminder_recipients) {
+        recipients.push({ type: 'recipient', id: route.reminder_recipients.line_id, name: route.reminder_recipients.name });
+      }
+    }
+
+    // The same account may be matched by several routes
+    const unique = recipients.filter((recipient, index) => recipients.findIndex(other => other.id === recipient.id) === index);
+    return { recipients: unique, errors };
+  }
+
+  // Recipients before any routes are configured: the interview creator, the group and the bishop
+  static getDefaultRecipients(interview) {
+    const recipients = [];
+    const errors = [];
+
+    if (interview.user_id && this.isValidLineUserId(interview.user_id)) {
+      recipients.push({ type: 'user', id: interview.user_id });
+    } else if (interview.user_id) {
+      console.warn(`⚠️ Skipping user ${interview.user_id} - not a valid LINE user ID format`);
+      errors.push(`User ${interview.user_id}: Invalid LINE user ID format`);
+    }
+
+    const groupId = process.env.GROUP_ID;
+    if (groupId && this.isValidLineGroupId(groupId)) {
+      recipients.push({ type: 'group', id: groupId });
+    } else if (groupId) {
+      console.warn(`⚠️ Skipping group ${groupId} - not a valid LINE group ID format`);
+      errors.push(`Group ${groupId}: Invalid LINE group ID format`);
+    }
+
+    if (BISHOP_LINE_USER_ID && BISHOP_LINE_USER_ID !== interview.user_id && this.isValidLineUserId(BISHOP_LINE_USER_ID)) {
+      recipients.push({ type: 'bishop', id: BISHOP_LINE_USER_ID });
+    } else if (BISHOP_LINE_USER_ID && !this.isValidLineUserId(BISHOP_LINE_USER_ID)) {
+      console.warn(`⚠️ Skipping bishop ${BISHOP_LINE_USER_ID} - not a valid LINE user ID format`);
+      errors.push(`Bishop ${BISHOP_LINE_USER_ID}: Invalid LINE user ID format`);
+    }
+
+    return { recipients, errors };
+  }
+
+  // Push a claimed delivery with its stable retry key and record the outcome
+  static async deliver(delivery, messages) {
     try {
-      const date = moment.tz(interview.interview_date, 'Asia/Taipei').format('YYYY-MM-DD');
-      const time = interview.interview_time ? interview.interview_time.substring(0, 5) : interview.interview_time;
-      const hoursText = reminderType === '24h' ? '24小時' : '3小時';
+      try {
+        await pushWithFallback(delivery.recipient_id, messages.flexMessage, messages.message, delivery.retry_key);
+      } catch (error) {
+        // 409 - LINE already accepted this delivery in an earlier attempt
+        if (error.statusCode !== 409) throw error;
+        console.log(`ℹ️ LINE already accepted delivery ${delivery.retry_key} for ${delivery.recipient_id}`);
+      }
+
+      await DeliveryManager.completeDelivery(delivery, { success: true });
+      console.log(`📨 Sent reminder to ${delivery.recipient_type} ${delivery.recipient_id} for interview ${delivery.interview_id}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`❌ Failed to send reminder to ${delivery.recipient_type} ${delivery.recipient_id}:`, error);
       
-      const message = '🔔 面談提醒通知\n\n您有一個面談即將在' + hoursText + '後舉行：\n\n👤 面談對象：' + interview.interviewee_name + '\n👨‍💼 面談者：' + (interview.interviewer_name || '未指定') + '\n📅 日期：' + date + '\n⏰ 時間：' + time + '\n📝 理由：' + (interview.reason || '無') + '\n\n請做好準備！';
+      // Log detailed LINE API error information
+      if (error.originalError && error.originalError.response) {
+        console.error('LINE API error details:', error.originalError.response.data);
+        console.error('LINE API status:', error.originalError.response.status);
+        console.error('LINE API headers:', error.originalError.response.headers);
+      }
+
+      const completed = await DeliveryManager.completeDelivery(delivery, {
+        success: false,
+        errorCode: error.statusCode || null,
+        error: error.message
+      });
+      const gaveUp = completed.success && completed.data && completed.data.status === 'gave_up';
+      return { success: false, gaveUp, error: `${delivery.recipient_type} ${delivery.recipient_id}: ${error.message}${gaveUp ? ' (gave up)' : ''}` };
+    }
+  }
+
+  // Send a claimed reminder (see InterviewManager.claimReminder) to every recipient that hasn't got it yet
+  static async sendReminderMessage(interview, offsetMinutes, late, reminderLog) {
+    try {
+      const messages = this.buildReminderMessages(interview, offsetMinutes, late);
+      const { recipients, errors } = await this.getRecipients(interview, offsetMinutes);
+
+      // Routes may leave a reminder without recipients on purpose (e.g. 15m only to the interviewer)
+      if (recipients.length === 0) {
+        return errors.length > 0
+          ? { success: false, error: 'No valid recipients', errors }
+          : { success: true, sentCount: 0 };
+      }
+
+      const deliveries = await DeliveryManager.createDeliveries(reminderLog, recipients);
+      if (!deliveries.success) {
+        return { success: false, error: deliveries.error };
+      }
 
       let sentCount = 0;
-      const errors = [];
+      let failedCount = 0;
 
-      // Send to user ID (interview creator) - but only if it's a valid LINE user ID
-      if (interview.user_id && this.isValidLineUserId(interview.user_id)) {
-        try {
-          console.log(`🔍 Attempting to send ${reminderType} reminder to user: ${interview.user_id}`);
-          console.log(`🔍 Interview details: ID=${interview.id}, Name=${interview.interviewee_name}, Date=${interview.interview_date}, Time=${interview.interview_time}`);
-          console.log(`🔍 Message content: ${message}`);
-          
-          await client.pushMessage(interview.user_id, {
-            type: 'text',
-            text: message
-          });
-          sentCount++;
-          console.log(`📨 Successfully sent ${reminderType} reminder to user ${interview.user_id} for interview ${interview.id}`);
-        } catch (error) {
-          console.error(`❌ Failed to send reminder to user ${interview.user_id}:`, error);
-          
-          // Log detailed LINE API error information
-          if (error.originalError && error.originalError.response) {
-            console.error('LINE API error details:', error.originalError.response.data);
-            console.error('LINE API status:', error.originalError.response.status);
-            console.error('LINE API headers:', error.originalError.response.headers);
-          }
-          
-          errors.push(`User ${interview.user_id}: ${error.message}`);
+      for (const delivery of deliveries.data) {
+        const claim = await DeliveryManager.claimDelivery(delivery.id);
+        if (!claim.success) {
+          failedCount++;
+          errors.push(`${delivery.recipient_type} ${delivery.recipient_id}: ${claim.error}`);
+          continue;
         }
-      } else if (interview.user_id) {
-        console.warn(`⚠️ Skipping user ${interview.user_id} - not a valid LINE user ID format`);
-        errors.push(`User ${interview.user_id}: Invalid LINE user ID format`);
-      }
 
-      // Send to group ID (if available and valid)
-      const groupId = process.env.GROUP_ID;
-      if (groupId && this.isValidLineGroupId(groupId)) {
-        try {
-          console.log('Pushing to group:', groupId);
-          await client.pushMessage(groupId, {
-            type: 'text',
-            text: message
-          });
-          sentCount++;
-          console.log(`📨 Sent ${reminderType} reminder to group ${groupId} for interview ${interview.id}`);
-        } catch (error) {
-          console.error(`❌ Failed to send reminder to group ${groupId}:`, error);
-          
-          // Log detailed LINE API error information
-          if (error.originalError && error.originalError.response) {
-            console.error('LINE API error details:', error.originalError.response.data);
-            console.error('LINE API status:', error.originalError.response.status);
-            console.error('LINE API headers:', error.originalError.response.headers);
-          }
-          
-          errors.push(`Group ${groupId}: ${error.message}`);
+        // Already delivered, given up or waiting for its retry time
+        if (!claim.data) {
+          if (delivery.status === 'sent') sentCount++;
+          continue;
         }
-      } else if (groupId) {
-        console.warn(`⚠️ Skipping group ${groupId} - not a valid LINE group ID format`);
-        errors.push(`Group ${groupId}: Invalid LINE group ID format`);
-      }
 
-      // Send to bishop if configured and valid
-      if (BISHOP_LINE_USER_ID && BISHOP_LINE_USER_ID !== interview.user_id && this.isValidLineUserId(BISHOP_LINE_USER_ID)) {
-        try {
-          console.log('Pushing to bishop:', BISHOP_LINE_USER_ID);
-          await client.pushMessage(BISHOP_LINE_USER_ID, {
-            type: 'text',
-            text: message
-          });
+        const result = await this.deliver(claim.data, messages);
+        if (result.success) {
           sentCount++;
-          console.log(`📨 Sent ${reminderType} reminder to bishop ${BISHOP_LINE_USER_ID} for interview ${interview.id}`);
-        } catch (error) {
-          console.error(`❌ Failed to send reminder to bishop ${BISHOP_LINE_USER_ID}:`, error);
-          
-          // Log detailed LINE API error information
-          if (error.originalError && error.originalError.response) {
-            console.error('LINE API error details:', error.originalError.response.data);
-            console.error('LINE API status:', error.originalError.response.status);
-            console.error('LINE API headers:', error.originalError.response.headers);
-          }
-          
-          errors.push(`Bishop ${BISHOP_LINE_USER_ID}: ${error.message}`);
+        } else {
+          failedCount++;
+          errors.push(result.error);
         }
-      } else if (BISHOP_LINE_USER_ID && !this.isValidLineUserId(BISHOP_LINE_USER_ID)) {
-        console.warn(`⚠️ Skipping bishop ${BISHOP_LINE_USER_ID} - not a valid LINE user ID format`);
-        errors.push(`Bishop ${BISHOP_LINE_USER_ID}: Invalid LINE user ID format`);
       }
 
       return { 
-        success: sentCount > 0, 
+        success: sentCount > 0,
         sentCount,
+        failedCount,
         errors: errors.length > 0 ? errors : undefined
       };
     } catch (error) {
@@ -700,6 +7599,144 @@ class ReminderManager {
     }
   }
 
+  // Retry failed deliveries whose backoff has passed - once the interview has started they are given up
+  static async retryFailedDeliveries() {
+    const result = await DeliveryManager.getRetryableDeliveries();
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    let retried = 0;
+    let sentCount = 0;
+    const errors = [];
+    const now = moment.tz('Asia/Taipei');
+
+    for (const delivery of result.data) {
+      const interview = delivery.interviews;
+      if (!interview || !ScheduleHelper.getTimeRange(interview).start.isAfter(now)) {
+        await DeliveryManager.giveUpDelivery(delivery, 'Interview already started');
+        continue;
+      }
+      if (interview.deleted_at || interview.status !== 'scheduled') {
+        await DeliveryManager.giveUpDelivery(delivery, interview.deleted_at ? 'Interview deleted' : 'Interview ' + interview.status);
+        continue;
+      }
+
+      const claim = await DeliveryManager.claimDelivery(delivery.id);
+      if (!claim.success || !claim.data) continue;
+
+      retried++;
+      console.log(`🔁 Retrying ${ReminderSchedule.formatOffset(delivery.offset_minutes)} reminder for interview ${interview.id} to ${delivery.recipient_type} (attempt ${claim.data.attempts + 1})`);
+      const deliverResult = await this.deliver(claim.data, this.buildReminderMessages(interview, delivery.offset_minutes, true));
+      if (deliverResult.success) {
+        sentCount++;
+      } else {
+        errors.push(deliverResult.error);
+      }
+    }
+
+    return { success: true, retried, sentCount, errors };
+  }
+
+  // Tell the reminder recipients of moved interviews about the new time - everyone their reminders
+  // are routed to, and anyone who already got a reminder for the old slot. previous holds the rows
+  // before the move; several occurrences of a series are announced in one message
+  static async notifyRescheduled(interviews, previous, reminderLogs) {
+    if (interviews.length === 0) return 0;
+
+    const recipientIds = new Set();
+    for (const log of reminderLogs) {
+      for (const delivery of log.reminder_deliveries || []) {
+        if (delivery.status === 'sent') recipientIds.add(delivery.recipient_id);
+      }
+    }
+
+    // Routes only depend on the interviewer, the reason and the reminder offsets
+    const checked = new Set();
+    for (const interview of interviews) {
+      const offsets = ReminderSchedule.getOffsets(interview);
+      const key = JSON.stringify([interview.interviewer_name, interview.reason, offsets]);
+      if (checked.has(key)) continue;
+      checked.add(key);
+
+      for (const offsetMinutes of offsets) {
+        const { recipients } = await this.getRecipients(interview, offsetMinutes);
+        recipients.forEach(recipient => recipientIds.add(recipient.id));
+      }
+    }
+
+    const interview = interviews[0];
+    const before = previous.find(entry => entry.id === interview.id) || interview;
+    const message = {
+      type: 'text',
+      text: (interviews.length === 1 ? '🔄 面談時間已變更' : '🔄 系列面談時間已變更') +
+        '\n\n面談對象: ' + interview.interviewee_name + '\n面談者: ' + (interview.interviewer_name || '未指定') +
+        (interviews.length === 1
+          ? '\n原時間: ' + DateTimeParser.formatDate(before.interview_date) + ' ' + before.interview_time.substring(0, 5) +
+            '\n新時間: ' + DateTimeParser.formatDate(interview.interview_date) + ' ' + interview.interview_time.substring(0, 5)
+          : '\n原時間: ' + before.interview_time.substring(0, 5) + '\n新時間: ' + interview.interview_time.substring(0, 5) +
+            '\n日期: ' + DateTimeParser.formatDate(interview.interview_date) + ' 起共 ' + interviews.length + ' 次') +
+        '\n理由: ' + (interview.reason || '無')
+    };
+
+    let notified = 0;
+    for (const recipientId of recipientIds) {
+      try {
+        await client.pushMessage(recipientId, message);
+        notified++;
+      } catch (error) {
+        console.error(`Error notifying ${recipientId} about rescheduled interview ${interview.id}:`, error.message);
+      }
+    }
+    return notified;
+  }
+
+  // Push an outcome prompt for every interview that ended - to the registered interviewer,
+  // otherwise to the conversation the interview belongs to
+  static async promptOutcomes() {
+    const result = await InterviewManager.getInterviewsAwaitingOutcome();
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+
+    let prompted = 0;
+    const errors = [];
+    const profilesByScope = {};
+
+    for (const interview of result.data) {
+      const claim = await InterviewManager.claimOutcomePrompt(interview.id);
+      if (!claim.success || !claim.data) continue;
+
+      if (!profilesByScope[interview.scope_id]) {
+        const profiles = await ProfileManager.getProfiles(interview.scope_id);
+        profilesByScope[interview.scope_id] = profiles.success ? profiles.data : [];
+      }
+      const profile = ProfileManager.findProfile(profilesByScope[interview.scope_id], interview.interviewer_name);
+      const to = profile && profile.line_user_id ? profile.line_user_id : interview.scope_id;
+
+      const time = interview.interview_time.substring(0, 5);
+      const bubble = FlexMessageBuilder.buildInterviewBubble(interview, {
+        title: '📝 請記錄面談結果：' + interview.interview_date + ' ' + time,
+        outcomeActions: true
+      });
+      const fallbackText = '📝 請記錄面談結果\n\nID: ' + interview.id + '\n面談對象: ' + interview.interviewee_name + '\n日期: ' + interview.interview_date + ' ' + time + '\n理由: ' + (interview.reason || '無') +
+        '\n\n請輸入：結果 ' + interview.id + ' {完成|未出席|取消|改期} [追蹤備註]';
+
+      try {
+        await pushWithFallback(to, { type: 'flex', altText: '請記錄面談結果：' + interview.interviewee_name, contents: bubble }, fallbackText);
+        prompted++;
+      } catch (error) {
+        // Errors that would fail again keep the claim so the prompt isn't retried every run
+        if (!ReminderSchedule.isPermanentError(error.statusCode)) {
+          await InterviewManager.releaseOutcomePrompt(interview.id);
+        }
+        errors.push(`Outcome prompt for interview ${interview.id}: ${error.message}`);
+      }
+    }
+
+    return { success: true, prompted, errors };
+  }
+
   // Process reminders
   static async processReminders() {
     try {
@@ -712,55 +7749,92 @@ class ReminderManager {
         return { success: false, error: result.error };
       }
 
-      const { interviews24h, interviews3h } = result.data;
+      const { reminders, dropped } = result.data;
       let totalSent = 0;
       let errors = [];
 
-      console.log(`📋 Found ${interviews24h.length} interviews needing 24h reminders`);
-      console.log(`📋 Found ${interviews3h.length} interviews needing 3h reminders`);
+      console.log(`📋 Found ${reminders.length} reminders to send`);
+
+      // Stale catch-ups are logged as skipped so they are never sent
+      for (const { interview, offsetMinutes } of dropped) {
+        await InterviewManager.markReminderSent(interview.id, offsetMinutes, 'skipped');
+        console.log(`⏭️ Dropped stale ${ReminderSchedule.formatOffset(offsetMinutes)} reminder for interview ${interview.id}`);
+      }
 
-      // Process 24-hour reminders
-      for (const interview of interviews24h) {
+      for (const { interview, offsetMinutes, late } of reminders) {
+        const reminderType = ReminderSchedule.formatOffset(offsetMinutes);
         try {
-          console.log(`🔄 Processing 24h reminder for interview ${interview.id}: ${interview.interviewee_name} on ${interview.interview_date} at ${interview.interview_time}`);
-          const reminderResult = await this.sendReminderMessage(interview, '24h');
+          // Claim before sending so overlapping runs never deliver the same reminder twice
+          const claim = await InterviewManager.claimReminder(interview.id, offsetMinutes);
+          if (!claim.success) {
+            errors.push(`${reminderType} reminder for interview ${interview.id}: ${claim.error}`);
+            continue;
+          }
+          if (!claim.data) {
+            console.log(`🔒 ${reminderType} reminder for interview ${interview.id} was already claimed by another run`);
+            continue;
+          }
+
+          console.log(`🔄 Processing ${reminderType}${late ? ' (late)' : ''} reminder for interview ${interview.id}: ${interview.interviewee_name} on ${interview.interview_date} at ${interview.interview_time}`);
+          const reminderResult = await this.sendReminderMessage(interview, offsetMinutes, late, claim.data);
+          totalSent += reminderResult.sentCount || 0;
+          if (reminderResult.errors) {
+            errors.push(...reminderResult.errors);
+          }
+
           if (reminderResult.success) {
-            await InterviewManager.markReminderSent(interview.id, '24h');
-            totalSent += reminderResult.sentCount || 1;
-            console.log(`✅ Sent 24h reminder for interview ${interview.id} to ${reminderResult.sentCount} recipients`);
-            if (reminderResult.errors) {
-              errors.push(...reminderResult.errors);
-            }
+            await InterviewManager.completeReminder(claim.data, 'sent');
+            console.log(`✅ Sent ${reminderType} reminder for interview ${interview.id} to ${reminderResult.sentCount} recipients`);
           } else {
-            console.error(`❌ Failed to send 24h reminder for interview ${interview.id}:`, reminderResult.error);
-            errors.push(`24h reminder for interview ${interview.id}: ${reminderResult.error}`);
+            const reason = reminderResult.error || (reminderResult.errors || []).join('; ');
+            await InterviewManager.completeReminder(claim.data, 'failed', reason);
+            console.error(`❌ Failed to send ${reminderType} reminder for interview ${interview.id}:`, reason);
+            if (reminderResult.error) {
+              errors.push(`${reminderType} reminder for interview ${interview.id}: ${reminderResult.error}`);
+            }
           }
         } catch (error) {
-          console.error(`❌ Error processing 24h reminder for interview ${interview.id}:`, error);
-          errors.push(`24h reminder for interview ${interview.id}: ${error.message}`);
+          console.error(`❌ Error processing ${reminderType} reminder for interview ${interview.id}:`, error);
+          errors.push(`${reminderType} reminder for interview ${interview.id}: ${error.message}`);
         }
       }
 
-      // Process 3-hour reminders
-      for (const interview of interviews3h) {
-        try {
-          console.log(`🔄 Processing 3h reminder for interview ${interview.id}: ${interview.interviewee_name} on ${interview.interview_date} at ${interview.interview_time}`);
-          const reminderResult = await this.sendReminderMessage(interview, '3h');
-          if (reminderResult.success) {
-            await InterviewManager.markReminderSent(interview.id, '3h');
-            totalSent += reminderResult.sentCount || 1;
-            console.log(`✅ Sent 3h reminder for interview ${interview.id} to ${reminderResult.sentCount} recipients`);
-            if (reminderResult.errors) {
-              errors.push(...reminderResult.errors);
-            }
-          } else {
-            console.error(`❌ Failed to send 3h reminder for interview ${interview.id}:`, reminderResult.error);
-            errors.push(`3h reminder for interview ${interview.id}: ${reminderResult.error}`);
-          }
-        } catch (error) {
-          console.error(`❌ Error processing 3h reminder for interview ${interview.id}:`, error);
-          errors.push(`3h reminder for interview ${interview.id}: ${error.message}`);
+      // Then give earlier failures another try
+      const retryResult = await this.retryFailedDeliveries();
+      if (retryResult.success) {
+        totalSent += retryResult.sentCount;
+        errors.push(...retryResult.errors);
+        if (retryResult.retried > 0) {
+          console.log(`🔁 Retried ${retryResult.retried} deliveries, ${retryResult.sentCount} succeeded`);
+        }
+      } else {
+        errors.push(`Retrying failed deliveries: ${retryResult.error}`);
+      }
+
+      // Finally ask interviewers how the interviews that just ended went
+      const promptResult = await this.promptOutcomes();
+      if (promptResult.success) {
+        errors.push(...promptResult.errors);
+        if (promptResult.prompted > 0) {
+          console.log(`📝 Asked for the outcome of ${promptResult.prompted} interviews`);
         }
+      } else {
+        errors.push(`Prompting outcomes: ${promptResult.error}`);
+      }
+
+      // Agenda digests whose delivery time has come
+      const digestResult = await DigestManager.processDigests();
+      errors.push(...digestResult.errors);
+      if (digestResult.sent > 0) {
+        console.log(`🗓️ Sent ${digestResult.sent} agenda digests`);
+      }
+
+      // Housekeeping - deleted interviews past the retention period are removed for good
+      const purgeResult = await InterviewManager.purgeDeletedInterviews();
+      if (purgeResult.success && purgeResult.data > 0) {
+        console.log(`🧹 Purged ${purgeResult.data} interviews deleted more than ${DELETED_RETENTION_DAYS} days ago`);
+      } else if (!purgeResult.success) {
+        errors.push(`Purging deleted interviews: ${purgeResult.error}`);
       }
 
       if (totalSent > 0) {
@@ -772,6 +7846,10 @@ class ReminderManager {
       return {
         success: true,
         totalSent,
+        retried: retryResult.retried || 0,
+        prompted: promptResult.prompted || 0,
+        digests: digestResult.sent,
+        purged: purgeResult.data || 0,
         errors: errors.length > 0 ? errors : undefined
       };
     } catch (error) {
@@ -807,22 +7885,21 @@ app.post('/callback', line.middleware(lineConfig), async (req, res) => {
         if (userMessage === '呼叫面談助理') {
           const instructionMenu = {
             type: 'text',
-            text: '主教團助理使用說明：\n\n📝 加入面談：\n加入 {面談對象} {面談者} {日期} {時間} {理由}\n例如：加入 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談\n\n📋 查看清單：\n面談清單\n\n✏️ 更新面談：\n更新 {ID} {欄位} {新值}\n例如：更新 1 面談對像 彼得\n可用欄位：面談對象、面談者、日期、時間、理由\n\n🗑️ 刪除面談：\n刪除 {ID}\n例如：刪除 1\n\n📋 查看提醒狀態：\n提醒狀態\n\n💡 注意事項：\n- 日期格式：YYYY-MM-DD\n- 時間格式：HH:mm\n- ID 可在面談清單中查看\n- 系統會自動發送24小時和3小時前的提醒通知'
+            text: '主教團助理使用說明：\n\n📝 加入面談：\n加入 {面談對象} {面談者} {日期} {時間} {理由}\n例如：加入 約翰 陳佑庭 2024-01-15 14:30 聖殿推薦書面談\n\n🔁 加入重複系列面談：\n加入系列 {面談對象} {面談者} {日期} {時間} {重複規則} {結束} {理由}\n例如：加入系列 約翰 陳佑庭 2024-01-07 10:00 每2週 共6次 進度面談\n重複規則：每週、每2週、每月、每月第1個週日、每月最後一個週日\n結束：至{日期} 或 共{N}次\n\n🧭 引導式新增面談：\n新增面談\n\n📋 查看清單：\n面談清單（即將進行的面談）\n面談清單 本週|下週|{日期}\n面談清單 面談者 {姓名}\n面談清單 理由 {關鍵字}\n面談清單 已過期|全部\n下一頁\n\n📝 記錄面談結果：\n結果 {ID} {完成|未出席|取消|改期} [追蹤備註]\n例如：結果 5 完成 下個月再追蹤\n結果 {ID}（查看結果，追蹤備註只在私訊中顯示）\n\n✏️ 更新面談：\n更新 {ID} {欄位} {新值}\n例如：更新 1 面談對像 彼得\n可用欄位：面談對象、面談者、日期、時間、理由、提醒、時長\n\n🔄 改期（保留原時間紀錄並重新安排提醒）：\n改期 {ID} {日期} {時間}\n例如：改期 1 下週日 14:30\n\n🗑️ 刪除面談：\n刪除 {ID}（確認後刪除，可用「復原」還原）\n例如：刪除 1\n\n🔁 系列面談的更新或刪除可在最後加上範圍：僅此次、此次及之後、整個系列\n例如：更新 5 時間 10:30 此次及之後\n\n🧾 操作紀錄與復原（復原需主教或執行秘書）：\n操作紀錄\n復原 {編號}\n\n📋 查看提醒狀態：\n提醒狀態\n送達狀態 {ID}（各收件人的送達情形）\n\n🗓️ 可面談時間與空檔：\n可面談時間 {面談者} {星期} {開始}-{結束}\n例如：可面談時間 陳佑庭 週日 09:00-12:00\n移除可面談時間 {面談者} {星期}\n不可面談 {面談者} {日期} [備註]\n移除不可面談 {面談者} {日期}\n空檔 {面談者} {日期} [時長]\n預約 {編號} {面談對象} {理由}\n\n👥 角色管理（主教、執行秘書）：\n授權 {LINE用戶ID 或 @提及} {角色}\n撤銷 {LINE用戶ID 或 @提及}\n角色清單\n可用角色：主教、諮理、執行秘書、書記、唯讀\n\n👨‍💼 面談者：\n註冊 {名字}（綁定自己的 LINE 帳號，群組中需主教或執行秘書核准）\n取消註冊\n核准註冊 {名字}｜拒絕註冊 {名字}\n建立面談者 {名字}\n別名 {名字} {別名}\n移除別名 {名字} {別名}\n面談者清單\n\n🔑 API 金鑰（主教、執行秘書）：\nAPI金鑰 {名稱} [唯讀]\nAPI金鑰清單\n停用API金鑰 {編號}\n\n📖 成員與面談紀錄：\n成員 {姓名}\n成員 {姓名} 電話|家庭|備註 {內容}\n面談紀錄 {姓名}\n\n📅 行事曆訂閱（連結會私訊給您）：\n行事曆 [面談者]\n行事曆清單\n停用行事曆 {編號}\n\n📇 提醒收件人與路由（主教、執行秘書）：\n收件人 {名稱} {LINE ID、@提及 或 本群組}\n移除收件人 {名稱}\n提醒路由 {收件人名稱 或 面談者} {理由關鍵字 或 全部} {提醒 或 全部}\n例如：提醒路由 主教團群組 全部 24h\n移除提醒路由 {編號}\n摘要 {收件人名稱} {每日|每週|全部|關閉}（面談摘要只發送給訂閱的收件人，本對話可先用「收件人 {名稱} 本群組」加入）\n收件人清單\n\n💡 注意事項：\n- 日期格式：YYYY-MM-DD、1/21、1月21日、明天、下週日\n- 時間格式：14:30、14點、下午2點半、2:30pm\n- ID 可在面談清單中查看\n- 系統會自動發送面談前的提醒通知（預設24小時和3小時前）\n- 可用「更新 {ID} 提醒 1d,1h,15m」為單一面談設定提醒時間\n- 同一面談者時間重疊時會提示衝突，在指令最後加上「強制」可仍然安排\n- 面談對象與既有成員名字相近時會先確認，在理由後加上「新成員」可直接新增'
           };
           return client.replyMessage(event.replyToken, instructionMenu);
         }
 
-        // Handle CRUD commands
-        if (userMessage === '面談清單' || 
-            userMessage.startsWith('加入') || 
-            userMessage.startsWith('更新') || 
-            userMessage.startsWith('刪除') || 
-            userMessage === '提醒狀態') {
+        // Handle every command that needs a permission check
+        if (getCommandAction(userMessage)) {
           return handleMessage(event);
         }
 
-        // If the message is not recognized, do nothing
-        return Promise.resolve(null);
+        // Otherwise it may be an answer for a guided flow (新增面談); if not, do nothing
+        return handleSessionInput(event);
+      } else if (event.type === 'postback') {
+        // Buttons on interview cards
+        return handlePostback(event);
       } else if (event.type === 'follow') {
         // Greet new user
         return client.replyMessage(event.replyToken, {
@@ -849,8 +7926,11 @@ app.post('/callback', line.middleware(lineConfig), async (req, res) => {
 });
 
 // Health check endpoint
-app.get('/', (req, res) => {
-  res.json({ status: 'LINE Interview Bot is running!' });
+app.get('/', async (req, res) => {
+  res.json({
+    status: 'LINE Interview Bot is running!',
+    scheduler: await ReminderScheduler.getStatus()
+  });
 });
 
 // Debug endpoint to check interviews and reminder status
@@ -862,7 +7942,7 @@ app.get('/debug-reminders', async (req, res) => {
       return res.status(500).json({ error: result.error });
     }
 
-    const { interviews24h, interviews3h } = result.data;
+    const { reminders, dropped } = result.data;
     const now = moment.tz('Asia/Taipei');
     
     // Get all interviews for debugging
@@ -872,27 +7952,20 @@ app.get('/debug-reminders', async (req, res) => {
       success: true,
       currentTime: now.format('YYYY-MM-DD HH:mm:ss'),
       timezone: 'Asia/Taipei',
-      interviewsNeeding24hReminders: interviews24h.length,
-      interviewsNeeding3hReminders: interviews3h.length,
-      interviews24h: interviews24h.map(i => ({
-        id: i.id,
-        name: i.interviewee_name,
-        date: i.interview_date,
-        time: i.interview_time,
-        user_id: i.user_id,
-        user_id_valid: ReminderManager.isValidLineUserId(i.user_id),
-        reminder_24h_sent: i.reminder_24h_sent,
-        reminder_3h_sent: i.reminder_3h_sent
-      })),
-      interviews3h: interviews3h.map(i => ({
+      reminderOffsets: ReminderSchedule.getDefaultOffsets().map(offset => ReminderSchedule.formatOffset(offset)),
+      catchUpPolicy: REMINDER_CATCHUP_POLICY,
+      remindersDue: reminders.length,
+      remindersDropped: dropped.length,
+      reminders: reminders.map(({ interview: i, offsetMinutes, late }) => ({
         id: i.id,
         name: i.interviewee_name,
         date: i.interview_date,
         time: i.interview_time,
+        offset: ReminderSchedule.formatOffset(offsetMinutes),
+        late,
         user_id: i.user_id,
         user_id_valid: ReminderManager.isValidLineUserId(i.user_id),
-        reminder_24h_sent: i.reminder_24h_sent,
-        reminder_3h_sent: i.reminder_3h_sent
+        reminder_logs: i.reminder_logs
       })),
       totalInterviewsInDB: allInterviewsResult.success ? allInterviewsResult.data.length : 'Error fetching',
       bishopConfig: {
@@ -919,6 +7992,7 @@ app.post('/create-test-interview', async (req, res) => {
     const testTime = now.clone().add(3, 'hours');
     
     const result = await InterviewManager.addInterview(
+      'test-user-123', // Test scope ID
       'test-user-123', // Test user ID
       'Test Person',
       'Test Interviewer',
@@ -958,13 +8032,24 @@ app.all('/trigger-reminders', async (req, res) => {
     }
 
     console.log('🕐 Processing reminders via serverless endpoint...');
-    const result = await ReminderManager.processReminders();
+    const result = await ReminderScheduler.runOnce('endpoint');
     
-    if (result.success) {
+    if (result.success && result.skipped) {
+      res.json({
+        success: true,
+        skipped: true,
+        message: 'Another reminder run is in progress',
+        timestamp: new Date().toISOString()
+      });
+    } else if (result.success) {
       res.json({ 
         success: true, 
         message: 'Reminders processed successfully',
         totalSent: result.totalSent,
+        retried: result.retried,
+        prompted: result.prompted,
+        digests: result.digests,
+        purged: result.purged,
         errors: result.errors,
         timestamp: new Date().toISOString()
       });
@@ -981,6 +8066,648 @@ app.all('/trigger-reminders', async (req, res) => {
   }
 });
 
+// Send an agenda digest right away, regardless of DIGEST_DAILY_TIME / DIGEST_WEEKLY_TIME
+// (?type=daily|weekly) - still at most once per recipient and date
+app.all('/trigger-digests', async (req, res) => {
+  try {
+    const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+    const expectedApiKey = process.env.CRON_API_KEY;
+
+    if (expectedApiKey && apiKey !== expectedApiKey) {
+      console.warn('⚠️ Invalid API key provided for digest trigger');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const kind = req.query.type;
+    if (kind !== 'daily' && kind !== 'weekly') {
+      return res.status(400).json({ error: 'type must be daily or weekly' });
+    }
+
+    const date = DigestManager.getTargetDate(kind);
+    console.log(`🗓️ Sending ${kind} digests for ${date} via endpoint...`);
+    const result = await DigestManager.sendDigests(kind, date);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        type: kind,
+        date: date,
+        sent: result.sent,
+        errors: result.errors.length > 0 ? result.errors : undefined,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error triggering digests:', error);
+    res.status(500).json({ error: 'Failed to send digests' });
+  }
+});
+
+// iCalendar feed for calendar apps - the secret token in the URL is the authentication, and
+// feeds stop working once the token is revoked or its owner loses their role
+app.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarManager.findToken(req.params.token);
+    if (!feed.success) {
+      return res.status(500).json({ error: 'Failed to load calendar' });
+    }
+
+    const role = feed.data ? await RoleManager.getRole(feed.data.line_user_id) : null;
+    if (!feed.data || !role.success || !RoleManager.hasPermission(role.data, 'view')) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const result = await InterviewManager.getCalendarInterviews(feed.data.scope_id, feed.data.interviewer_name);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to load calendar' });
+    }
+
+    const calendarName = '面談行事曆' + (feed.data.interviewer_name ? ' - ' + feed.data.interviewer_name : '');
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(CalendarManager.buildCalendar(result.data, calendarName));
+  } catch (error) {
+    console.error('Error serving calendar:', error);
+    res.status(500).json({ error: 'Failed to load calendar' });
+  }
+});
+
+// Versioned REST API - /api/v1, described in openapi.json. Every request needs an API金鑰 key
+// (Authorization: Bearer {key} or x-api-key) and only sees the conversation the key belongs to
+const apiRouter = express.Router();
+apiRouter.use(express.json({ limit: '100kb' }));
+
+// Fields PATCH /api/v1/interviews/{id} accepts
+const API_UPDATE_FIELDS = ['interviewee_name', 'interviewer_name', 'date', 'time', 'reason', 'duration_minutes', 'force'];
+const API_MAX_PAGE_SIZE = 100;
+
+// Resolve the key, then check the action against the key and the role of whoever created it
+function apiAuth(action) {
+  return async (req, res, next) => {
+    try {
+      const authorization = req.headers.authorization || '';
+      const key = authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : req.headers['x-api-key'];
+      if (!key) {
+        return res.status(401).json({ error: 'Missing API key' });
+      }
+
+      const found = await ApiKeyManager.findKey(key);
+      if (!found.success) {
+        return res.status(500).json({ error: 'Failed to check API key' });
+      }
+      if (!found.data) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      const role = await RoleManager.getRole(found.data.created_by);
+      if (!role.success) {
+        return res.status(500).json({ error: 'Failed to check API key' });
+      }
+      if ((found.data.read_only && action !== 'view') || !RoleManager.hasPermission(role.data, action)) {
+        return res.status(403).json({ error: 'This API key may not ' + action + ' interviews' });
+      }
+
+      req.apiKey = found.data;
+      req.scopeId = found.data.scope_id;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+function toApiInterview(interview) {
+  return {
+    id: interview.id,
+    interviewee_name: interview.interviewee_name,
+    interviewer_name: interview.interviewer_name,
+    date: interview.interview_date,
+    time: interview.interview_time.substring(0, 5),
+    duration_minutes: interview.duration_minutes || ScheduleHelper.getDefaultDuration(interview.reason),
+    reason: interview.reason,
+    status: interview.status,
+    series_id: interview.series_id || null,
+    member_id: interview.member_id || null,
+    reminder_offsets: ReminderSchedule.getOffsets(interview),
+    created_at: interview.created_at,
+    updated_at: interview.updated_at
+  };
+}
+
+function getApiActor(req) {
+  return { userId: req.apiKey.created_by, source: 'api' };
+}
+
+// The :id parameter, or null after answering 400
+function getApiInterviewId(req, res) {
+  const id = parseInt(req.params.id);
+  if (!(id > 0) || String(id) !== req.params.id) {
+    res.status(400).json({ error: 'Invalid interview ID' });
+    return null;
+  }
+  return id;
+}
+
+// Interviews of the same interviewer that overlap a candidate, as in getConflictReply
+async function getApiConflicts(scopeId, candidate, excludeId = null) {
+  if (!candidate.interviewer_name) return { success: true, data: [] };
+  const schedule = await InterviewManager.getInterviewerSchedule(scopeId, candidate.interviewer_name, candidate.interview_date, excludeId);
+  if (!schedule.success) return schedule;
+  return { success: true, data: ScheduleHelper.findOverlaps(candidate, schedule.data) };
+}
+
+function apiText(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+apiRouter.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+apiRouter.get('/interviews', apiAuth('view'), async (req, res, next) => {
+  try {
+    const { from, to, interviewer, reason, status, upcoming } = req.query;
+    const page = req.query.page !== undefined ? parseInt(req.query.page) : 1;
+    const pageSize = req.query.page_size !== undefined ? parseInt(req.query.page_size) : 50;
+
+    if ((from && !InputValidator.validateDate(from)) || (to && !InputValidator.validateDate(to))) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    if (status && !interviewStatusNames[status]) {
+      return res.status(400).json({ error: 'status must be one of ' + Object.keys(interviewStatusNames).join(', ') });
+    }
+    if (!(page >= 1) || !(pageSize >= 1 && pageSize <= API_MAX_PAGE_SIZE)) {
+      return res.status(400).json({ error: 'page must be 1 or more and page_size between 1 and ' + API_MAX_PAGE_SIZE });
+    }
+
+    const filters = {
+      all: upcoming !== 'true',
+      status: status || null,
+      fromDate: from || null,
+      toDate: to || null,
+      interviewer: interviewer ? (await resolveInterviewerName(req.scopeId, interviewer)).name : null,
+      reason: reason || null
+    };
+    const result = await InterviewManager.listInterviews(req.scopeId, filters, page, pageSize);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to list interviews' });
+    }
+
+    res.json({
+      data: result.data.interviews.map(toApiInterview),
+      page: page,
+      page_size: pageSize,
+      total: result.data.total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export the key's interviews as CSV (?from=YYYY-MM-DD&to=YYYY-MM-DD&status=scheduled)
+apiRouter.get('/interviews/export.csv', apiAuth('view'), async (req, res, next) => {
+  try {
+    const { from, to, status } = req.query;
+    if ((from && !InputValidator.validateDate(from)) || (to && !InputValidator.validateDate(to))) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    if (status && !interviewStatusNames[status]) {
+      return res.status(400).json({ error: 'status must be one of ' + Object.keys(interviewStatusNames).join(', ') });
+    }
+
+    const result = await InterviewManager.getInterviewsBetween(req.scopeId, from || null, to || null, status || null);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to export interviews' });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="interviews-' + moment.tz('Asia/Taipei').format('YYYYMMDD') + '.csv"');
+    res.send(InterviewImporter.toCsv(result.data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import interviews from a CSV body (?dryRun=true&force=true) - a dry run, or a file with any
+// invalid row, only reports the result of every row
+apiRouter.post('/interviews/import', apiAuth('add'), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res, next) => {
+  try {
+    const result = await InterviewImporter.run(req.scopeId, req.apiKey.created_by, typeof req.body === 'string' ? req.body : '', {
+      dryRun: req.query.dryRun === 'true',
+      force: req.query.force === 'true'
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    console.log(`📥 CSV import for ${req.scopeId}: ${JSON.stringify(result.data.summary)}${result.data.dryRun ? ' (dry run)' : ''}`);
+    res.status(result.data.summary.errors > 0 ? 422 : 200).json({ success: result.data.summary.errors === 0, ...result.data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+apiRouter.get('/interviews/:id', apiAuth('view'), async (req, res, next) => {
+  try {
+    const id = getApiInterviewId(req, res);
+    if (!id) return;
+
+    const result = await InterviewManager.getInterview(req.scopeId, id);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to get interview' });
+    }
+    if (!result.data) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    res.json({ data: toApiInterview(result.data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Same checks as 加入 - conflicts are refused unless force is true, like 強制
+apiRouter.post('/interviews', apiAuth('add'), async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const parsed = await parseInterviewInput(req.scopeId, {
+      intervieweeName: apiText(body.interviewee_name),
+      interviewerName: apiText(body.interviewer_name),
+      date: apiText(body.date),
+      time: apiText(body.time),
+      reason: apiText(body.reason),
+      duration: apiText(body.duration_minutes)
+    });
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid interview', details: parsed.errors });
+    }
+
+    const interview = parsed.interview;
+    if (body.force !== true) {
+      const conflicts = await getApiConflicts(req.scopeId, interview);
+      if (!conflicts.success) {
+        return res.status(500).json({ error: 'Failed to check conflicts' });
+      }
+      if (conflicts.data.length > 0) {
+        return res.status(409).json({ error: 'The interviewer has overlapping interviews', conflicts: conflicts.data.map(toApiInterview) });
+      }
+    }
+
+    const member = await findOrCreateMember(req.scopeId, interview.interviewee_name);
+    const result = await InterviewManager.addInterview(
+      req.scopeId,
+      req.apiKey.created_by,
+      member ? member.name : interview.interviewee_name,
+      interview.interviewer_name,
+      interview.interview_date,
+      interview.interview_time,
+      interview.reason,
+      interview.duration_minutes,
+      member ? member.id : null,
+      getApiActor(req)
+    );
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to create interview' });
+    }
+
+    res.status(201).json({ data: toApiInterview(result.data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Same checks as 更新 for a single interview - a new date or time is a reschedule, as with 改期
+apiRouter.patch('/interviews/:id', apiAuth('update'), async (req, res, next) => {
+  try {
+    const id = getApiInterviewId(req, res);
+    if (!id) return;
+
+    const body = req.body || {};
+    const unknown = Object.keys(body).filter(field => !API_UPDATE_FIELDS.includes(field));
+    if (unknown.length > 0 || Object.keys(body).filter(field => field !== 'force').length === 0) {
+      return res.status(400).json({ error: 'Send one or more of ' + API_UPDATE_FIELDS.filter(field => field !== 'force').join(', ') + (unknown.length > 0 ? ' (unknown: ' + unknown.join(', ') + ')' : '') });
+    }
+
+    const updates = {};
+    const errors = [];
+    let slot = null;
+
+    if (body.interviewee_name !== undefined) {
+      if (!InputValidator.validateName(apiText(body.interviewee_name))) errors.push('面談對象姓名無效！請輸入有效的姓名。');
+    }
+    if (body.interviewer_name !== undefined) {
+      const interviewer = await resolveInterviewerName(req.scopeId, apiText(body.interviewer_name));
+      if (!InputValidator.validateName(apiText(body.interviewer_name))) {
+        errors.push('面談者姓名無效！請輸入有效的姓名。');
+      } else if (!interviewer.known) {
+        errors.push('找不到面談者「' + apiText(body.interviewer_name) + '」' + (interviewer.suggestions.length > 0 ? '，您是指：' + interviewer.suggestions.join('、') : ''));
+      } else {
+        updates.interviewer_name = interviewer.name;
+      }
+    }
+    if (body.reason !== undefined) {
+      updates.reason = InputValidator.sanitizeString(apiText(body.reason));
+      if (!updates.reason) errors.push('理由不可為空白');
+    }
+    if (body.duration_minutes !== undefined) {
+      updates.duration_minutes = InputValidator.parseDuration(apiText(body.duration_minutes));
+      if (!updates.duration_minutes) errors.push('時長格式錯誤！請輸入 5 到 480 之間的分鐘數，例如：30');
+    }
+    if (body.date !== undefined || body.time !== undefined) {
+      slot = {};
+      if (body.date !== undefined) {
+        const dateResult = DateTimeParser.resolveDate(apiText(body.date));
+        const dateError = DateTimeParser.describeDateError(apiText(body.date), dateResult);
+        if (dateError) {
+          errors.push(dateError);
+        } else {
+          slot.date = dateResult.date;
+        }
+      }
+      if (body.time !== undefined) {
+        const timeResult = DateTimeParser.parseTime(apiText(body.time));
+        if (!timeResult) {
+          errors.push('無法辨識時間「' + apiText(body.time) + '」');
+        } else if (timeResult.options) {
+          errors.push('時間「' + apiText(body.time) + '」不明確，請註明上午或下午');
+        } else {
+          slot.time = timeResult.time;
+        }
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid update', details: errors });
+    }
+
+    const existing = await InterviewManager.getInterview(req.scopeId, id);
+    if (!existing.success) {
+      return res.status(500).json({ error: 'Failed to get interview' });
+    }
+    if (!existing.data) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    const interview = existing.data;
+    const date = slot && slot.date ? slot.date : interview.interview_date;
+    const time = slot && slot.time ? slot.time : interview.interview_time;
+    const moving = interview.interview_date !== date || interview.interview_time.substring(0, 5) !== time.substring(0, 5);
+    if (moving && ['completed', 'no_show'].includes(interview.status)) {
+      return res.status(409).json({ error: 'An interview recorded as ' + interview.status + ' cannot be rescheduled' });
+    }
+
+    const candidate = { ...interview, ...updates, interview_date: date, interview_time: time };
+    if (body.force !== true && (moving || updates.interviewer_name || updates.duration_minutes)) {
+      const conflicts = await getApiConflicts(req.scopeId, candidate, id);
+      if (!conflicts.success) {
+        return res.status(500).json({ error: 'Failed to check conflicts' });
+      }
+      if (conflicts.data.length > 0) {
+        return res.status(409).json({ error: 'The interviewer has overlapping interviews', conflicts: conflicts.data.map(toApiInterview) });
+      }
+    }
+
+    // A new interviewee name links the interview to that member
+    if (body.interviewee_name !== undefined) {
+      const name = InputValidator.sanitizeString(apiText(body.interviewee_name));
+      const member = await findOrCreateMember(req.scopeId, name);
+      updates.interviewee_name = member ? member.name : name;
+      if (member) updates.member_id = member.id;
+    }
+
+    // A new slot and the other fields are saved in one update, as one 操作紀錄 entry
+    let updated = interview;
+    if (moving) {
+      // Who already got a reminder for the old time - read before the reminder logs are cleared
+      const deliveries = await DeliveryManager.getInterviewDeliveries(id);
+      const result = await InterviewManager.rescheduleInterview(req.scopeId, interview, date, time, getApiActor(req), updates);
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to reschedule interview' });
+      }
+      await ReminderManager.notifyRescheduled([result.data], [interview], deliveries.success ? deliveries.data : []);
+      updated = result.data;
+    } else if (Object.keys(updates).length > 0) {
+      const result = await InterviewManager.updateInterview(req.scopeId, id, updates, getApiActor(req));
+      if (!result.success || !result.data) {
+        return res.status(500).json({ error: 'Failed to update interview' });
+      }
+      updated = result.data;
+    }
+
+    res.json({ data: toApiInterview(updated) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Soft delete, as with 刪除 - 復原 in chat brings it back
+apiRouter.delete('/interviews/:id', apiAuth('delete'), async (req, res, next) => {
+  try {
+    const id = getApiInterviewId(req, res);
+    if (!id) return;
+
+    const result = await InterviewManager.deleteInterview(req.scopeId, id, getApiActor(req));
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to delete interview' });
+    }
+    if (!result.data) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Same rules as 結果 - status is a status code or one of the 結果 keywords (完成, 未出席...)
+apiRouter.post('/interviews/:id/outcome', apiAuth('update'), async (req, res, next) => {
+  try {
+    const id = getApiInterviewId(req, res);
+    if (!id) return;
+
+    const body = req.body || {};
+    const status = interviewStatusNames[body.status] ? body.status : outcomeMap[body.status];
+    if (!status) {
+      return res.status(400).json({ error: 'status must be one of ' + Object.keys(interviewStatusNames).join(', ') });
+    }
+    if (body.note !== undefined && typeof body.note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
+    const existing = await InterviewManager.getInterview(req.scopeId, id);
+    if (!existing.success) {
+      return res.status(500).json({ error: 'Failed to get interview' });
+    }
+    if (!existing.data) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    if (['completed', 'no_show'].includes(status) && ScheduleHelper.getTimeRange(existing.data).start.isAfter(moment.tz('Asia/Taipei'))) {
+      return res.status(409).json({ error: 'The interview has not started yet' });
+    }
+
+    const result = await InterviewManager.recordOutcome(req.scopeId, id, status, body.note, getApiActor(req));
+    if (!result.success || !result.data) {
+      return res.status(500).json({ error: 'Failed to record outcome' });
+    }
+
+    res.json({ data: toApiInterview(result.data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reminder schedule of scheduled interviews - one entry per offset, as in 提醒狀態
+apiRouter.get('/reminders', apiAuth('view'), async (req, res, next) => {
+  try {
+    const interviewId = req.query.interview_id !== undefined ? parseInt(req.query.interview_id) : null;
+    if (req.query.interview_id !== undefined && !(interviewId > 0)) {
+      return res.status(400).json({ error: 'Invalid interview_id' });
+    }
+
+    const result = await InterviewManager.getInterviews(req.scopeId, { scheduledOnly: true });
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to list reminders' });
+    }
+
+    const reminders = [];
+    result.data
+      .filter(interview => !interviewId || interview.id === interviewId)
+      .forEach(interview => {
+        const { start } = ScheduleHelper.getTimeRange(interview);
+        ReminderSchedule.getOffsets(interview).forEach(offsetMinutes => {
+          const log = ReminderSchedule.getLog(interview, offsetMinutes);
+          reminders.push({
+            interview_id: interview.id,
+            offset_minutes: offsetMinutes,
+            due_at: start.clone().subtract(offsetMinutes, 'minutes').toISOString(),
+            status: log ? log.status : 'pending',
+            sent_at: log ? log.sent_at : null
+          });
+        });
+      });
+
+    res.json({ data: reminders });
+  } catch (error) {
+    next(error);
+  }
+});
+
+apiRouter.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+// Malformed JSON bodies are the client's fault
+apiRouter.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+    return res.status(err.status).json({ error: err.type === 'entity.too.large' ? 'Request body too large' : 'Invalid JSON body' });
+  }
+  console.error('API error:', err);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+app.use('/api/v1', apiRouter);
+
+// In-process reminder scheduler - every run (including /trigger-reminders) takes
+// the shared lease lock, so instances and external crons never overlap
+const schedulerState = {
+  task: null,
+  running: false,
+  lastRunAt: null,
+  lastTrigger: null,
+  lastResult: null
+};
+
+class ReminderScheduler {
+  // Start the cron task when REMINDER_SCHEDULER_ENABLED is set
+  static start() {
+    if (!REMINDER_SCHEDULER_ENABLED || schedulerState.task) return;
+
+    if (!cron.validate(REMINDER_SCHEDULER_CRON)) {
+      console.error(`❌ Invalid REMINDER_SCHEDULER_CRON "${REMINDER_SCHEDULER_CRON}" - built-in scheduler not started`);
+      return;
+    }
+
+    schedulerState.task = cron.schedule(REMINDER_SCHEDULER_CRON, () => {
+      this.runOnce('scheduler').catch(error => console.error('Scheduled reminder run failed:', error));
+    }, { timezone: 'Asia/Taipei' });
+
+    console.log(`⏰ Built-in reminder scheduler started (${REMINDER_SCHEDULER_CRON}, instance ${INSTANCE_ID})`);
+  }
+
+  // Process reminders while holding the lock - returns skipped when someone else holds it
+  static async runOnce(trigger) {
+    if (schedulerState.running) {
+      return { success: true, skipped: true };
+    }
+
+    const lock = await LockManager.acquireLock(REMINDER_LOCK_NAME, INSTANCE_ID, REMINDER_LOCK_TTL_SECONDS);
+    if (!lock.success) {
+      return { success: false, error: lock.error };
+    }
+    if (!lock.data) {
+      console.log(`🔒 Reminder lock is held elsewhere - skipping ${trigger} run`);
+      return { success: true, skipped: true };
+    }
+
+    schedulerState.running = true;
+    let result;
+    try {
+      result = await ReminderManager.processReminders();
+    } catch (error) {
+      result = { success: false, error: error.message };
+    } finally {
+      schedulerState.running = false;
+      await LockManager.releaseLock(REMINDER_LOCK_NAME, INSTANCE_ID, result && result.success ? 'success' : 'failed');
+    }
+
+    schedulerState.lastRunAt = new Date().toISOString();
+    schedulerState.lastTrigger = trigger;
+    schedulerState.lastResult = result.success
+      ? { success: true, totalSent: result.totalSent, retried: result.retried, prompted: result.prompted, purged: result.purged, errorCount: result.errors ? result.errors.length : 0 }
+      : { success: false, error: result.error };
+
+    return result;
+  }
+
+  // Scheduler and lock status for the health endpoint
+  static async getStatus() {
+    const status = {
+      enabled: REMINDER_SCHEDULER_ENABLED,
+      cron: REMINDER_SCHEDULER_ENABLED ? REMINDER_SCHEDULER_CRON : undefined,
+      instanceId: INSTANCE_ID,
+      running: schedulerState.running,
+      lastRunAt: schedulerState.lastRunAt,
+      lastTrigger: schedulerState.lastTrigger,
+      lastResult: schedulerState.lastResult
+    };
+
+    const lock = await LockManager.getLock(REMINDER_LOCK_NAME);
+    if (!lock.success) {
+      status.lock = { error: lock.error };
+    } else if (lock.data) {
+      status.lock = {
+        held: new Date(lock.data.locked_until) > new Date(),
+        holder: lock.data.holder,
+        lockedUntil: lock.data.locked_until,
+        lastRunAt: lock.data.last_run_at,
+        lastRunBy: lock.data.last_run_by,
+        lastRunStatus: lock.data.last_run_status
+      };
+    } else {
+      status.lock = { held: false };
+    }
+
+    return status;
+  }
+}
+
 // Validate bishop configuration
 if (!BISHOP_LINE_USER_ID) {
   console.warn('⚠️ BISHOP_LINE_USER_ID not configured - reminders will be sent to interview creator instead');
@@ -988,6 +8715,16 @@ if (!BISHOP_LINE_USER_ID) {
   console.log('✅ Bishop LINE user ID configured for reminders');
 }
 
+// Validate digest configuration - a typo would otherwise change or turn off a digest without a word
+if (process.env.DIGEST_WEEKLY_DAY !== undefined && !/^[0-6]$/.test(process.env.DIGEST_WEEKLY_DAY)) {
+  console.warn(`⚠️ Invalid DIGEST_WEEKLY_DAY "${process.env.DIGEST_WEEKLY_DAY}" - expected 0 (Sunday) to 6 (Saturday), falling back to 6`);
+}
+[['DIGEST_DAILY_TIME', DIGEST_DAILY_TIME], ['DIGEST_WEEKLY_TIME', DIGEST_WEEKLY_TIME]].forEach(([name, time]) => {
+  if (time !== 'off' && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) {
+    console.warn(`⚠️ Invalid ${name} "${time}" - expected HH:mm or off, this digest is not sent`);
+  }
+});
+
 // Production-ready error handling
 app.use((err, req, res, next) => {
   console.error('Express error:', err);
@@ -1012,16 +8749,23 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
-app.listen(PORT, () => {
-  console.log(`🚀 LINE Interview Bot server is running on port ${PORT}`);
-  console.log(`📊 Environment: ${NODE_ENV}`);
-  console.log(`⏰ Server started at: ${new Date().toISOString()}`);
+// Only when run directly (npm start) - Vercel uses the exported app and the tests only load the parsers
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 LINE Interview Bot server is running on port ${PORT}`);
+    console.log(`📊 Environment: ${NODE_ENV}`);
+    console.log(`⏰ Server started at: ${new Date().toISOString()}`);
   
-  // Log configuration status
-  console.log(`🔧 Configuration Status:`);
-  console.log(`   - LINE Bot: ${lineConfig.channelAccessToken ? '✅ Configured' : '❌ Missing'}`);
-  console.log(`   - Supabase: ${supabaseUrl ? '✅ Configured' : '❌ Missing'}`);
-  console.log(`   - Bishop ID: ${BISHOP_LINE_USER_ID ? '✅ Configured' : '⚠️ Not set'}`);
-});
+    // Log configuration status
+    console.log(`🔧 Configuration Status:`);
+    console.log(`   - LINE Bot: ${lineConfig.channelAccessToken ? '✅ Configured' : '❌ Missing'}`);
+    console.log(`   - Supabase: ${supabaseUrl ? '✅ Configured' : '❌ Missing'}`);
+    console.log(`   - Bishop ID: ${BISHOP_LINE_USER_ID ? '✅ Configured' : '⚠️ Not set'}`);
+    console.log(`   - Reminder scheduler: ${REMINDER_SCHEDULER_ENABLED ? '✅ Built-in (' + REMINDER_SCHEDULER_CRON + ')' : '⚪ External (/trigger-reminders)'}`);
+
+    ReminderScheduler.start();
+  });
+}
 
 module.exports = app;
+module.exports.DateTimeParser = DateTimeParser;
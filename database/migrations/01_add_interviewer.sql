@@ -9,7 +9,9 @@ ADD COLUMN IF NOT EXISTS interviewer_name VARCHAR(255);
 -- Add comment for documentation
 COMMENT ON COLUMN interviews.interviewer_name IS '面談者 - The person conducting the interview';
 
--- Update the existing function to include interviewer
+-- Update the existing function to include interviewer (the return type changes, so drop it first)
+DROP FUNCTION IF EXISTS get_user_interviews(VARCHAR);
+
 CREATE OR REPLACE FUNCTION get_user_interviews(user_id_param VARCHAR(255))
 RETURNS TABLE (
     id BIGINT,
@@ -0,0 +1,25 @@
+-- Migration: Share interviews across the conversation they were created in
+-- Date: 2025-09-14
+-- Description: Interviews belong to a LINE group, room or 1:1 chat (scope_id)
+--              instead of the individual sender (user_id). user_id is kept as the creator.
+
+-- Add the new scope column
+ALTER TABLE interviews 
+ADD COLUMN IF NOT EXISTS scope_id VARCHAR(255);
+
+-- Add comment for documentation
+COMMENT ON COLUMN interviews.scope_id IS 'LINE groupId, roomId or userId of the conversation the interview belongs to';
+
+-- Existing rows were created per user - keep them visible in that user''s 1:1 chat
+UPDATE interviews SET scope_id = user_id WHERE scope_id IS NULL;
+
+ALTER TABLE interviews 
+ALTER COLUMN scope_id SET NOT NULL;
+
+-- Replace the per-user index with a per-scope one
+DROP INDEX IF EXISTS idx_interviews_user_date_time;
+CREATE INDEX IF NOT EXISTS idx_interviews_scope_date_time 
+ON interviews(scope_id, interview_date, interview_time);
+
+-- Optional: move a user's existing interviews into a shared group
+-- UPDATE interviews SET scope_id = 'C_your_group_id' WHERE user_id = 'U_your_user_id';
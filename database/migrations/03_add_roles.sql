@@ -0,0 +1,20 @@
+-- Migration: Add role-based permissions
+-- Date: 2025-09-21
+-- Description: Roles for bishopric members, clerks and viewers.
+--              The user configured in BISHOP_LINE_USER_ID is always treated as bishop.
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    line_user_id VARCHAR(255) PRIMARY KEY,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('bishop', 'counselor', 'executive_secretary', 'clerk', 'viewer')),
+    granted_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add comment for documentation
+COMMENT ON TABLE user_roles IS '角色 - Which LINE users may view, add, update or delete interviews';
+
+CREATE TRIGGER update_user_roles_updated_at 
+BEFORE UPDATE ON user_roles 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,43 @@
+-- Migration: Configurable reminder schedule
+-- Date: 2025-09-28
+-- Description: Replace the fixed reminder_24h_sent / reminder_3h_sent flags with
+--              any number of reminder offsets and a reminder log.
+
+-- Per-interview override of the global REMINDER_OFFSETS (minutes before the interview)
+ALTER TABLE interviews 
+ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[];
+
+COMMENT ON COLUMN interviews.reminder_offsets IS '提醒 - Minutes before the interview to send reminders; NULL uses the global schedule';
+
+-- One row per interview per offset that was sent or skipped
+CREATE TABLE IF NOT EXISTS reminder_logs (
+    id BIGSERIAL PRIMARY KEY,
+    interview_id BIGINT NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL CHECK (offset_minutes > 0),
+    status VARCHAR(50) NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'skipped')),
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (interview_id, offset_minutes)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_logs_interview 
+ON reminder_logs(interview_id);
+
+-- Carry over the old flags
+INSERT INTO reminder_logs (interview_id, offset_minutes, status)
+SELECT id, 1440, 'sent' FROM interviews WHERE reminder_24h_sent = TRUE
+ON CONFLICT (interview_id, offset_minutes) DO NOTHING;
+
+INSERT INTO reminder_logs (interview_id, offset_minutes, status)
+SELECT id, 180, 'sent' FROM interviews WHERE reminder_3h_sent = TRUE
+ON CONFLICT (interview_id, offset_minutes) DO NOTHING;
+
+-- The function returns the old flags, so it has to go before the columns do
+DROP FUNCTION IF EXISTS get_user_interviews(VARCHAR);
+
+-- Drop the old flags (this also drops idx_interviews_reminder_check)
+ALTER TABLE interviews 
+DROP COLUMN IF EXISTS reminder_24h_sent,
+DROP COLUMN IF EXISTS reminder_3h_sent;
+
+CREATE INDEX IF NOT EXISTS idx_interviews_reminder_check 
+ON interviews(interview_date, interview_time);
@@ -0,0 +1,23 @@
+-- Migration: Add interview duration for conflict detection
+-- Date: 2025-10-05
+-- Description: 時長 - how long an interview takes, used to detect overlapping
+--              interviews for the same interviewer.
+
+ALTER TABLE interviews 
+ADD COLUMN IF NOT EXISTS duration_minutes INTEGER CHECK (duration_minutes BETWEEN 5 AND 480);
+
+COMMENT ON COLUMN interviews.duration_minutes IS '時長 - Interview length in minutes';
+
+-- Backfill existing rows with the same defaults the bot uses for new interviews
+UPDATE interviews SET duration_minutes = CASE
+    WHEN reason LIKE '%聖殿推薦書%' THEN 15
+    WHEN reason LIKE '%召喚%' THEN 45
+    WHEN reason LIKE '%卸任%' THEN 15
+    WHEN reason LIKE '%按立%' THEN 30
+    ELSE 30
+END
+WHERE duration_minutes IS NULL;
+
+-- Conflict checks look up an interviewer's interviews on a single day
+CREATE INDEX IF NOT EXISTS idx_interviews_scope_interviewer_date 
+ON interviews(scope_id, interviewer_name, interview_date);
@@ -0,0 +1,48 @@
+-- Migration: Interviewer availability and free slot booking
+-- Date: 2025-10-12
+-- Description: Weekly availability templates, one-off blackout dates and
+--              per-user chat sessions (used by 空檔 / 預約).
+
+-- Weekly availability windows (weekday: 0 = Sunday ... 6 = Saturday)
+CREATE TABLE IF NOT EXISTS interviewer_availability (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    interviewer_name VARCHAR(255) NOT NULL,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL CHECK (end_time > start_time),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE interviewer_availability IS '可面談時間 - Weekly windows in which an interviewer can hold interviews';
+
+CREATE INDEX IF NOT EXISTS idx_interviewer_availability_lookup 
+ON interviewer_availability(scope_id, interviewer_name, weekday);
+
+-- One-off dates on which an interviewer is unavailable
+CREATE TABLE IF NOT EXISTS interviewer_blackouts (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    interviewer_name VARCHAR(255) NOT NULL,
+    blackout_date DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, interviewer_name, blackout_date)
+);
+
+COMMENT ON TABLE interviewer_blackouts IS '不可面談 - Dates on which an interviewer is unavailable';
+
+-- Conversation state that has to survive between webhook calls
+CREATE TABLE IF NOT EXISTS chat_sessions (
+    scope_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    state JSONB NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (scope_id, user_id)
+);
+
+CREATE TRIGGER update_chat_sessions_updated_at 
+BEFORE UPDATE ON chat_sessions 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,41 @@
+-- Migration: Recurring interview series
+-- Date: 2025-10-14
+-- Description: Series templates for 加入系列. Each occurrence is still a row in
+--              interviews (linked by series_id) so reminders, conflicts and
+--              per-occurrence edits keep working unchanged.
+
+CREATE TABLE IF NOT EXISTS interview_series (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    interviewee_name VARCHAR(255) NOT NULL,
+    interviewer_name VARCHAR(255),
+    interview_time TIME NOT NULL,
+    reason TEXT,
+    duration_minutes INTEGER,
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'monthly')),
+    repeat_interval INTEGER NOT NULL DEFAULT 1 CHECK (repeat_interval > 0),
+    nth_week SMALLINT CHECK (nth_week = -1 OR nth_week BETWEEN 1 AND 5), -- monthly only, -1 = last
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    occurrence_count INTEGER,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE interview_series IS '系列面談 - Recurrence rule and template of a recurring interview';
+
+CREATE INDEX IF NOT EXISTS idx_interview_series_scope_id ON interview_series(scope_id);
+
+CREATE TRIGGER update_interview_series_updated_at 
+BEFORE UPDATE ON interview_series 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Link occurrences to their series
+ALTER TABLE interviews 
+ADD COLUMN IF NOT EXISTS series_id BIGINT REFERENCES interview_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_interviews_series_id ON interviews(series_id);
@@ -0,0 +1,52 @@
+-- Migration: Scheduler lease lock
+-- Date: 2025-10-19
+-- Description: Lease locks so only one instance (built-in scheduler or
+--              /trigger-reminders) processes reminders at a time.
+
+CREATE TABLE IF NOT EXISTS scheduler_locks (
+    name VARCHAR(100) PRIMARY KEY,
+    holder VARCHAR(255),
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_by VARCHAR(255),
+    last_run_status VARCHAR(50),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE scheduler_locks IS 'Lease locks for background jobs - a lock is free once locked_until has passed';
+
+CREATE TRIGGER update_scheduler_locks_updated_at 
+BEFORE UPDATE ON scheduler_locks 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Take the lock if it is free, expired or already ours; returns true on success.
+-- A single INSERT ... ON CONFLICT statement, so two callers can never both win.
+CREATE OR REPLACE FUNCTION acquire_scheduler_lock(lock_name VARCHAR, holder_id VARCHAR, ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO scheduler_locks (name, holder, locked_until)
+    VALUES (lock_name, holder_id, NOW() + make_interval(secs => ttl_seconds))
+    ON CONFLICT (name) DO UPDATE
+    SET holder = EXCLUDED.holder,
+        locked_until = EXCLUDED.locked_until
+    WHERE scheduler_locks.locked_until < NOW()
+       OR scheduler_locks.holder = EXCLUDED.holder;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Release the lock (only if we still hold it) and record the run
+CREATE OR REPLACE FUNCTION release_scheduler_lock(lock_name VARCHAR, holder_id VARCHAR, run_status VARCHAR)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE scheduler_locks
+    SET locked_until = NOW(),
+        last_run_at = NOW(),
+        last_run_by = holder_id,
+        last_run_status = run_status
+    WHERE name = lock_name
+      AND holder = holder_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,24 @@
+-- Migration: Concurrency-safe reminder claiming
+-- Date: 2025-10-26
+-- Description: Reminders are claimed (pending -> sending -> sent/failed) before
+--              delivery, with a stable delivery ID used as the LINE retry key
+--              and a list of recipients that already got the message.
+
+ALTER TABLE reminder_logs 
+DROP CONSTRAINT IF EXISTS reminder_logs_status_check;
+
+ALTER TABLE reminder_logs 
+ADD CONSTRAINT reminder_logs_status_check 
+CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped'));
+
+ALTER TABLE reminder_logs 
+ADD COLUMN IF NOT EXISTS delivery_id UUID NOT NULL DEFAULT gen_random_uuid(),
+ADD COLUMN IF NOT EXISTS claim_token UUID,
+ADD COLUMN IF NOT EXISTS claimed_by VARCHAR(255),
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS delivered_to TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+COMMENT ON COLUMN reminder_logs.delivery_id IS 'Stable per reminder - LINE retry keys are derived from it per recipient';
+COMMENT ON COLUMN reminder_logs.claim_token IS 'Set by the run that moved the reminder to sending; only that run may complete it';
+COMMENT ON COLUMN reminder_logs.delivered_to IS 'LINE IDs that already received this reminder, skipped on retry';
@@ -0,0 +1,43 @@
+-- Migration: Per-recipient reminder deliveries
+-- Date: 2025-11-02
+-- Description: One row per reminder per recipient with its status, attempt
+--              count, last LINE error and next retry time. Replaces
+--              reminder_logs.delivered_to.
+
+CREATE TABLE IF NOT EXISTS reminder_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    reminder_log_id BIGINT NOT NULL REFERENCES reminder_logs(id) ON DELETE CASCADE,
+    interview_id BIGINT NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL,
+    recipient_type VARCHAR(20) NOT NULL,          -- user / group / bishop
+    recipient_id VARCHAR(255) NOT NULL,           -- LINE userId / groupId
+    retry_key UUID NOT NULL,                      -- X-Line-Retry-Key, stable across attempts
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'gave_up')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error_code INTEGER,                      -- HTTP status from the LINE API
+    last_error TEXT,
+    next_retry_at TIMESTAMP WITH TIME ZONE,
+    claim_token UUID,
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (reminder_log_id, recipient_id)
+);
+
+COMMENT ON TABLE reminder_deliveries IS '送達狀態 - Delivery of one reminder to one recipient';
+
+CREATE INDEX IF NOT EXISTS idx_reminder_deliveries_interview 
+ON reminder_deliveries(interview_id);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_deliveries_retry 
+ON reminder_deliveries(status, next_retry_at);
+
+CREATE TRIGGER update_reminder_deliveries_updated_at 
+BEFORE UPDATE ON reminder_deliveries 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Recipients are tracked per row now
+ALTER TABLE reminder_logs 
+DROP COLUMN IF EXISTS delivered_to;
@@ -0,0 +1,43 @@
+-- Migration: Reminder recipients and routing
+-- Date: 2025-11-09
+-- Description: Named LINE users/groups per conversation and the routes that
+--              decide which of them (or the interviewer) get each reminder.
+
+-- Named recipients managed with 收件人 / 移除收件人
+CREATE TABLE IF NOT EXISTS reminder_recipients (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    line_id VARCHAR(255) NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('user', 'group', 'room')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, name)
+);
+
+COMMENT ON TABLE reminder_recipients IS '收件人 - LINE users, groups and rooms that can receive reminders';
+
+CREATE TRIGGER update_reminder_recipients_updated_at 
+BEFORE UPDATE ON reminder_recipients 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Who gets which reminder; NULL reason_keyword / offset_minutes match everything
+CREATE TABLE IF NOT EXISTS reminder_routes (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    target VARCHAR(20) NOT NULL CHECK (target IN ('interviewer', 'recipient')),
+    recipient_id BIGINT REFERENCES reminder_recipients(id) ON DELETE CASCADE,
+    reason_keyword VARCHAR(255),
+    offset_minutes INTEGER CHECK (offset_minutes > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((target = 'recipient') = (recipient_id IS NOT NULL))
+);
+
+COMMENT ON TABLE reminder_routes IS '提醒路由 - Routes a reminder to the interviewer or a named recipient';
+
+CREATE INDEX IF NOT EXISTS idx_reminder_routes_scope_id ON reminder_routes(scope_id);
+
+-- Deliveries remember who they went to by name
+ALTER TABLE reminder_deliveries 
+ADD COLUMN IF NOT EXISTS recipient_name VARCHAR(255);
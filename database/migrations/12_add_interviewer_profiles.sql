@@ -0,0 +1,27 @@
+-- Migration: Interviewer profiles
+-- Date: 2025-11-16
+-- Description: Canonical interviewer names with aliases, optionally bound to the
+--              interviewer's own LINE account (註冊 / 建立面談者 / 別名).
+
+CREATE TABLE IF NOT EXISTS interviewer_profiles (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    line_user_id VARCHAR(255),       -- set by 註冊, NULL until the interviewer registers
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, name)
+);
+
+COMMENT ON TABLE interviewer_profiles IS '面談者 - Interviewer names, aliases and LINE accounts';
+
+-- One profile per LINE account in a conversation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_interviewer_profiles_line_user 
+ON interviewer_profiles(scope_id, line_user_id) 
+WHERE line_user_id IS NOT NULL;
+
+CREATE TRIGGER update_interviewer_profiles_updated_at 
+BEFORE UPDATE ON interviewer_profiles 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,42 @@
+-- Migration: Interviewee directory
+-- Date: 2025-11-23
+-- Description: One member per interviewee with optional contact details, linked
+--              from interviews so 面談紀錄 can list a person's full history.
+
+CREATE TABLE IF NOT EXISTS members (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    phone VARCHAR(50),               -- 電話
+    household VARCHAR(255),          -- 家庭
+    notes TEXT,                      -- 備註
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, name)
+);
+
+COMMENT ON TABLE members IS '成員 - Interviewees and their contact details';
+
+CREATE TRIGGER update_members_updated_at 
+BEFORE UPDATE ON members 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE interviews 
+ADD COLUMN IF NOT EXISTS member_id BIGINT REFERENCES members(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_interviews_member 
+ON interviews(member_id);
+
+-- Every existing interviewee becomes a member of the conversation they were interviewed in
+INSERT INTO members (scope_id, name)
+SELECT DISTINCT scope_id, interviewee_name
+FROM interviews
+ON CONFLICT (scope_id, name) DO NOTHING;
+
+UPDATE interviews i
+SET member_id = m.id
+FROM members m
+WHERE m.scope_id = i.scope_id
+  AND m.name = i.interviewee_name
+  AND i.member_id IS NULL;
@@ -0,0 +1,23 @@
+-- Migration: Interview outcomes
+-- Date: 2025-11-30
+-- Description: Status lifecycle for interviews (scheduled, completed, no-show,
+--              cancelled, rescheduled) with a private follow-up note and the
+--              time the interviewer was asked for the outcome.
+
+ALTER TABLE interviews 
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'completed', 'no_show', 'cancelled', 'rescheduled')),
+ADD COLUMN IF NOT EXISTS outcome_note TEXT,                         -- private follow-up note
+ADD COLUMN IF NOT EXISTS outcome_recorded_by VARCHAR(255),          -- LINE userId
+ADD COLUMN IF NOT EXISTS outcome_recorded_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS outcome_prompted_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN interviews.status IS '狀態 - scheduled / completed / no_show / cancelled / rescheduled';
+
+CREATE INDEX IF NOT EXISTS idx_interviews_status_date 
+ON interviews(status, interview_date);
+
+-- Interviews that already took place are not prompted for - their outcome can still be recorded with 結果
+UPDATE interviews 
+SET outcome_prompted_at = NOW() 
+WHERE interview_date < CURRENT_DATE;
@@ -0,0 +1,21 @@
+-- Migration: Reschedule history
+-- Date: 2025-12-07
+-- Description: Keeps every earlier slot of an interview moved with 改期 (or by
+--              changing its date or time), so the original time is never lost.
+
+CREATE TABLE IF NOT EXISTS interview_reschedules (
+    id BIGSERIAL PRIMARY KEY,
+    interview_id BIGINT NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    scope_id VARCHAR(255) NOT NULL,
+    old_date DATE NOT NULL,
+    old_time TIME NOT NULL,
+    new_date DATE NOT NULL,
+    new_time TIME NOT NULL,
+    rescheduled_by VARCHAR(255),     -- LINE userId
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE interview_reschedules IS '改期紀錄 - Earlier slots of rescheduled interviews';
+
+CREATE INDEX IF NOT EXISTS idx_interview_reschedules_interview 
+ON interview_reschedules(interview_id);
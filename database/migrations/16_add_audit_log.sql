@@ -0,0 +1,24 @@
+-- Migration: Audit log
+-- Date: 2025-12-14
+-- Description: Every create, update, reschedule, outcome, delete and undo of an
+--              interview with the actor, where it came from and the rows before
+--              and after (操作紀錄 / 復原).
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'reschedule', 'outcome', 'undo')),
+    interview_ids BIGINT[] NOT NULL,  -- no foreign key, deleted interviews keep their entries
+    actor_user_id VARCHAR(255),       -- LINE userId, NULL for system changes
+    actor_source VARCHAR(20) NOT NULL, -- user / group / room / system
+    before JSONB NOT NULL DEFAULT '[]', -- rows before the change (empty for a create)
+    after JSONB NOT NULL DEFAULT '[]',  -- rows after the change (empty for a delete)
+    undone_at TIMESTAMP WITH TIME ZONE,
+    undone_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE audit_log IS '操作紀錄 - Who changed which interviews, with before and after snapshots';
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_scope_created 
+ON audit_log(scope_id, created_at DESC);
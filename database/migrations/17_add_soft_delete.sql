@@ -0,0 +1,17 @@
+-- Migration: Soft delete
+-- Date: 2025-12-21
+-- Description: 刪除 marks interviews as deleted instead of removing them. The
+--              reminder run purges them after DELETED_RETENTION_DAYS.
+
+ALTER TABLE interviews 
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(255);   -- LINE userId
+
+-- Every query skips deleted rows, so index only the live ones
+CREATE INDEX IF NOT EXISTS idx_interviews_scope_live 
+ON interviews(scope_id, interview_date) 
+WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_interviews_deleted_at 
+ON interviews(deleted_at) 
+WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,23 @@
+-- Migration: Agenda digests
+-- Date: 2025-12-28
+-- Description: Daily and weekly digests of the scheduled interviews. Named
+--              recipients subscribe with 摘要; digest_logs makes sure each
+--              conversation gets a digest at most once per date.
+
+-- Which digests a named recipient gets: 'daily', 'weekly', 'all' or NULL (none)
+ALTER TABLE reminder_recipients
+ADD COLUMN IF NOT EXISTS digest VARCHAR(10) CHECK (digest IN ('daily', 'weekly', 'all'));
+
+-- One row per sent digest - the unique key is the claim that prevents duplicates
+CREATE TABLE IF NOT EXISTS digest_logs (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('daily', 'weekly')),
+    digest_date DATE NOT NULL,
+    recipient_count INTEGER,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, kind, digest_date)
+);
+
+COMMENT ON TABLE digest_logs IS '面談摘要 - daily and weekly agenda digests already sent';
@@ -0,0 +1,46 @@
+-- Migration: iCalendar feeds
+-- Date: 2026-01-04
+-- Description: Secret per-user tokens for the /calendar/{token}.ics feeds, and
+--              an iCalendar SEQUENCE number that goes up on every change.
+
+-- Feed tokens created with 行事曆 and revoked with 停用行事曆 - only the SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS calendar_tokens (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    line_user_id VARCHAR(255) NOT NULL,         -- owner
+    interviewer_name VARCHAR(255),              -- NULL = every interview of the conversation
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_tokens_owner 
+ON calendar_tokens(line_user_id) 
+WHERE revoked_at IS NULL;
+
+COMMENT ON TABLE calendar_tokens IS '行事曆 - iCalendar feed tokens';
+
+-- Calendar apps only apply an update when SEQUENCE increases
+ALTER TABLE interviews 
+ADD COLUMN IF NOT EXISTS sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_interview_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (NEW.interviewee_name, NEW.interviewer_name, NEW.interview_date, NEW.interview_time,
+        NEW.duration_minutes, NEW.reason, NEW.status, NEW.deleted_at)
+       IS DISTINCT FROM
+       (OLD.interviewee_name, OLD.interviewer_name, OLD.interview_date, OLD.interview_time,
+        OLD.duration_minutes, OLD.reason, OLD.status, OLD.deleted_at) THEN
+        NEW.sequence = OLD.sequence + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bump_interviews_sequence ON interviews;
+CREATE TRIGGER bump_interviews_sequence 
+BEFORE UPDATE ON interviews 
+FOR EACH ROW 
+EXECUTE FUNCTION bump_interview_sequence();
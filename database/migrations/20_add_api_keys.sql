@@ -0,0 +1,24 @@
+-- Migration: REST API keys
+-- Date: 2026-01-11
+-- Description: Keys for the /api/v1 REST API. A key belongs to the conversation
+--              it was created in with API金鑰 and can do at most what its
+--              creator's role allows; read_only keys can only read.
+
+-- Keys created with API金鑰 and revoked with 停用API金鑰 - only the SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    read_only BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by VARCHAR(255) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_scope 
+ON api_keys(scope_id) 
+WHERE revoked_at IS NULL;
+
+COMMENT ON TABLE api_keys IS 'API金鑰 - keys for the REST API, scoped to one conversation';
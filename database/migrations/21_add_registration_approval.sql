@@ -0,0 +1,8 @@
+-- Migration: Registration approval
+-- Date: 2026-01-18
+-- Description: 註冊 in a shared conversation no longer binds the sender's LINE
+--              account right away - it waits in pending_line_user_id until the
+--              bishop or executive secretary confirms it with 核准註冊.
+
+ALTER TABLE interviewer_profiles 
+ADD COLUMN IF NOT EXISTS pending_line_user_id VARCHAR(255);  -- 註冊 waiting for 核准註冊
@@ -0,0 +1,59 @@
+-- Migration: Atomic reschedule
+-- Date: 2026-01-25
+-- Description: 改期 used to update the interview, add its interview_reschedules
+--              row and clear its reminder logs in three requests, so a failure
+--              part way left them out of step. reschedule_interviews does all
+--              three in one transaction, for one interview or the occurrences
+--              of a series.
+
+-- Move interviews to a new time (and date, unless p_date is NULL), keeping each old slot
+-- in interview_reschedules and starting its reminders over. Reminders still being
+-- delivered ('sending') are left to finish. p_status NULL keeps each status.
+-- Returns the moved interviews.
+CREATE OR REPLACE FUNCTION reschedule_interviews(
+    p_scope_id VARCHAR,
+    p_interview_ids BIGINT[],
+    p_date DATE,
+    p_time TIME,
+    p_status VARCHAR,
+    p_rescheduled_by VARCHAR
+)
+RETURNS SETOF interviews AS $$
+BEGIN
+    PERFORM 1
+    FROM interviews
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+    FOR UPDATE;
+
+    INSERT INTO interview_reschedules (interview_id, scope_id, old_date, old_time, new_date, new_time, rescheduled_by)
+    SELECT id, scope_id, interview_date, interview_time, COALESCE(p_date, interview_date), p_time, p_rescheduled_by
+    FROM interviews
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+      AND (interview_date, interview_time) IS DISTINCT FROM (COALESCE(p_date, interview_date), p_time);
+
+    DELETE FROM reminder_logs
+    WHERE status <> 'sending'
+      AND interview_id IN (
+          SELECT id FROM interviews
+          WHERE scope_id = p_scope_id
+            AND id = ANY(p_interview_ids)
+            AND deleted_at IS NULL
+            AND (interview_date, interview_time) IS DISTINCT FROM (COALESCE(p_date, interview_date), p_time)
+      );
+
+    RETURN QUERY
+    UPDATE interviews
+    SET interview_date = COALESCE(p_date, interview_date),
+        interview_time = p_time,
+        status = COALESCE(p_status, status),
+        outcome_prompted_at = NULL
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
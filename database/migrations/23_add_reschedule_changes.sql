@@ -0,0 +1,68 @@
+-- Migration: Reschedule with other changes
+-- Date: 2026-02-01
+-- Description: PATCH /api/v1/interviews/{id} with a new time and other fields
+--              used to save them in two updates (and two 操作紀錄 entries).
+--              reschedule_interviews now takes the other fields too, so the
+--              whole change is one update.
+
+-- The argument list changes, so the old version has to go first
+DROP FUNCTION IF EXISTS reschedule_interviews(VARCHAR, BIGINT[], DATE, TIME, VARCHAR, VARCHAR);
+
+-- Move interviews to a new time (and date, unless p_date is NULL), keeping each old slot
+-- in interview_reschedules and starting its reminders over. Reminders still being
+-- delivered ('sending') are left to finish. p_status NULL keeps each status; p_changes
+-- may also set interviewee_name, interviewer_name, member_id, reason and duration_minutes
+-- in the same update. Returns the moved interviews.
+CREATE OR REPLACE FUNCTION reschedule_interviews(
+    p_scope_id VARCHAR,
+    p_interview_ids BIGINT[],
+    p_date DATE,
+    p_time TIME,
+    p_status VARCHAR,
+    p_rescheduled_by VARCHAR,
+    p_changes JSONB DEFAULT '{}'
+)
+RETURNS SETOF interviews AS $$
+BEGIN
+    PERFORM 1
+    FROM interviews
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+    FOR UPDATE;
+
+    INSERT INTO interview_reschedules (interview_id, scope_id, old_date, old_time, new_date, new_time, rescheduled_by)
+    SELECT id, scope_id, interview_date, interview_time, COALESCE(p_date, interview_date), p_time, p_rescheduled_by
+    FROM interviews
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+      AND (interview_date, interview_time) IS DISTINCT FROM (COALESCE(p_date, interview_date), p_time);
+
+    DELETE FROM reminder_logs
+    WHERE status <> 'sending'
+      AND interview_id IN (
+          SELECT id FROM interviews
+          WHERE scope_id = p_scope_id
+            AND id = ANY(p_interview_ids)
+            AND deleted_at IS NULL
+            AND (interview_date, interview_time) IS DISTINCT FROM (COALESCE(p_date, interview_date), p_time)
+      );
+
+    RETURN QUERY
+    UPDATE interviews
+    SET interview_date = COALESCE(p_date, interview_date),
+        interview_time = p_time,
+        status = COALESCE(p_status, status),
+        outcome_prompted_at = NULL,
+        interviewee_name = COALESCE(p_changes->>'interviewee_name', interviewee_name),
+        interviewer_name = COALESCE(p_changes->>'interviewer_name', interviewer_name),
+        member_id = COALESCE((p_changes->>'member_id')::BIGINT, member_id),
+        reason = COALESCE(p_changes->>'reason', reason),
+        duration_minutes = COALESCE((p_changes->>'duration_minutes')::INTEGER, duration_minutes)
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,10 @@
+-- Migration: Purge orphaned series
+-- Date: 2026-02-08
+-- Description: The purge of deleted interviews left their interview_series rows
+--              behind. The reminder run now removes a series with its last
+--              occurrence; this removes the ones left over from before.
+
+DELETE FROM interview_series
+WHERE NOT EXISTS (
+    SELECT 1 FROM interviews WHERE interviews.series_id = interview_series.id
+);
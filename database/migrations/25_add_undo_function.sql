@@ -0,0 +1,64 @@
+-- Migration: Atomic undo
+-- Date: 2026-02-15
+-- Description: 復原 claimed the 操作紀錄 entry and then restored its interviews
+--              one update per row, so a failure part way left some rows restored
+--              and the rest not. undo_audit_entry claims the entry and restores
+--              every row in one transaction.
+
+-- Undo an audit_log entry: a create marks its interviews deleted again, any other change
+-- puts back the rows in before. Only the columns in a snapshot are restored - entries
+-- recorded before a column was added keep its current value - and sequence is left to
+-- bump_interview_sequence. Returns the changed interviews, or no rows when the entry
+-- was already undone.
+CREATE OR REPLACE FUNCTION undo_audit_entry(
+    p_scope_id VARCHAR,
+    p_entry_id BIGINT,
+    p_undone_by VARCHAR
+)
+RETURNS SETOF interviews AS $$
+DECLARE
+    v_entry audit_log%ROWTYPE;
+BEGIN
+    UPDATE audit_log
+    SET undone_at = NOW(),
+        undone_by = p_undone_by
+    WHERE id = p_entry_id
+      AND scope_id = p_scope_id
+      AND undone_at IS NULL
+    RETURNING * INTO v_entry;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF v_entry.action = 'create' THEN
+        RETURN QUERY
+        UPDATE interviews
+        SET deleted_at = NOW(),
+            deleted_by = p_undone_by
+        WHERE scope_id = p_scope_id
+          AND id = ANY(v_entry.interview_ids)
+        RETURNING *;
+    ELSE
+        RETURN QUERY
+        UPDATE interviews i
+        SET (user_id, interviewee_name, interviewer_name, interview_date, interview_time, reason,
+             duration_minutes, reminder_offsets, series_id, member_id, status, outcome_note,
+             outcome_recorded_by, outcome_recorded_at, outcome_prompted_at, deleted_at, deleted_by) = (
+            SELECT r.user_id, r.interviewee_name, r.interviewer_name, r.interview_date, r.interview_time, r.reason,
+                   r.duration_minutes, r.reminder_offsets, r.series_id, r.member_id, r.status, r.outcome_note,
+                   r.outcome_recorded_by, r.outcome_recorded_at, r.outcome_prompted_at, r.deleted_at, r.deleted_by
+            FROM jsonb_populate_record(i, b.snapshot) r
+        )
+        FROM jsonb_array_elements(v_entry.before) AS b(snapshot)
+        WHERE i.scope_id = p_scope_id
+          AND i.id = (b.snapshot->>'id')::BIGINT
+        RETURNING i.*;
+    END IF;
+
+    -- Purged rows can't be put back - roll the claim back instead of marking the entry undone
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Interviews of audit entry % no longer exist', p_entry_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
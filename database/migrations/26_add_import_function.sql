@@ -0,0 +1,32 @@
+-- Migration: Atomic CSV import
+-- Date: 2026-02-22
+-- Description: The CSV import created a member for each new interviewee before the
+--              one insert of its interviews, so a failed insert left those members
+--              behind. import_interviews adds the members and the interviews in
+--              one transaction.
+
+-- Add the interviews of a CSV import. p_interviews is a JSON array of interviews columns;
+-- a row without member_id gets the member with its interviewee_name, created when there
+-- is none. Returns the added interviews.
+CREATE OR REPLACE FUNCTION import_interviews(
+    p_scope_id VARCHAR,
+    p_user_id VARCHAR,
+    p_interviews JSONB
+)
+RETURNS SETOF interviews AS $$
+BEGIN
+    INSERT INTO members (scope_id, name)
+    SELECT DISTINCT p_scope_id, r.interviewee_name
+    FROM jsonb_populate_recordset(NULL::interviews, p_interviews) r
+    WHERE r.member_id IS NULL
+    ON CONFLICT (scope_id, name) DO NOTHING;
+
+    RETURN QUERY
+    INSERT INTO interviews (scope_id, user_id, interviewee_name, interviewer_name, interview_date, interview_time, reason, duration_minutes, member_id)
+    SELECT p_scope_id, p_user_id, r.interviewee_name, r.interviewer_name, r.interview_date, r.interview_time, r.reason, r.duration_minutes, COALESCE(r.member_id, m.id)
+    FROM jsonb_populate_recordset(NULL::interviews, p_interviews) WITH ORDINALITY r
+    LEFT JOIN members m ON m.scope_id = p_scope_id AND m.name = r.interviewee_name
+    ORDER BY r.ordinality
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,33 @@
+-- Migration: Per-recipient digest delivery
+-- Date: 2026-03-01
+-- Description: A digest was marked sent for the whole conversation once anybody
+--              got it, so a subscriber whose push failed never got it. Like
+--              reminder_deliveries, digest_deliveries keeps one row per
+--              recipient, and later runs retry only the ones not yet sent.
+
+-- Delivery of one digest to one recipient
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    digest_log_id BIGINT NOT NULL REFERENCES digest_logs(id) ON DELETE CASCADE,
+    recipient_id VARCHAR(255) NOT NULL,           -- LINE userId / groupId / roomId
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'gave_up')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error_code INTEGER,                      -- HTTP status from the LINE API
+    last_error TEXT,
+    claim_token UUID,
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (digest_log_id, recipient_id)
+);
+
+COMMENT ON TABLE digest_deliveries IS '摘要送達狀態 - Delivery of one digest to one recipient';
+
+CREATE TRIGGER update_digest_deliveries_updated_at
+BEFORE UPDATE ON digest_deliveries
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE digest_logs IS '面談摘要 - daily and weekly agenda digests, one per conversation and date';
+COMMENT ON COLUMN digest_logs.recipient_count IS 'Recipients the digest was sent to so far';
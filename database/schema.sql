@@ -1,3 +1,16 @@
+-- Complete schema for a new installation. It matches an installation that ran the
+-- original schema and every file in database/migrations/, so new installs don't
+-- need the migrations - only changes made after this file need them.
+
+-- Updated_at trigger (optional but recommended)
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Reminders table
 CREATE TABLE IF NOT EXISTS reminders (
     id BIGSERIAL PRIMARY KEY,
@@ -10,47 +23,494 @@ CREATE TABLE IF NOT EXISTS reminders (
     sent_at TIMESTAMP WITH TIME ZONE
 );
 
+CREATE TRIGGER update_reminders_updated_at
+BEFORE UPDATE ON reminders
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Roles - the user configured in BISHOP_LINE_USER_ID is always treated as bishop
+CREATE TABLE IF NOT EXISTS user_roles (
+    line_user_id VARCHAR(255) PRIMARY KEY,
+    role VARCHAR(50) NOT NULL CHECK (role IN ('bishop', 'counselor', 'executive_secretary', 'clerk', 'viewer')),
+    granted_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE user_roles IS '角色 - Which LINE users may view, add, update or delete interviews';
+
+CREATE TRIGGER update_user_roles_updated_at
+BEFORE UPDATE ON user_roles
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Recurrence rule and template of a 加入系列 series - each occurrence is a row in interviews
+CREATE TABLE IF NOT EXISTS interview_series (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    interviewee_name VARCHAR(255) NOT NULL,
+    interviewer_name VARCHAR(255),
+    interview_time TIME NOT NULL,
+    reason TEXT,
+    duration_minutes INTEGER,
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'monthly')),
+    repeat_interval INTEGER NOT NULL DEFAULT 1 CHECK (repeat_interval > 0),
+    nth_week SMALLINT CHECK (nth_week = -1 OR nth_week BETWEEN 1 AND 5), -- monthly only, -1 = last
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    occurrence_count INTEGER,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE interview_series IS '系列面談 - Recurrence rule and template of a recurring interview';
+
+CREATE INDEX IF NOT EXISTS idx_interview_series_scope_id ON interview_series(scope_id);
+
+CREATE TRIGGER update_interview_series_updated_at
+BEFORE UPDATE ON interview_series
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Interviewee directory
+CREATE TABLE IF NOT EXISTS members (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    phone VARCHAR(50),               -- 電話
+    household VARCHAR(255),          -- 家庭
+    notes TEXT,                      -- 備註
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, name)
+);
+
+COMMENT ON TABLE members IS '成員 - Interviewees and their contact details';
+
+CREATE TRIGGER update_members_updated_at
+BEFORE UPDATE ON members
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
 -- Interviews table for LINE bot
 CREATE TABLE IF NOT EXISTS interviews (
     id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
     user_id VARCHAR(255) NOT NULL,
     interviewee_name VARCHAR(255) NOT NULL,
+    interviewer_name VARCHAR(255),
     interview_date DATE NOT NULL,
     interview_time TIME NOT NULL,
     reason TEXT,
-    reminder_24h_sent BOOLEAN DEFAULT FALSE,
-    reminder_3h_sent BOOLEAN DEFAULT FALSE,
+    duration_minutes INTEGER CHECK (duration_minutes BETWEEN 5 AND 480),
+    reminder_offsets INTEGER[],
+    series_id BIGINT REFERENCES interview_series(id) ON DELETE SET NULL,
+    member_id BIGINT REFERENCES members(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'completed', 'no_show', 'cancelled', 'rescheduled')),
+    outcome_note TEXT,                         -- private follow-up note
+    outcome_recorded_by VARCHAR(255),          -- LINE userId
+    outcome_recorded_at TIMESTAMP WITH TIME ZONE,
+    outcome_prompted_at TIMESTAMP WITH TIME ZONE,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by VARCHAR(255),                   -- LINE userId
+    sequence INTEGER NOT NULL DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+COMMENT ON COLUMN interviews.scope_id IS 'LINE groupId, roomId or userId of the conversation the interview belongs to';
+COMMENT ON COLUMN interviews.interviewer_name IS '面談者 - The person conducting the interview';
+COMMENT ON COLUMN interviews.duration_minutes IS '時長 - Interview length in minutes';
+COMMENT ON COLUMN interviews.reminder_offsets IS '提醒 - Minutes before the interview to send reminders; NULL uses the global schedule';
+COMMENT ON COLUMN interviews.status IS '狀態 - scheduled / completed / no_show / cancelled / rescheduled';
+
 -- Create index for better query performance
-CREATE INDEX IF NOT EXISTS idx_interviews_user_date_time 
-ON interviews(user_id, interview_date, interview_time);
+CREATE INDEX IF NOT EXISTS idx_interviews_scope_date_time
+ON interviews(scope_id, interview_date, interview_time);
 
 -- Create index for reminder queries
-CREATE INDEX IF NOT EXISTS idx_interviews_reminder_check 
-ON interviews(interview_date, interview_time, reminder_24h_sent, reminder_3h_sent);
+CREATE INDEX IF NOT EXISTS idx_interviews_reminder_check
+ON interviews(interview_date, interview_time);
 
--- Updated_at trigger (optional but recommended)
-CREATE OR REPLACE FUNCTION update_updated_at_column()
+CREATE INDEX IF NOT EXISTS idx_interviews_interviewer
+ON interviews(interviewer_name);
+
+-- Conflict checks look up an interviewer's interviews on a single day
+CREATE INDEX IF NOT EXISTS idx_interviews_scope_interviewer_date
+ON interviews(scope_id, interviewer_name, interview_date);
+
+CREATE INDEX IF NOT EXISTS idx_interviews_series_id ON interviews(series_id);
+
+CREATE INDEX IF NOT EXISTS idx_interviews_member
+ON interviews(member_id);
+
+CREATE INDEX IF NOT EXISTS idx_interviews_status_date
+ON interviews(status, interview_date);
+
+-- Every query skips deleted rows, so index only the live ones
+CREATE INDEX IF NOT EXISTS idx_interviews_scope_live
+ON interviews(scope_id, interview_date)
+WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_interviews_deleted_at
+ON interviews(deleted_at)
+WHERE deleted_at IS NOT NULL;
+
+CREATE TRIGGER update_interviews_updated_at
+BEFORE UPDATE ON interviews
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Calendar apps only apply an update when SEQUENCE increases
+CREATE OR REPLACE FUNCTION bump_interview_sequence()
 RETURNS TRIGGER AS $$
 BEGIN
-    NEW.updated_at = NOW();
+    IF (NEW.interviewee_name, NEW.interviewer_name, NEW.interview_date, NEW.interview_time,
+        NEW.duration_minutes, NEW.reason, NEW.status, NEW.deleted_at)
+       IS DISTINCT FROM
+       (OLD.interviewee_name, OLD.interviewer_name, OLD.interview_date, OLD.interview_time,
+        OLD.duration_minutes, OLD.reason, OLD.status, OLD.deleted_at) THEN
+        NEW.sequence = OLD.sequence + 1;
+    END IF;
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
-CREATE TRIGGER update_reminders_updated_at 
-BEFORE UPDATE ON reminders 
-FOR EACH ROW 
+CREATE TRIGGER bump_interviews_sequence
+BEFORE UPDATE ON interviews
+FOR EACH ROW
+EXECUTE FUNCTION bump_interview_sequence();
+
+-- One row per interview per reminder offset: pending -> sending -> sent / failed, or skipped
+CREATE TABLE IF NOT EXISTS reminder_logs (
+    id BIGSERIAL PRIMARY KEY,
+    interview_id BIGINT NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL CHECK (offset_minutes > 0),
+    status VARCHAR(50) NOT NULL DEFAULT 'sent',
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    delivery_id UUID NOT NULL DEFAULT gen_random_uuid(),
+    claim_token UUID,
+    claimed_by VARCHAR(255),
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    UNIQUE (interview_id, offset_minutes),
+    CONSTRAINT reminder_logs_status_check CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped'))
+);
+
+COMMENT ON COLUMN reminder_logs.delivery_id IS 'Stable per reminder - LINE retry keys are derived from it per recipient';
+COMMENT ON COLUMN reminder_logs.claim_token IS 'Set by the run that moved the reminder to sending; only that run may complete it';
+
+CREATE INDEX IF NOT EXISTS idx_reminder_logs_interview
+ON reminder_logs(interview_id);
+
+-- Delivery of one reminder to one recipient
+CREATE TABLE IF NOT EXISTS reminder_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    reminder_log_id BIGINT NOT NULL REFERENCES reminder_logs(id) ON DELETE CASCADE,
+    interview_id BIGINT NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL,
+    recipient_type VARCHAR(20) NOT NULL,          -- user / group / bishop
+    recipient_id VARCHAR(255) NOT NULL,           -- LINE userId / groupId
+    recipient_name VARCHAR(255),                  -- 收件人 name, if any
+    retry_key UUID NOT NULL,                      -- X-Line-Retry-Key, stable across attempts
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'gave_up')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error_code INTEGER,                      -- HTTP status from the LINE API
+    last_error TEXT,
+    next_retry_at TIMESTAMP WITH TIME ZONE,
+    claim_token UUID,
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (reminder_log_id, recipient_id)
+);
+
+COMMENT ON TABLE reminder_deliveries IS '送達狀態 - Delivery of one reminder to one recipient';
+
+CREATE INDEX IF NOT EXISTS idx_reminder_deliveries_interview
+ON reminder_deliveries(interview_id);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_deliveries_retry
+ON reminder_deliveries(status, next_retry_at);
+
+CREATE TRIGGER update_reminder_deliveries_updated_at
+BEFORE UPDATE ON reminder_deliveries
+FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_interviews_updated_at 
-BEFORE UPDATE ON interviews 
-FOR EACH ROW 
+-- Named recipients managed with 收件人 / 移除收件人; digest is 'daily', 'weekly', 'all' or NULL (none)
+CREATE TABLE IF NOT EXISTS reminder_recipients (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    line_id VARCHAR(255) NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('user', 'group', 'room')),
+    digest VARCHAR(10) CHECK (digest IN ('daily', 'weekly', 'all')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, name)
+);
+
+COMMENT ON TABLE reminder_recipients IS '收件人 - LINE users, groups and rooms that can receive reminders';
+
+CREATE TRIGGER update_reminder_recipients_updated_at
+BEFORE UPDATE ON reminder_recipients
+FOR EACH ROW
 EXECUTE FUNCTION update_updated_at_column();
 
+-- Who gets which reminder; NULL reason_keyword / offset_minutes match everything
+CREATE TABLE IF NOT EXISTS reminder_routes (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    target VARCHAR(20) NOT NULL CHECK (target IN ('interviewer', 'recipient')),
+    recipient_id BIGINT REFERENCES reminder_recipients(id) ON DELETE CASCADE,
+    reason_keyword VARCHAR(255),
+    offset_minutes INTEGER CHECK (offset_minutes > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((target = 'recipient') = (recipient_id IS NOT NULL))
+);
+
+COMMENT ON TABLE reminder_routes IS '提醒路由 - Routes a reminder to the interviewer or a named recipient';
+
+CREATE INDEX IF NOT EXISTS idx_reminder_routes_scope_id ON reminder_routes(scope_id);
+
+-- Weekly availability windows (weekday: 0 = Sunday ... 6 = Saturday)
+CREATE TABLE IF NOT EXISTS interviewer_availability (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    interviewer_name VARCHAR(255) NOT NULL,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL CHECK (end_time > start_time),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE interviewer_availability IS '可面談時間 - Weekly windows in which an interviewer can hold interviews';
+
+CREATE INDEX IF NOT EXISTS idx_interviewer_availability_lookup
+ON interviewer_availability(scope_id, interviewer_name, weekday);
+
+-- One-off dates on which an interviewer is unavailable
+CREATE TABLE IF NOT EXISTS interviewer_blackouts (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    interviewer_name VARCHAR(255) NOT NULL,
+    blackout_date DATE NOT NULL,
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, interviewer_name, blackout_date)
+);
+
+COMMENT ON TABLE interviewer_blackouts IS '不可面談 - Dates on which an interviewer is unavailable';
+
+-- Interviewer names, aliases and LINE accounts (註冊 / 建立面談者 / 別名)
+CREATE TABLE IF NOT EXISTS interviewer_profiles (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    line_user_id VARCHAR(255),       -- set by 註冊, NULL until the interviewer registers
+    pending_line_user_id VARCHAR(255),  -- 註冊 waiting for 核准註冊
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, name)
+);
+
+COMMENT ON TABLE interviewer_profiles IS '面談者 - Interviewer names, aliases and LINE accounts';
+
+-- One profile per LINE account in a conversation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_interviewer_profiles_line_user
+ON interviewer_profiles(scope_id, line_user_id)
+WHERE line_user_id IS NOT NULL;
+
+CREATE TRIGGER update_interviewer_profiles_updated_at
+BEFORE UPDATE ON interviewer_profiles
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Earlier slots of rescheduled interviews
+CREATE TABLE IF NOT EXISTS interview_reschedules (
+    id BIGSERIAL PRIMARY KEY,
+    interview_id BIGINT NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+    scope_id VARCHAR(255) NOT NULL,
+    old_date DATE NOT NULL,
+    old_time TIME NOT NULL,
+    new_date DATE NOT NULL,
+    new_time TIME NOT NULL,
+    rescheduled_by VARCHAR(255),     -- LINE userId
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE interview_reschedules IS '改期紀錄 - Earlier slots of rescheduled interviews';
+
+CREATE INDEX IF NOT EXISTS idx_interview_reschedules_interview
+ON interview_reschedules(interview_id);
+
+-- 操作紀錄 / 復原
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'reschedule', 'outcome', 'undo')),
+    interview_ids BIGINT[] NOT NULL,  -- no foreign key, deleted interviews keep their entries
+    actor_user_id VARCHAR(255),       -- LINE userId, NULL for system changes
+    actor_source VARCHAR(20) NOT NULL, -- user / group / room / import / api / system
+    before JSONB NOT NULL DEFAULT '[]', -- rows before the change (empty for a create)
+    after JSONB NOT NULL DEFAULT '[]',  -- rows after the change (empty for a delete)
+    undone_at TIMESTAMP WITH TIME ZONE,
+    undone_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE audit_log IS '操作紀錄 - Who changed which interviews, with before and after snapshots';
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_scope_created
+ON audit_log(scope_id, created_at DESC);
+
+-- Conversation state that has to survive between webhook calls
+CREATE TABLE IF NOT EXISTS chat_sessions (
+    scope_id VARCHAR(255) NOT NULL,
+    user_id VARCHAR(255) NOT NULL,
+    state JSONB NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (scope_id, user_id)
+);
+
+CREATE TRIGGER update_chat_sessions_updated_at
+BEFORE UPDATE ON chat_sessions
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per digest and date - its digest_deliveries say who got it
+CREATE TABLE IF NOT EXISTS digest_logs (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('daily', 'weekly')),
+    digest_date DATE NOT NULL,
+    recipient_count INTEGER,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (scope_id, kind, digest_date)
+);
+
+COMMENT ON TABLE digest_logs IS '面談摘要 - daily and weekly agenda digests, one per conversation and date';
+COMMENT ON COLUMN digest_logs.recipient_count IS 'Recipients the digest was sent to so far';
+
+-- Delivery of one digest to one recipient
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    digest_log_id BIGINT NOT NULL REFERENCES digest_logs(id) ON DELETE CASCADE,
+    recipient_id VARCHAR(255) NOT NULL,           -- LINE userId / groupId / roomId
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'gave_up')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error_code INTEGER,                      -- HTTP status from the LINE API
+    last_error TEXT,
+    claim_token UUID,
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (digest_log_id, recipient_id)
+);
+
+COMMENT ON TABLE digest_deliveries IS '摘要送達狀態 - Delivery of one digest to one recipient';
+
+CREATE TRIGGER update_digest_deliveries_updated_at
+BEFORE UPDATE ON digest_deliveries
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Feed tokens created with 行事曆 and revoked with 停用行事曆 - only the SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS calendar_tokens (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    line_user_id VARCHAR(255) NOT NULL,         -- owner
+    interviewer_name VARCHAR(255),              -- NULL = every interview of the conversation
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_tokens_owner
+ON calendar_tokens(line_user_id)
+WHERE revoked_at IS NULL;
+
+COMMENT ON TABLE calendar_tokens IS '行事曆 - iCalendar feed tokens';
+
+-- Keys created with API金鑰 and revoked with 停用API金鑰 - only the SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+    id BIGSERIAL PRIMARY KEY,
+    scope_id VARCHAR(255) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    read_only BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by VARCHAR(255) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_scope
+ON api_keys(scope_id)
+WHERE revoked_at IS NULL;
+
+COMMENT ON TABLE api_keys IS 'API金鑰 - keys for the REST API, scoped to one conversation';
+
+-- Lease locks for background jobs - a lock is free once locked_until has passed
+CREATE TABLE IF NOT EXISTS scheduler_locks (
+    name VARCHAR(100) PRIMARY KEY,
+    holder VARCHAR(255),
+    locked_until TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_by VARCHAR(255),
+    last_run_status VARCHAR(50),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE scheduler_locks IS 'Lease locks for background jobs - a lock is free once locked_until has passed';
+
+CREATE TRIGGER update_scheduler_locks_updated_at
+BEFORE UPDATE ON scheduler_locks
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Take the lock if it is free, expired or already ours; returns true on success.
+-- A single INSERT ... ON CONFLICT statement, so two callers can never both win.
+CREATE OR REPLACE FUNCTION acquire_scheduler_lock(lock_name VARCHAR, holder_id VARCHAR, ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO scheduler_locks (name, holder, locked_until)
+    VALUES (lock_name, holder_id, NOW() + make_interval(secs => ttl_seconds))
+    ON CONFLICT (name) DO UPDATE
+    SET holder = EXCLUDED.holder,
+        locked_until = EXCLUDED.locked_until
+    WHERE scheduler_locks.locked_until < NOW()
+       OR scheduler_locks.holder = EXCLUDED.holder;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Release the lock (only if we still hold it) and record the run
+CREATE OR REPLACE FUNCTION release_scheduler_lock(lock_name VARCHAR, holder_id VARCHAR, run_status VARCHAR)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE scheduler_locks
+    SET locked_until = NOW(),
+        last_run_at = NOW(),
+        last_run_by = holder_id,
+        last_run_status = run_status
+    WHERE name = lock_name
+      AND holder = holder_id;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Get due reminders
 CREATE OR REPLACE FUNCTION get_due_reminders()
 RETURNS TABLE (
@@ -82,21 +542,145 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Get interviews for a user
-CREATE OR REPLACE FUNCTION get_user_interviews(user_id_param VARCHAR(255))
-RETURNS TABLE (
-    id BIGINT,
-    interviewee_name VARCHAR(255),
-    interview_date DATE,
-    interview_time TIME,
-    reason TEXT,
-    created_at TIMESTAMP WITH TIME ZONE
-) AS $$
+-- Move interviews to a new time (and date, unless p_date is NULL), keeping each old slot
+-- in interview_reschedules and starting its reminders over. Reminders still being
+-- delivered ('sending') are left to finish. p_status NULL keeps each status; p_changes
+-- may also set interviewee_name, interviewer_name, member_id, reason and duration_minutes
+-- in the same update. Returns the moved interviews.
+CREATE OR REPLACE FUNCTION reschedule_interviews(
+    p_scope_id VARCHAR,
+    p_interview_ids BIGINT[],
+    p_date DATE,
+    p_time TIME,
+    p_status VARCHAR,
+    p_rescheduled_by VARCHAR,
+    p_changes JSONB DEFAULT '{}'
+)
+RETURNS SETOF interviews AS $$
+BEGIN
+    PERFORM 1
+    FROM interviews
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+    FOR UPDATE;
+
+    INSERT INTO interview_reschedules (interview_id, scope_id, old_date, old_time, new_date, new_time, rescheduled_by)
+    SELECT id, scope_id, interview_date, interview_time, COALESCE(p_date, interview_date), p_time, p_rescheduled_by
+    FROM interviews
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+      AND (interview_date, interview_time) IS DISTINCT FROM (COALESCE(p_date, interview_date), p_time);
+
+    DELETE FROM reminder_logs
+    WHERE status <> 'sending'
+      AND interview_id IN (
+          SELECT id FROM interviews
+          WHERE scope_id = p_scope_id
+            AND id = ANY(p_interview_ids)
+            AND deleted_at IS NULL
+            AND (interview_date, interview_time) IS DISTINCT FROM (COALESCE(p_date, interview_date), p_time)
+      );
+
+    RETURN QUERY
+    UPDATE interviews
+    SET interview_date = COALESCE(p_date, interview_date),
+        interview_time = p_time,
+        status = COALESCE(p_status, status),
+        outcome_prompted_at = NULL,
+        interviewee_name = COALESCE(p_changes->>'interviewee_name', interviewee_name),
+        interviewer_name = COALESCE(p_changes->>'interviewer_name', interviewer_name),
+        member_id = COALESCE((p_changes->>'member_id')::BIGINT, member_id),
+        reason = COALESCE(p_changes->>'reason', reason),
+        duration_minutes = COALESCE((p_changes->>'duration_minutes')::INTEGER, duration_minutes)
+    WHERE scope_id = p_scope_id
+      AND id = ANY(p_interview_ids)
+      AND deleted_at IS NULL
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Undo an audit_log entry: a create marks its interviews deleted again, any other change
+-- puts back the rows in before. Only the columns in a snapshot are restored - entries
+-- recorded before a column was added keep its current value - and sequence is left to
+-- bump_interview_sequence. Returns the changed interviews, or no rows when the entry
+-- was already undone.
+CREATE OR REPLACE FUNCTION undo_audit_entry(
+    p_scope_id VARCHAR,
+    p_entry_id BIGINT,
+    p_undone_by VARCHAR
+)
+RETURNS SETOF interviews AS $$
+DECLARE
+    v_entry audit_log%ROWTYPE;
 BEGIN
+    UPDATE audit_log
+    SET undone_at = NOW(),
+        undone_by = p_undone_by
+    WHERE id = p_entry_id
+      AND scope_id = p_scope_id
+      AND undone_at IS NULL
+    RETURNING * INTO v_entry;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF v_entry.action = 'create' THEN
+        RETURN QUERY
+        UPDATE interviews
+        SET deleted_at = NOW(),
+            deleted_by = p_undone_by
+        WHERE scope_id = p_scope_id
+          AND id = ANY(v_entry.interview_ids)
+        RETURNING *;
+    ELSE
+        RETURN QUERY
+        UPDATE interviews i
+        SET (user_id, interviewee_name, interviewer_name, interview_date, interview_time, reason,
+             duration_minutes, reminder_offsets, series_id, member_id, status, outcome_note,
+             outcome_recorded_by, outcome_recorded_at, outcome_prompted_at, deleted_at, deleted_by) = (
+            SELECT r.user_id, r.interviewee_name, r.interviewer_name, r.interview_date, r.interview_time, r.reason,
+                   r.duration_minutes, r.reminder_offsets, r.series_id, r.member_id, r.status, r.outcome_note,
+                   r.outcome_recorded_by, r.outcome_recorded_at, r.outcome_prompted_at, r.deleted_at, r.deleted_by
+            FROM jsonb_populate_record(i, b.snapshot) r
+        )
+        FROM jsonb_array_elements(v_entry.before) AS b(snapshot)
+        WHERE i.scope_id = p_scope_id
+          AND i.id = (b.snapshot->>'id')::BIGINT
+        RETURNING i.*;
+    END IF;
+
+    -- Purged rows can't be put back - roll the claim back instead of marking the entry undone
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Interviews of audit entry % no longer exist', p_entry_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Add the interviews of a CSV import. p_interviews is a JSON array of interviews columns;
+-- a row without member_id gets the member with its interviewee_name, created when there
+-- is none. Returns the added interviews.
+CREATE OR REPLACE FUNCTION import_interviews(
+    p_scope_id VARCHAR,
+    p_user_id VARCHAR,
+    p_interviews JSONB
+)
+RETURNS SETOF interviews AS $$
+BEGIN
+    INSERT INTO members (scope_id, name)
+    SELECT DISTINCT p_scope_id, r.interviewee_name
+    FROM jsonb_populate_recordset(NULL::interviews, p_interviews) r
+    WHERE r.member_id IS NULL
+    ON CONFLICT (scope_id, name) DO NOTHING;
+
     RETURN QUERY
-    SELECT i.id, i.interviewee_name, i.interview_date, i.interview_time, i.reason, i.created_at
-    FROM interviews i
-    WHERE i.user_id = user_id_param
-    ORDER BY i.interview_date ASC, i.interview_time ASC;
+    INSERT INTO interviews (scope_id, user_id, interviewee_name, interviewer_name, interview_date, interview_time, reason, duration_minutes, member_id)
+    SELECT p_scope_id, p_user_id, r.interviewee_name, r.interviewer_name, r.interview_date, r.interview_time, r.reason, r.duration_minutes, COALESCE(r.member_id, m.id)
+    FROM jsonb_populate_recordset(NULL::interviews, p_interviews) WITH ORDINALITY r
+    LEFT JOIN members m ON m.scope_id = p_scope_id AND m.name = r.interviewee_name
+    ORDER BY r.ordinality
+    RETURNING *;
 END;
 $$ LANGUAGE plpgsql;
@@ -0,0 +1,81 @@
+// Date and time parsing checks - run with `npm test`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const moment = require('moment-timezone');
+
+// app.js creates its LINE and Supabase clients on load; placeholders are enough for the parsers
+process.env.CHANNEL_ACCESS_TOKEN = process.env.CHANNEL_ACCESS_TOKEN || 'test';
+process.env.CHANNEL_SECRET = process.env.CHANNEL_SECRET || 'test';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test';
+
+const { DateTimeParser } = require('../app');
+
+// Wednesday 2026-01-14 10:00 in Taipei
+const now = moment.tz('2026-01-14 10:00', 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+
+test('relative dates count from today', () => {
+  assert.strictEqual(DateTimeParser.parseDate('今天', now), '2026-01-14');
+  assert.strictEqual(DateTimeParser.parseDate('明天', now), '2026-01-15');
+  assert.strictEqual(DateTimeParser.parseDate('後天', now), '2026-01-16');
+  assert.strictEqual(DateTimeParser.parseDate('週日', now), '2026-01-18');
+  assert.strictEqual(DateTimeParser.parseDate('週三', now), '2026-01-14');
+});
+
+test('month and day without a year is the next occurrence', () => {
+  assert.strictEqual(DateTimeParser.parseDate('1/20', now), '2026-01-20');
+  assert.strictEqual(DateTimeParser.parseDate('1月13日', now), '2027-01-13');
+  assert.strictEqual(DateTimeParser.parseDate('2026-02-30', now), null);
+  assert.strictEqual(DateTimeParser.parseDate('下個月', now), null);
+});
+
+test('這週/下週 dates that depend on where the week starts ask which day is meant', () => {
+  assert.deepStrictEqual(DateTimeParser.resolveDate('下週日', now), { options: ['2026-01-18', '2026-01-25'] });
+  assert.deepStrictEqual(DateTimeParser.resolveDate('這週五', now), { date: '2026-01-16' });
+  assert.deepStrictEqual(DateTimeParser.resolveDate('這週一', now), { past: '2026-01-12' });
+  assert.deepStrictEqual(DateTimeParser.resolveDate('明天', now), { date: '2026-01-15' });
+  assert.strictEqual(DateTimeParser.resolveDate('someday', now), null);
+});
+
+test('times without 上午/下午 before 12 are ambiguous', () => {
+  assert.deepStrictEqual(DateTimeParser.parseTime('2點'), { options: ['02:00:00', '14:00:00'] });
+  assert.deepStrictEqual(DateTimeParser.parseTime('2:30'), { options: ['02:30:00', '14:30:00'] });
+  assert.deepStrictEqual(DateTimeParser.parseTime('14:30'), { time: '14:30:00' });
+  assert.deepStrictEqual(DateTimeParser.parseTime('09:30'), { time: '09:30:00' });
+  assert.deepStrictEqual(DateTimeParser.parseTime('12點'), { time: '12:00:00' });
+});
+
+test('上午/下午 and am/pm pick the half of the day', () => {
+  assert.deepStrictEqual(DateTimeParser.parseTime('下午2點半'), { time: '14:30:00' });
+  assert.deepStrictEqual(DateTimeParser.parseTime('上午10點15分'), { time: '10:15:00' });
+  assert.deepStrictEqual(DateTimeParser.parseTime('晚上七點'), { time: '19:00:00' });
+  assert.deepStrictEqual(DateTimeParser.parseTime('2:30pm'), { time: '14:30:00' });
+  assert.deepStrictEqual(DateTimeParser.parseTime('12am'), { time: '00:00:00' });
+  assert.deepStrictEqual(DateTimeParser.parseTime('中午12點'), { time: '12:00:00' });
+  assert.strictEqual(DateTimeParser.parseTime('下午13點'), null);
+  assert.strictEqual(DateTimeParser.parseTime('14'), null);
+});
+
+test('a date and time written as one word split where both parse', () => {
+  assert.deepStrictEqual(DateTimeParser.splitDateTime('明天下午2點'), { dateText: '明天', timeText: '下午2點' });
+  assert.deepStrictEqual(DateTimeParser.splitDateTime('1/21 14:30'), { dateText: '1/21', timeText: '14:30' });
+  assert.deepStrictEqual(DateTimeParser.splitDateTime('1/2114:30'), { dateText: '1/21', timeText: '14:30' });
+  assert.deepStrictEqual(DateTimeParser.splitDateTime('下週日10點'), { dateText: '下週日', timeText: '10點' });
+  assert.strictEqual(DateTimeParser.splitDateTime('明天'), null);
+});
+
+test('a date and time that split more than one way ask which was meant', () => {
+  const result = DateTimeParser.splitDateTime('12/112點');
+  assert.deepStrictEqual(result, {
+    options: [
+      { dateText: '12/1', timeText: '12點' },
+      { dateText: '12/11', timeText: '2點' }
+    ]
+  });
+
+  const reply = DateTimeParser.buildDateTimeClarification('12/112點', result.options, (dateText, timeText) => '改期 5 ' + dateText + ' ' + timeText);
+  assert.deepStrictEqual(reply.quickReply.items.map(item => item.action.text), ['改期 5 12/1 12點', '改期 5 12/11 2點']);
+
+  // Each choice is spaced, so resending it is no longer ambiguous
+  assert.deepStrictEqual(DateTimeParser.splitDateTime('12/11 2點'), { dateText: '12/11', timeText: '2點' });
+});